@@ -2,6 +2,7 @@
 let stockData = [];
 let filteredData = [];
 let canvas, ctx;
+let overlayCanvas, overlayCtx; // crosshair, tooltip and hover highlight layer
 let chartArea = { x: 80, y: 60, width: 0, height: 0 };
 
 // Interactive chart variables
@@ -33,17 +34,57 @@ let visibleEndIndex = 0;
 let maxVisiblePoints = 50;
 let panningSensitivity = 1.0; // Number of data points to show at once
 
-// Cluster colors - vibrant and distinct
-const clusterColors = {
-    0: { main: '#00ff88', shadow: 'rgba(0, 255, 136, 0.3)' },
-    1: { main: '#ff6b6b', shadow: 'rgba(255, 107, 107, 0.3)' },
-    2: { main: '#4ecdc4', shadow: 'rgba(78, 205, 196, 0.3)' },
-    3: { main: '#ffe66d', shadow: 'rgba(255, 230, 109, 0.3)' },
-    4: { main: '#ff9ff3', shadow: 'rgba(255, 159, 243, 0.3)' },
-    5: { main: '#a8e6cf', shadow: 'rgba(168, 230, 207, 0.3)' },
-    6: { main: '#ffd93d', shadow: 'rgba(255, 217, 61, 0.3)' },
-    7: { main: '#6c5ce7', shadow: 'rgba(108, 92, 231, 0.3)' }
+// File loading variables
+let fileLoadWorker = null;
+
+// Dataset collection variables
+let datasets = {};
+let activeSymbol = null;
+let compareSymbols = false;
+
+// Timeframe resampling
+let timeframe = 'raw';
+let resampleClusterRule = 'majority';
+
+// Live stream variables
+let streamSocket = null;
+let streamRenderFrame = null;
+let streamPinned = true;
+
+// Price axis: auto-fit to the visible bars, or a locked range
+let priceScaleLocked = false;
+let lockedPriceRange = null;
+let lastPriceRange = null; // Range and position of the price pane as last drawn
+
+// Price scale: 'linear', 'log' or 'percent' (change from the first visible bar)
+let priceScaleMode = 'linear';
+let percentBase = null;
+
+// Renko box size: fixed price units or the latest ATR
+let renkoBoxMode = 'atr';
+let renkoBoxSize = 1;
+let renkoAtrPeriod = 14;
+
+// Timestamp settings
+let timestampFormat = 'auto';
+let sourceTimeZone = 'browser';
+let displayTimeZone = 'browser';
+
+// Cluster colors. A preset covers the first clusters; later ones get generated
+// colors, and any cluster can be given its own color from the Colors panel.
+// Okabe-Ito and the Tol palettes are distinguishable with color vision deficiencies.
+const CLUSTER_PALETTES = {
+    vivid: ['#00ff88', '#ff6b6b', '#4ecdc4', '#ffe66d', '#ff9ff3', '#a8e6cf', '#ffd93d', '#6c5ce7'],
+    okabeIto: ['#e69f00', '#56b4e9', '#009e73', '#f0e442', '#0072b2', '#d55e00', '#cc79a7', '#bbbbbb'],
+    tolBright: ['#4477aa', '#ee6677', '#228833', '#ccbb44', '#66ccee', '#aa3377', '#bbbbbb'],
+    tolLight: ['#77aadd', '#ee8866', '#eedd88', '#ffaabb', '#99ddff', '#44bb99', '#bbcc33', '#aaaa00', '#dddddd'],
+    generated: []
 };
+const NOISE_CLUSTER_COLOR = '#888888'; // negative labels, e.g. outliers from density-based clustering
+
+let clusterPalette = 'vivid';
+let clusterColorOverrides = {}; // cluster -> '#rrggbb'
+let clusterColors = {}; // cluster -> { main, shadow }, filled in by getClusterColor
 
 // Default colors when cluster coloring is disabled
 const defaultColors = {
@@ -59,8 +100,7 @@ function getDataColor(data) {
     
     if (showClusterColors) {
         // Use cluster-based colors
-        const cluster = data.predicted_cluster || 0;
-        return clusterColors[cluster] || clusterColors[0];
+        return getClusterColor(data.predicted_cluster || 0);
     } else {
         // Use simple bullish/bearish colors
         if (data.close > data.open) {
@@ -73,12 +113,488 @@ function getDataColor(data) {
     }
 }
 
+function getClusterColor(cluster) {
+    cluster = Number(cluster);
+    if (!clusterColors[cluster]) {
+        clusterColors[cluster] = createColor(getClusterBaseColor(cluster));
+    }
+    return clusterColors[cluster];
+}
+
+function getClusterBaseColor(cluster) {
+    if (clusterColorOverrides[cluster]) return clusterColorOverrides[cluster];
+    if (!Number.isInteger(cluster) || cluster < 0) return NOISE_CLUSTER_COLOR;
+    
+    const colors = CLUSTER_PALETTES[clusterPalette];
+    return cluster < colors.length ? colors[cluster] : generateClusterColor(cluster - colors.length);
+}
+
+function createColor(hex) {
+    return { main: hex, shadow: withAlpha(hex, 0.3) };
+}
+
+// Golden-angle hue steps in OKLCH, so any number of clusters stay apart
+// perceptually; lightness cycles through three levels so neighbors differ
+// in brightness as well as hue
+function generateClusterColor(index) {
+    const lightness = [0.8, 0.68, 0.9][index % 3];
+    const hue = (150 + index * 137.508) % 360;
+    
+    // Lower the chroma until the color fits in sRGB
+    let chroma = 0.17;
+    let rgb = oklchToRgb(lightness, chroma, hue);
+    while (chroma > 0 && rgb.some(value => value < 0 || value > 1)) {
+        chroma -= 0.01;
+        rgb = oklchToRgb(lightness, Math.max(0, chroma), hue);
+    }
+    return '#' + rgb.map(value => Math.round(Math.min(1, Math.max(0, value)) * 255).toString(16).padStart(2, '0')).join('');
+}
+
+function oklchToRgb(lightness, chroma, hue) {
+    const a = chroma * Math.cos(hue * Math.PI / 180);
+    const b = chroma * Math.sin(hue * Math.PI / 180);
+    const l = (lightness + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+    const m = (lightness - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+    const s = (lightness - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+    
+    const linear = [
+        4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+        -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+        -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ];
+    return linear.map(value => value <= 0.0031308 ? 12.92 * value : 1.055 * Math.pow(value, 1 / 2.4) - 0.055);
+}
+
+// Clusters in the active dataset, in numeric order
+function getDatasetClusters() {
+    return getCachedIndicator('clusters', () => {
+        return [...new Set(stockData.map(d => d.predicted_cluster || 0))].sort((a, b) => a - b);
+    });
+}
+
+function setClusterPalette(name) {
+    if (!CLUSTER_PALETTES[name]) return;
+    clusterPalette = name;
+    clusterColors = {};
+    updateChart();
+}
+
+// Color inputs preview on input and commit on change
+function setClusterColor(cluster, color, commit) {
+    clusterColorOverrides[cluster] = color;
+    clusterColors = {};
+    if (commit) {
+        updateChart();
+    } else {
+        redrawChart();
+    }
+}
+
+function resetClusterColors() {
+    clusterColorOverrides = {};
+    clusterColors = {};
+    updateChart();
+    showStatus('🎨 Cluster colors reset to the palette', 'info');
+}
+
+// Re-rendered only when the clusters or colors change, so an open color
+// picker survives the chart updates it triggers
+let clusterColorControlsKey = null;
+
+function renderClusterColorControls() {
+    const list = document.getElementById('clusterColorList');
+    const paletteSelect = document.getElementById('clusterPalette');
+    if (paletteSelect) {
+        paletteSelect.value = clusterPalette;
+    }
+    if (!list) return;
+    
+    const clusters = getDatasetClusters();
+    const key = [clusters.join(','), clusterPalette, JSON.stringify(clusterColorOverrides), JSON.stringify(clusterInfo)].join('|');
+    if (key === clusterColorControlsKey) return;
+    clusterColorControlsKey = key;
+    
+    list.innerHTML = '';
+    clusters.forEach(cluster => {
+        const row = document.createElement('div');
+        row.className = 'indicator-row';
+        
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.value = getClusterColor(cluster).main;
+        color.title = 'Color';
+        color.oninput = () => setClusterColor(cluster, color.value, false);
+        color.onchange = () => setClusterColor(cluster, color.value, true);
+        
+        const name = document.createElement('span');
+        name.className = 'indicator-name';
+        name.textContent = getClusterLabel(cluster);
+        
+        row.append(color, name);
+        list.appendChild(row);
+    });
+}
+
+// Cluster names, descriptions and tags, edited from the legend or imported
+// from a JSON sidecar shipped with the model output
+let clusterInfo = {}; // cluster -> { name, description, tags }
+let editingCluster = null;
+
+function getClusterInfo(cluster) {
+    return clusterInfo[Number(cluster)] || null;
+}
+
+// "3 · Trending up" once named, "Cluster 3" until then
+function getClusterLabel(cluster) {
+    const info = getClusterInfo(cluster);
+    return info && info.name ? `${cluster} · ${info.name}` : `Cluster ${cluster}`;
+}
+
+// Description and tags, for hover titles and the tooltip
+function getClusterDetails(cluster) {
+    const info = getClusterInfo(cluster);
+    if (!info) return [];
+    return [info.description, info.tags.length > 0 ? `Tags: ${info.tags.join(', ')}` : ''].filter(Boolean);
+}
+
+function normalizeClusterInfo(entry) {
+    if (typeof entry === 'string') {
+        entry = { name: entry };
+    }
+    const name = typeof entry.name === 'string' ? entry.name : typeof entry.label === 'string' ? entry.label : '';
+    const tags = Array.isArray(entry.tags) ? entry.tags : typeof entry.tags === 'string' ? entry.tags.split(',') : [];
+    return {
+        name: name.trim(),
+        description: typeof entry.description === 'string' ? entry.description.trim() : '',
+        tags: tags.map(tag => String(tag).trim()).filter(Boolean)
+    };
+}
+
+function setClusterInfo(cluster, info) {
+    if (info.name || info.description || info.tags.length > 0) {
+        clusterInfo[cluster] = info;
+    } else {
+        delete clusterInfo[cluster];
+    }
+}
+
+// Sidecars map cluster IDs to entries ({ "3": { name, description, tags,
+// color } } or { "3": "name" }), list entries with an id or cluster field,
+// or nest either form under a "clusters" key
+function parseClusterSidecar(text) {
+    let parsed = JSON.parse(text);
+    if (parsed && !Array.isArray(parsed) && typeof parsed.clusters === 'object') {
+        parsed = parsed.clusters;
+    }
+    if (!parsed || typeof parsed !== 'object') {
+        throw new Error('expected an object or a list of clusters');
+    }
+    
+    const entries = Array.isArray(parsed)
+        ? parsed.filter(entry => entry && typeof entry === 'object').map(entry => [entry.id ?? entry.cluster, entry])
+        : Object.entries(parsed);
+    
+    const clusters = [];
+    entries.forEach(([id, entry]) => {
+        const cluster = Number(id);
+        if (id === null || id === undefined || id === '' || !Number.isFinite(cluster)) return;
+        if (!entry || (typeof entry !== 'object' && typeof entry !== 'string')) return;
+        const color = typeof entry === 'object' && /^#[0-9a-f]{6}$/i.test(entry.color) ? entry.color : null;
+        clusters.push({ cluster, info: normalizeClusterInfo(entry), color });
+    });
+    if (clusters.length === 0) {
+        throw new Error('no cluster entries found');
+    }
+    return clusters;
+}
+
+function openClusterInfoFilePicker() {
+    const fileInput = document.getElementById('clusterInfoFileInput');
+    if (fileInput) {
+        fileInput.click();
+    }
+}
+
+function handleClusterInfoFileSelect(event) {
+    const file = event.target.files[0];
+    if (file) {
+        file.text()
+            .then(text => importClusterInfo(text, file.name))
+            .catch(error => showStatus(`❌ Error reading ${file.name}: ${error.message}`, 'error'));
+    }
+    // Allow selecting the same file again
+    event.target.value = '';
+}
+
+function importClusterInfo(text, sourceName) {
+    let clusters;
+    try {
+        clusters = parseClusterSidecar(text);
+    } catch (error) {
+        showStatus(`❌ Could not import cluster labels from ${sourceName}: ${error.message}`, 'error');
+        return;
+    }
+    
+    clusters.forEach(({ cluster, info, color }) => {
+        setClusterInfo(cluster, info);
+        if (color) {
+            clusterColorOverrides[cluster] = color;
+        }
+    });
+    clusterColors = {};
+    refreshClusterLabels();
+    showStatus(`🏷️ Imported labels for ${clusters.length} clusters from ${sourceName}`, 'success');
+}
+
+function editClusterInfo(cluster) {
+    const editor = document.getElementById('clusterInfoEditor');
+    if (!editor) return;
+    
+    const info = getClusterInfo(cluster) || { name: '', description: '', tags: [] };
+    editingCluster = Number(cluster);
+    document.getElementById('clusterInfoTitle').textContent = `Cluster ${cluster}`;
+    document.getElementById('clusterInfoName').value = info.name;
+    document.getElementById('clusterInfoDescription').value = info.description;
+    document.getElementById('clusterInfoTags').value = info.tags.join(', ');
+    editor.classList.remove('overlay-hidden');
+    document.getElementById('clusterInfoName').focus();
+}
+
+function saveClusterInfo() {
+    if (editingCluster === null) return;
+    setClusterInfo(editingCluster, normalizeClusterInfo({
+        name: document.getElementById('clusterInfoName').value,
+        description: document.getElementById('clusterInfoDescription').value,
+        tags: document.getElementById('clusterInfoTags').value
+    }));
+    closeClusterInfoEditor();
+    refreshClusterLabels();
+}
+
+function closeClusterInfoEditor() {
+    editingCluster = null;
+    const editor = document.getElementById('clusterInfoEditor');
+    if (editor) {
+        editor.classList.add('overlay-hidden');
+    }
+}
+
+// Relabel the filter options in place, so the current choice stays selected,
+// then redraw the legends, color editor and tooltip
+function refreshClusterLabels() {
+    ['clusterFilter', 'overlayClusterFilter'].forEach(id => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        Array.from(select.options).forEach(option => {
+            if (option.value !== 'all') {
+                option.textContent = getClusterLabel(option.value);
+            }
+        });
+    });
+    updateChart();
+    updateLegend();
+}
+
+// Themes color the page (through the CSS variables in styles.css) and the
+// chart canvas. The built-in themes can be edited and saved under a new name
+// as custom themes.
+const THEME_FIELDS = {
+    page: 'Page',
+    surface: 'Surface',
+    foreground: 'Text',
+    shade: 'Panels',
+    accent: 'Accent',
+    chartTop: 'Chart top',
+    chartBottom: 'Chart bottom',
+    grid: 'Grid',
+    axisText: 'Axis labels',
+    crosshair: 'Crosshair',
+    bullish: 'Bullish',
+    bearish: 'Bearish',
+    neutral: 'Neutral',
+    drawing: 'Drawings'
+};
+
+const BUILT_IN_THEMES = {
+    dark: {
+        label: 'Dark',
+        colors: {
+            page: '#0c0c0c', surface: '#1a1a2e', foreground: '#ffffff', shade: '#000000', accent: '#00ff88',
+            chartTop: '#001428', chartBottom: '#000000', grid: '#1f262d', axisText: '#cccccc', crosshair: '#cccccc',
+            bullish: '#00ff88', bearish: '#ff6b6b', neutral: '#4ecdc4', drawing: '#ffd166'
+        }
+    },
+    light: {
+        label: 'Light',
+        colors: {
+            page: '#f4f6f9', surface: '#dde4ee', foreground: '#1d2330', shade: '#ffffff', accent: '#00995a',
+            chartTop: '#ffffff', chartBottom: '#eef2f7', grid: '#d5dbe3', axisText: '#3a4250', crosshair: '#5a6270',
+            bullish: '#0a9d58', bearish: '#d93f3f', neutral: '#1f8a9e', drawing: '#b26b00'
+        }
+    },
+    highContrast: {
+        label: 'High Contrast',
+        colors: {
+            page: '#000000', surface: '#000000', foreground: '#ffffff', shade: '#000000', accent: '#ffff00',
+            chartTop: '#000000', chartBottom: '#000000', grid: '#5c5c5c', axisText: '#ffffff', crosshair: '#ffffff',
+            bullish: '#00ff00', bearish: '#ff3030', neutral: '#00ffff', drawing: '#ffff00'
+        }
+    }
+};
+
+let customThemes = {}; // name -> colors
+let activeTheme = 'dark';
+let chartTheme = { ...BUILT_IN_THEMES.dark.colors }; // working copy, edited from the settings panel
+
+function getThemeColors(name) {
+    if (BUILT_IN_THEMES[name]) return BUILT_IN_THEMES[name].colors;
+    return customThemes[name] || null;
+}
+
+// Fill in missing or invalid colors from the dark theme
+function sanitizeThemeColors(colors) {
+    const sanitized = {};
+    Object.keys(THEME_FIELDS).forEach(field => {
+        const color = colors && colors[field];
+        sanitized[field] = /^#[0-9a-f]{6}$/i.test(color) ? color.toLowerCase() : BUILT_IN_THEMES.dark.colors[field];
+    });
+    return sanitized;
+}
+
+function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [value >> 16, (value >> 8) & 255, value & 255];
+}
+
+function withAlpha(hex, alpha) {
+    return `rgba(${hexToRgb(hex).join(', ')}, ${alpha})`;
+}
+
+function applyTheme() {
+    const style = document.documentElement.style;
+    style.setProperty('--page-background', `linear-gradient(135deg, ${chartTheme.page}, ${chartTheme.surface})`);
+    style.setProperty('--surface', chartTheme.surface);
+    style.setProperty('--text', chartTheme.foreground);
+    style.setProperty('--fg-rgb', hexToRgb(chartTheme.foreground).join(', '));
+    style.setProperty('--shade-rgb', hexToRgb(chartTheme.shade).join(', '));
+    style.setProperty('--accent', chartTheme.accent);
+    style.setProperty('--accent-rgb', hexToRgb(chartTheme.accent).join(', '));
+    // Status colors follow the chart's bearish, drawing and neutral colors
+    [['--danger', chartTheme.bearish], ['--warning', chartTheme.drawing], ['--info', chartTheme.neutral]].forEach(([name, color]) => {
+        style.setProperty(name, color);
+        style.setProperty(`${name}-rgb`, hexToRgb(color).join(', '));
+    });
+    
+    defaultColors.bullish = createColor(chartTheme.bullish);
+    defaultColors.bearish = createColor(chartTheme.bearish);
+    defaultColors.neutral = createColor(chartTheme.neutral);
+    navigatorCache = { key: null, image: null };
+}
+
+function setTheme(name) {
+    const colors = getThemeColors(name);
+    if (!colors) return;
+    activeTheme = name;
+    chartTheme = { ...colors };
+    applyTheme();
+    renderThemeControls();
+    updateChart();
+    updateLegend();
+}
+
+// Color inputs preview on input and commit on change. Edits to a custom
+// theme are kept in it; edits to a built-in one stay unsaved until
+// saved under a new name.
+function updateThemeColor(field, color, commit) {
+    chartTheme[field] = color;
+    if (customThemes[activeTheme]) {
+        customThemes[activeTheme] = { ...chartTheme };
+    }
+    applyTheme();
+    if (commit) {
+        updateChart();
+        updateLegend();
+    } else {
+        redrawChart();
+    }
+}
+
+function saveCustomTheme() {
+    const nameInput = document.getElementById('themeName');
+    const name = nameInput ? nameInput.value.trim() : '';
+    if (!name) {
+        showStatus('❌ Enter a name for the theme', 'error');
+        return;
+    }
+    if (BUILT_IN_THEMES[name] || Object.values(BUILT_IN_THEMES).some(theme => theme.label === name)) {
+        showStatus(`❌ "${name}" is a built-in theme - choose another name`, 'error');
+        return;
+    }
+    
+    customThemes[name] = { ...chartTheme };
+    activeTheme = name;
+    nameInput.value = '';
+    renderThemeControls();
+    saveSettings();
+    showStatus(`🎨 Saved theme "${name}"`, 'success');
+}
+
+function deleteCustomTheme() {
+    if (!customThemes[activeTheme]) {
+        showStatus('❌ Built-in themes cannot be deleted', 'error');
+        return;
+    }
+    const name = activeTheme;
+    delete customThemes[name];
+    setTheme('dark');
+    showStatus(`🗑️ Deleted theme "${name}"`, 'info');
+}
+
+function renderThemeControls() {
+    const select = document.getElementById('themeSelect');
+    if (select) {
+        select.innerHTML = '';
+        Object.entries(BUILT_IN_THEMES).forEach(([name, theme]) => {
+            select.appendChild(new Option(theme.label, name));
+        });
+        Object.keys(customThemes).forEach(name => {
+            select.appendChild(new Option(name, name));
+        });
+        select.value = activeTheme;
+    }
+    
+    const editor = document.getElementById('themeEditor');
+    if (!editor) return;
+    editor.innerHTML = '';
+    Object.entries(THEME_FIELDS).forEach(([field, label]) => {
+        const row = document.createElement('label');
+        row.className = 'theme-color';
+        
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.value = chartTheme[field];
+        color.oninput = () => updateThemeColor(field, color.value, false);
+        color.onchange = () => updateThemeColor(field, color.value, true);
+        
+        const name = document.createElement('span');
+        name.textContent = label;
+        
+        row.append(color, name);
+        editor.appendChild(row);
+    });
+}
 
 // Initialize the application
 function init() {
+    setupNavigator(); // Overview strip under the chart
     setupCanvas();
     setupInteractiveChart(); // Set up interactive features
-    generateSampleData(); // Start with sample data
+    setupFileDropZone(); // Accept CSV files dropped on the chart
+    populateTimeZoneList(); // Time zone suggestions for the timestamp settings
+    renderIndicatorControls();
+    renderOscillatorControls();
+    applyTheme();
+    renderThemeControls();
     syncOverlayControls(); // Sync overlay controls with main controls
     updateControlVisibility();
     updateStats();
@@ -99,268 +615,532 @@ function init() {
     const settingsLoaded = loadSettings();
     if (settingsLoaded) {
         showStatus('📂 Settings loaded from localStorage', 'success');
-        // Update chart with loaded settings
+        // Re-apply the saved timeframe, then update chart with loaded settings
+        refreshActiveDatasetView();
         updateChart();
         updateStats();
         updateLegend();
     }
+    
+    // Reopen the last active dataset, or start with sample data
+    refreshRecentDatasets();
+    restoreLastDataset().then(restored => {
+        if (!restored) {
+            generateSampleData();
+        }
+    });
 }
 
 function showStatus(message, type = 'info') {
     const statusDiv = document.getElementById('dataStatus');
     statusDiv.className = type;
-    statusDiv.innerHTML = message;
+    // Messages quote file, symbol and stream names, so they are never parsed as HTML
+    statusDiv.textContent = message;
     setTimeout(() => {
-        statusDiv.innerHTML = '';
+        statusDiv.textContent = '';
         statusDiv.className = '';
     }, 5000);
 }
 
-function loadCSVData() {
-    const csvInput = document.getElementById('csvInput');
-    if (!csvInput) {
-        showStatus('❌ CSV input element not found', 'error');
-        return;
+// CSV parsing (RFC 4180) with delimiter auto-detection
+const CSV_DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+
+function detectCSVDelimiter(text) {
+    // Count candidate delimiters outside of quotes on the first few lines and
+    // pick the one that appears most consistently
+    const counts = CSV_DELIMITER_CANDIDATES.map(() => []);
+    let lineCounts = CSV_DELIMITER_CANDIDATES.map(() => 0);
+    let inQuotes = false;
+    let lines = 0;
+    
+    for (let i = 0; i < text.length && lines < 10; i++) {
+        const char = text[i];
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && (char === '\n' || char === '\r')) {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            lineCounts.forEach((count, index) => counts[index].push(count));
+            lineCounts = CSV_DELIMITER_CANDIDATES.map(() => 0);
+            lines++;
+        } else if (!inQuotes) {
+            const index = CSV_DELIMITER_CANDIDATES.indexOf(char);
+            if (index >= 0) lineCounts[index]++;
+        }
     }
-    const csvContent = csvInput.value.trim();
-    if (!csvContent) {
-        showStatus('⚠️ Please paste CSV data first', 'error');
-        return;
+    if (lines < 10 && lineCounts.some(count => count > 0)) {
+        lineCounts.forEach((count, index) => counts[index].push(count));
     }
-
-    try {
-        stockData = [];
-        const lines = csvContent.split('\n');
-        if (lines.length < 2) {
-            throw new Error('CSV must have at least a header and one data row');
+    
+    let bestDelimiter = ',';
+    let bestScore = 0;
+    CSV_DELIMITER_CANDIDATES.forEach((delimiter, index) => {
+        const perLine = counts[index];
+        if (perLine.length === 0 || perLine[0] === 0) return;
+        // Lines that match the header's field count make the delimiter more likely
+        const consistent = perLine.filter(count => count === perLine[0]).length;
+        const score = consistent * perLine[0];
+        if (score > bestScore) {
+            bestScore = score;
+            bestDelimiter = delimiter;
         }
+    });
+    
+    return bestDelimiter;
+}
 
-        const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-        
-        // Validate required headers
-        const requiredHeaders = ['timestamp', 'open', 'high', 'low', 'close', 'volume'];
-        const missingHeaders = requiredHeaders.filter(h => !headers.includes(h));
-        if (missingHeaders.length > 0) {
-            throw new Error(`Missing required headers: ${missingHeaders.join(', ')}`);
+function createCSVParser(delimiter = ',') {
+    // Incremental parser: push() can be called with arbitrary chunks and
+    // returns the rows completed so far, end() flushes the last row
+    let field = '';
+    let row = [];
+    let inQuotes = false;
+    let quotePending = false;
+    let fieldQuoted = false;
+    let skipLineFeed = false;
+    let rows = [];
+    
+    function endField() {
+        row.push(field);
+        field = '';
+        fieldQuoted = false;
+    }
+    
+    function endRow() {
+        const wasQuoted = fieldQuoted;
+        endField();
+        // Skip blank lines
+        if (!(row.length === 1 && row[0] === '' && !wasQuoted)) {
+            rows.push(row);
         }
-
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
-
-            const values = line.split(',').map(v => v.trim().replace(/"/g, ''));
-            if (values.length !== headers.length) {
-                console.warn(`Row ${i + 1} has ${values.length} values but expected ${headers.length}`);
-                continue;
+        row = [];
+    }
+    
+    function push(chunk) {
+        for (let i = 0; i < chunk.length; i++) {
+            const char = chunk[i];
+            
+            if (skipLineFeed) {
+                skipLineFeed = false;
+                if (char === '\n') continue;
             }
-
-            const row = {};
-            headers.forEach((header, index) => {
-                let value = values[index];
-                
-                // Parse numeric values
-                if (['open', 'high', 'low', 'close', 'volume', 'predicted_cluster'].includes(header)) {
-                    value = parseFloat(value) || 0;
-                }
-                
-                row[header] = value;
-            });
             
-            // Convert timestamp to Date object
-            if (row.timestamp) {
-                row.date = new Date(row.timestamp);
-                if (isNaN(row.date.getTime())) {
-                    console.warn(`Invalid date in row ${i + 1}: ${row.timestamp}`);
+            if (inQuotes) {
+                if (quotePending) {
+                    quotePending = false;
+                    if (char === '"') {
+                        // Escaped quote ("")
+                        field += '"';
+                        continue;
+                    }
+                    inQuotes = false;
+                    // Fall through and handle the character outside quotes
+                } else if (char === '"') {
+                    quotePending = true;
+                    continue;
+                } else {
+                    field += char;
                     continue;
                 }
             }
             
-            // Set default cluster if not provided
-            if (row.predicted_cluster === undefined) {
-                row.predicted_cluster = 0;
+            if (char === '"' && field === '' && !fieldQuoted) {
+                inQuotes = true;
+                fieldQuoted = true;
+            } else if (char === delimiter) {
+                endField();
+            } else if (char === '\n') {
+                endRow();
+            } else if (char === '\r') {
+                endRow();
+                skipLineFeed = true;
+            } else {
+                field += char;
             }
-            
-            stockData.push(row);
         }
         
-        if (stockData.length === 0) {
-            throw new Error('No valid data rows found');
+        const completed = rows;
+        rows = [];
+        return completed;
+    }
+    
+    function end() {
+        if (quotePending) {
+            quotePending = false;
+            inQuotes = false;
         }
+        if (field !== '' || fieldQuoted || row.length > 0) {
+            endRow();
+        }
+        const completed = rows;
+        rows = [];
+        return completed;
+    }
+    
+    return { push, end };
+}
 
-        // Update feature selectors based on CSV headers
-        updateFeatureSelectors(headers);
-        
-        // Update cluster filters based on available clusters
-        updateClusterFilters();
-        
-        // Reinitialize visible range for new data
-        initializeVisibleRange();
-        
-        updateChart();
-        updateStats();
-        updateLegend();
-        showStatus(`✅ Successfully loaded ${stockData.length} data points`, 'success');
-        
-    } catch (error) {
-        console.error('Error parsing CSV:', error);
-        showStatus(`❌ Error parsing CSV: ${error.message}`, 'error');
+function parseCSV(text, delimiter) {
+    // Strip UTF-8 byte order mark
+    if (text.charCodeAt(0) === 0xFEFF) {
+        text = text.slice(1);
     }
+    
+    const detectedDelimiter = delimiter || detectCSVDelimiter(text);
+    const parser = createCSVParser(detectedDelimiter);
+    const rows = parser.push(text).concat(parser.end());
+    
+    return { delimiter: detectedDelimiter, rows };
 }
 
-function updateFeatureSelectors(headers) {
-    // Get all numeric features from the data
-    const numericFeatures = [];
-    const excludeHeaders = ['timestamp', 'predicted_cluster', 'date'];
+// JSON datasets: arrays of objects, {columns, data} split orient and NDJSON.
+// They are converted to the same header + rows shape the CSV parser produces.
+function isJSONText(text) {
+    const trimmed = text.replace(/^﻿/, '').trimStart();
+    return trimmed.startsWith('[') || trimmed.startsWith('{');
+}
+
+function parseJSONDataset(text) {
+    const trimmed = text.replace(/^﻿/, '').trim();
+    let parsed;
     
-    // Check which headers contain numeric data by sampling the first few rows
-    if (stockData.length > 0) {
-        headers.forEach(header => {
-            if (!excludeHeaders.includes(header.toLowerCase())) {
-                // Check if the first few values are numeric
-                const sampleValues = stockData.slice(0, Math.min(5, stockData.length))
-                    .map(row => row[header]);
-                const isNumeric = sampleValues.every(val => 
-                    val !== null && val !== undefined && !isNaN(parseFloat(val))
-                );
-                if (isNumeric) {
-                    numericFeatures.push(header);
-                }
+    try {
+        parsed = JSON.parse(trimmed);
+    } catch (error) {
+        // Not a single JSON document, try newline-delimited JSON
+        parsed = [];
+        trimmed.split(/\r?\n/).forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                parsed.push(JSON.parse(line));
+            } catch (lineError) {
+                throw new Error(`Invalid JSON on line ${index + 1}: ${lineError.message}`);
             }
         });
-    } else {
-        // Fallback to standard features if no data
-        numericFeatures.push('open', 'high', 'low', 'close', 'volume');
     }
     
-    // Add timestamp as an option for X-axis
-    const xAxisOptions = ['timestamp', ...numericFeatures];
-    const yAxisOptions = [...numericFeatures];
-    const histogramOptions = [...numericFeatures];
-    
-    // Update X-axis selector
-    const xAxisSelect = document.getElementById('xAxis');
-    if (xAxisSelect) {
-        xAxisSelect.innerHTML = '';
-        xAxisOptions.forEach(feature => {
-            const option = document.createElement('option');
-            option.value = feature;
-            option.textContent = feature.charAt(0).toUpperCase() + feature.slice(1);
-            xAxisSelect.appendChild(option);
-        });
-    }
+    return jsonToRows(parsed);
+}
+
+function jsonToRows(value) {
+    const toCell = cell => {
+        if (cell === null || cell === undefined) return '';
+        if (typeof cell === 'object') return JSON.stringify(cell);
+        return String(cell);
+    };
     
-    // Update Y-axis selector
-    const yAxisSelect = document.getElementById('yAxis');
-    if (yAxisSelect) {
-        yAxisSelect.innerHTML = '';
-        yAxisOptions.forEach(feature => {
-            const option = document.createElement('option');
-            option.value = feature;
-            option.textContent = feature.charAt(0).toUpperCase() + feature.slice(1);
-            yAxisSelect.appendChild(option);
+    if (Array.isArray(value)) {
+        if (value.length === 0) {
+            throw new Error('JSON dataset is empty');
+        }
+        
+        // Array of arrays: first one holds the column names, like a CSV
+        if (value.every(Array.isArray)) {
+            return value.map(row => row.map(toCell));
+        }
+        
+        // Array of records: columns are the union of keys in first-seen order
+        const headers = [];
+        const seen = new Set();
+        value.forEach(record => {
+            if (!record || typeof record !== 'object') {
+                throw new Error('JSON arrays must contain objects');
+            }
+            Object.keys(record).forEach(key => {
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    headers.push(key);
+                }
+            });
         });
+        return [headers, ...value.map(record => headers.map(header => toCell(record[header])))];
     }
     
-    // Update histogram selector
-    const histogramSelect = document.getElementById('histogramFeature');
-    if (histogramSelect) {
-        histogramSelect.innerHTML = '';
-        histogramOptions.forEach(feature => {
-            const option = document.createElement('option');
-            option.value = feature;
-            option.textContent = feature.charAt(0).toUpperCase() + feature.slice(1);
-            histogramSelect.appendChild(option);
-        });
+    if (value && typeof value === 'object') {
+        // Split orient: {columns: [...], data: [[...], ...], index: [...]}
+        if (Array.isArray(value.columns) && Array.isArray(value.data)) {
+            const headers = value.columns.map(toCell);
+            const hasIndex = Array.isArray(value.index) && value.index.length === value.data.length &&
+                !value.index.every((item, i) => item === i);
+            const rows = value.data.map((row, i) => {
+                const cells = row.map(toCell);
+                return hasIndex ? [toCell(value.index[i]), ...cells] : cells;
+            });
+            return [hasIndex ? ['index', ...headers] : headers, ...rows];
+        }
+        
+        // Wrapped records: {data: [{...}, ...]}
+        if (Array.isArray(value.data)) {
+            return jsonToRows(value.data);
+        }
+        
+        // A single record (e.g. one-line NDJSON)
+        return jsonToRows([value]);
     }
+    
+    throw new Error('Unsupported JSON dataset format');
 }
 
-function updateClusterFilters() {
-    if (stockData.length === 0) return;
-    
-    // Get unique clusters from the data
-    const uniqueClusters = [...new Set(stockData.map(d => d.predicted_cluster || 0))].sort((a, b) => a - b);
-    
-    // Update main cluster filter
-    const mainClusterFilter = document.getElementById('clusterFilter');
-    if (mainClusterFilter) {
-        mainClusterFilter.innerHTML = '<option value="all">All Clusters</option>';
-        uniqueClusters.forEach(cluster => {
-            const option = document.createElement('option');
-            option.value = cluster;
-            option.textContent = `Cluster ${cluster}`;
-            mainClusterFilter.appendChild(option);
-        });
+function loadCSVData() {
+    const csvInput = document.getElementById('csvInput');
+    if (!csvInput) {
+        showStatus('❌ CSV input element not found', 'error');
+        return;
     }
-    
-    // Update overlay cluster filter
-    const overlayClusterFilter = document.getElementById('overlayClusterFilter');
-    if (overlayClusterFilter) {
-        overlayClusterFilter.innerHTML = '<option value="all">All</option>';
-        uniqueClusters.forEach(cluster => {
-            const option = document.createElement('option');
-            option.value = cluster;
-            option.textContent = `Cluster ${cluster}`;
-            overlayClusterFilter.appendChild(option);
-        });
+    const csvContent = csvInput.value.trim();
+    if (!csvContent) {
+        showStatus('⚠️ Please paste CSV or JSON data first', 'error');
+        return;
     }
-}
 
-function clearData() {
-    const csvInput = document.getElementById('csvInput');
-    if (csvInput) {
-        csvInput.value = '';
+    const format = isJSONText(csvContent) ? 'JSON' : 'CSV';
+    try {
+        const rows = format === 'JSON' ? parseJSONDataset(csvContent) : parseCSV(csvContent).rows;
+        processCSVRows(rows);
+    } catch (error) {
+        console.error(`Error parsing ${format}:`, error);
+        showStatus(`❌ Error parsing ${format}: ${error.message}`, 'error');
     }
-    stockData = [];
-    filteredData = [];
-    updateChart();
-    updateStats();
-    updateLegend();
-    showStatus('🗑️ Data cleared', 'success');
 }
 
-function handleNumRowsChange() {
-    // Update the chart with new number of rows
-    updateChart();
-}
+// Turn parsed CSV rows (header row first) into stockData and refresh the chart.
+// Shared by the textarea loader, the file loader and the JSON importer. Files
+// without the standard headers go through the column mapping dialog first.
+function processCSVRows(rows, sourceName) {
+    if (rows.length < 2) {
+        throw new Error('CSV must have at least a header and one data row');
+    }
 
-function generateSampleData() {
-    const numRowsElement = document.getElementById('numRows');
-    const numRows = numRowsElement ? parseInt(numRowsElement.value) : 200;
-    stockData = [];
-    const startDate = new Date('2024-09-06');
-    let lastPrice = 520;
+    const headers = rows[0].map(h => h.trim());
     
-    for (let i = 0; i < numRows; i++) {
-        const date = new Date(startDate.getTime() + i * 3600000); // Add hours
+    // Standard headers load directly, anything else needs a column mapping
+    const requiredHeaders = ['timestamp', 'open', 'high', 'low', 'close', 'volume'];
+    const missingHeaders = requiredHeaders.filter(h => !headers.includes(h));
+    if (missingHeaders.length === 0) {
+        loadMappedCSVRows(headers, rows, guessColumnMapping(headers), sourceName);
+    } else {
+        showColumnMappingDialog(headers, rows, sourceName);
+    }
+}
+
+function loadMappedCSVRows(headers, rows, mapping, sourceName) {
+    const roleIndexes = {};
+    COLUMN_ROLES.forEach(role => {
+        roleIndexes[role.key] = mapping[role.key] ? headers.indexOf(mapping[role.key]) : -1;
+    });
+    const mappedHeaders = Object.values(mapping).filter(Boolean);
+    const extraHeaders = headers.filter(h => h && !mappedHeaders.includes(h));
+
+    // Detect the timestamp format once for the whole file
+    const timestampIndex = roleIndexes.timestamp;
+    const rowFormat = timestampFormat === 'auto'
+        ? detectTimestampFormat(rows.slice(1, 51).map(row => row[timestampIndex]))
+        : timestampFormat;
+
+    const parsedData = [];
+    const sourceRows = [];
+    const rejectedIssues = [];
+    const defaultedIssues = [];
+    for (let i = 1; i < rows.length; i++) {
+        const values = rows[i].map(v => v.trim());
+        if (values.length !== headers.length) {
+            rejectedIssues.push({
+                type: 'columnCount',
+                row: i + 1,
+                index: -1,
+                message: `${values.length} values, expected ${headers.length}`,
+                values,
+                symbol: values[roleIndexes.symbol]
+            });
+            continue;
+        }
+
+        const row = {};
+        let invalidNumber = null;
+        const defaulted = [];
+        
+        // Keep unmapped columns as extra features
+        extraHeaders.forEach(header => {
+            row[header] = values[headers.indexOf(header)];
+        });
+        
+        COLUMN_ROLES.forEach(role => {
+            const index = roleIndexes[role.key];
+            if (index < 0) return;
+            
+            if (!role.numeric) {
+                row[role.key] = values[index];
+                return;
+            }
+            
+            // Parse numeric values. A bad price rejects the bar; optional
+            // columns such as volume fall back to 0, as if they were missing
+            row[role.key] = parseNumericValue(values[index]);
+            if (!isNaN(row[role.key])) return;
+            if (role.required) {
+                if (!invalidNumber) invalidNumber = `${role.label} "${values[index]}" is not a number`;
+            } else {
+                row[role.key] = 0;
+                if (values[index] !== '') defaulted.push(`${role.label} "${values[index]}"`);
+            }
+        });
         
-        // Create more realistic price movement
-        const volatility = 0.02;
-        const trend = Math.sin(i / 50) * 0.001;
-        const randomChange = (Math.random() - 0.5) * volatility;
-        const priceChange = (trend + randomChange) * lastPrice;
+        if (invalidNumber) {
+            rejectedIssues.push({
+                type: 'invalidNumber',
+                row: i + 1,
+                index: -1,
+                message: invalidNumber,
+                values,
+                symbol: row.symbol
+            });
+            continue;
+        }
         
-        const open = lastPrice;
-        const close = open + priceChange;
-        const high = Math.max(open, close) * (1 + Math.random() * 0.01);
-        const low = Math.min(open, close) * (1 - Math.random() * 0.01);
+        if (row.volume === undefined) {
+            row.volume = 0;
+        }
         
-        lastPrice = close;
+        // Convert timestamp to Date object
+        row.date = parseTimestamp(row.timestamp, rowFormat, sourceTimeZone);
+        if (!row.timestamp || isNaN(row.date.getTime())) {
+            rejectedIssues.push({
+                type: 'invalidDate',
+                row: i + 1,
+                index: -1,
+                message: `Cannot parse "${row.timestamp}"`,
+                values,
+                symbol: row.symbol
+            });
+            continue;
+        }
         
-        stockData.push({
-            date: date,
-            timestamp: date.toISOString(),
-            open: Math.round(open * 100) / 100,
-            high: Math.round(high * 100) / 100,
-            low: Math.round(low * 100) / 100,
-            close: Math.round(close * 100) / 100,
-            volume: Math.floor(Math.random() * 2000000) + 500000,
-            predicted_cluster: Math.floor(Math.random() * 4)
+        // Set default cluster if not provided
+        if (row.predicted_cluster === undefined) {
+            row.predicted_cluster = 0;
+        }
+        
+        if (defaulted.length > 0) {
+            defaultedIssues.push({
+                type: 'defaultedValue',
+                row: i + 1,
+                index: parsedData.length,
+                message: `${defaulted.join(', ')} read as 0`
+            });
+        }
+        parsedData.push(row);
+        sourceRows.push(i + 1);
+    }
+    
+    if (parsedData.length === 0) {
+        throw new Error('No valid data rows found');
+    }
+    
+    const featureHeaders = [...COLUMN_ROLES.map(role => role.key).filter(key => key in parsedData[0]), ...extraHeaders];
+    const issues = [...rejectedIssues, ...defaultedIssues, ...validateStockData(parsedData, sourceRows)];
+    
+    // Informational issues such as overnight gaps don't hold up loading;
+    // they stay listed in the Data Report
+    const noted = issues.filter(issue => DATA_ISSUE_TYPES[issue.type].severity === 'info').length;
+    if (issues.length > noted) {
+        // Let the user review the problems and pick fixes before charting
+        showDataQualityReport({ data: parsedData, sourceRows, issues, featureHeaders, sourceName, pending: true });
+    } else {
+        const note = noted > 0 ? ` (${noted} ${noted === 1 ? 'note' : 'notes'} in the 🩺 Data Report)` : '';
+        commitLoadedData(parsedData, featureHeaders, sourceName, note, rejectedIssues);
+    }
+}
+
+// Replace stockData with a freshly loaded dataset and refresh everything that depends on it.
+// Rows with a symbol column are split into one dataset per symbol.
+// rejectedIssues are the file's rows that never became bars; each dataset
+// keeps its own so the Data Report can list them later
+function commitLoadedData(data, featureHeaders, sourceName, note = '', rejectedIssues = []) {
+    const headers = featureHeaders.filter(header => header !== 'symbol');
+    const names = [];
+    let renamedNote = '';
+    removeSampleDataset();
+    
+    if ('symbol' in data[0]) {
+        const groups = new Map();
+        data.forEach(row => {
+            const symbol = String(row.symbol || '').trim() || 'Unknown';
+            if (!groups.has(symbol)) {
+                groups.set(symbol, []);
+            }
+            groups.get(symbol).push(row);
+        });
+        groups.forEach((rows, symbol) => {
+            const name = getUniqueDatasetName(symbol);
+            const rejected = rejectedIssues.filter(issue => (String(issue.symbol || '').trim() || 'Unknown') === symbol);
+            addDataset(name, rows, headers, sourceName, undefined, rejected);
+            names.push(name);
         });
+    } else {
+        const name = getUniqueDatasetName(getDatasetName(sourceName));
+        if (name !== getDatasetName(sourceName)) {
+            renamedNote = ` as "${name}"`;
+        }
+        addDataset(name, data, headers, sourceName, undefined, rejectedIssues);
+        names.push(name);
     }
     
-    // Update feature selectors for sample data
-    const sampleHeaders = ['timestamp', 'open', 'high', 'low', 'close', 'volume', 'predicted_cluster'];
-    updateFeatureSelectors(sampleHeaders);
+    activateDataset(names[0]);
+    names.forEach(name => persistDataset(datasets[name]));
+    
+    const sourceNote = sourceName ? ` from ${sourceName}` : '';
+    const symbolNote = names.length > 1 ? ` for ${names.length} symbols` : '';
+    showStatus(`✅ Successfully loaded ${data.length} data points${symbolNote}${sourceNote}${renamedNote}${note}`, 'success');
+}
+
+// Dataset collection: every loaded dataset or symbol, keyed by name
+const comparisonColors = ['#00d4ff', '#ff9f43', '#f368e0', '#feca57', '#48dbfb', '#ff6b81', '#1dd1a1', '#c8d6e5'];
+
+const SAMPLE_DATASET_NAME = 'Sample data';
+
+function getDatasetName(sourceName) {
+    if (!sourceName) return 'Pasted data';
+    return sourceName.replace(/\.[^.]+$/, '');
+}
+
+// "prices", then "prices (2)", "prices (3)", ... so a new load never replaces a loaded dataset
+function getUniqueDatasetName(name) {
+    let unique = name;
+    for (let copy = 2; datasets[unique]; copy++) {
+        unique = `${name} (${copy})`;
+    }
+    return unique;
+}
+
+// Generated sample data makes way for the first real dataset
+function removeSampleDataset() {
+    delete datasets[SAMPLE_DATASET_NAME];
+}
+
+function addDataset(name, data, featureHeaders, source, loadedAt, rejectedIssues) {
+    datasets[name] = {
+        name,
+        data,
+        featureHeaders,
+        source: source || null,
+        loadedAt: loadedAt || Date.now(),
+        rejectedIssues: rejectedIssues || [],
+        view: null
+    };
+}
+
+function activateDataset(name) {
+    const dataset = datasets[name];
+    if (!dataset) return;
+    
+    activeSymbol = name;
+    stockData = getDatasetView(dataset).data;
+    lockedPriceRange = null;
+    selectedDrawingId = null;
+    draftDrawing = null;
+    localStorage.setItem(LAST_DATASET_KEY, name);
+    
+    // Update feature selectors based on the dataset's columns
+    updateFeatureSelectors(dataset.featureHeaders);
     
     // Update cluster filters based on available clusters
     updateClusterFilters();
@@ -368,1728 +1148,6405 @@ function generateSampleData() {
     // Reinitialize visible range for new data
     initializeVisibleRange();
     
+    updateSymbolSelector();
+    renderRecentDatasets();
     updateChart();
     updateStats();
     updateLegend();
-    showStatus(`🎲 Generated ${stockData.length} sample data points`, 'success');
 }
 
-function setupCanvas() {
-    // Use fullscreen canvas if in fullscreen mode
-    if (isFullscreen && window.fullscreenCanvas) {
-        canvas = window.fullscreenCanvas;
-    } else {
-    canvas = document.getElementById('candlestickChart');
-    }
-    
-    if (!canvas) {
-        console.error('Canvas element not found!');
-        return;
-    }
-    
-    ctx = canvas.getContext('2d');
-    
-    // Set reasonable resolution for better performance
-    const container = canvas.parentElement;
-    const rect = container.getBoundingClientRect();
-    canvas.width = rect.width * 2; // 2x for high-DPI
-    canvas.height = rect.height * 2; // 2x for high-DPI
-    canvas.style.width = '100%';
-    canvas.style.height = '100%';
-    
-    // Calculate chart area
-    chartArea.width = canvas.width - 160;
-    chartArea.height = canvas.height - 120;
+function switchSymbol(name) {
+    if (!datasets[name] || name === activeSymbol) return;
+    activateDataset(name);
+    showStatus(`🔀 Switched to ${name}`, 'success');
+}
+
+function toggleCompareSymbols() {
+    const compareElement = document.getElementById('compareSymbols');
+    compareSymbols = compareElement ? compareElement.checked : false;
+    updateChart();
+}
+
+function updateSymbolSelector() {
+    const symbolGroup = document.getElementById('symbolGroup');
+    const symbolSelect = document.getElementById('symbolSelect');
+    if (!symbolGroup || !symbolSelect) return;
     
-    // Set up high-DPI rendering
-    ctx.imageSmoothingEnabled = true;
-    ctx.imageSmoothingQuality = 'high';
+    const names = Object.keys(datasets);
+    symbolGroup.style.display = names.length > 1 ? 'flex' : 'none';
     
+    symbolSelect.innerHTML = '';
+    names.forEach(name => {
+        symbolSelect.appendChild(new Option(name, name));
+    });
+    if (activeSymbol) {
+        symbolSelect.value = activeSymbol;
+    }
 }
 
-function updateChart() {
-    // Sync controls between main and overlay
-    syncMainControls();
-    syncOverlayControls();
-    
-    filterData();
-    updateControlVisibility();
-    drawChart();
-    updateStats();
-    updateOverlayStats();
-    updateOverlayLegend();
+// Other symbols' closes aligned to the visible bars, rebased to the active
+// symbol's close so they share the price axis
+function getComparisonSeries(displayData) {
+    if (!compareSymbols || displayData.length === 0) return [];
+    
+    const series = [];
+    Object.keys(datasets).forEach(name => {
+        if (name === activeSymbol) return;
+        const view = getDatasetView(datasets[name]);
+        
+        // Close of the last bar at or before each visible timestamp
+        const closes = displayData.map(d => {
+            const index = findBarIndexAtOrBefore(view.data, d.date.getTime());
+            return index >= 0 ? view.data[index].close : null;
+        });
+        
+        const baseIndex = closes.findIndex(close => close !== null && close !== 0);
+        if (baseIndex < 0) return;
+        const scale = displayData[baseIndex].close / closes[baseIndex];
+        
+        series.push({
+            name,
+            color: getComparisonColor(name),
+            values: closes.map(close => close === null ? null : close * scale)
+        });
+    });
     
-    // Auto-save settings after chart updates
-    saveSettings();
+    return series;
 }
 
-function redrawChart() {
-    // Just redraw the chart without recalculating data
-    drawChart();
+function getComparisonColor(name) {
+    const index = Object.keys(datasets).indexOf(name);
+    return comparisonColors[Math.max(0, index) % comparisonColors.length];
 }
 
-function updateControlVisibility() {
-    const chartTypeElement = document.getElementById('chartType');
-    const chartType = chartTypeElement ? chartTypeElement.value : 'candlestick';
-    const candleWidthGroup = document.getElementById('candleWidthGroup');
-    const xAxisGroup = document.getElementById('xAxisGroup');
-    const yAxisGroup = document.getElementById('yAxisGroup');
-    const histogramGroup = document.getElementById('histogramGroup');
-    
-    // Show/hide controls based on chart type
-    if (chartType === 'candlestick') {
-        if (candleWidthGroup) candleWidthGroup.style.display = 'block';
-        if (xAxisGroup) xAxisGroup.style.display = 'none';
-        if (yAxisGroup) yAxisGroup.style.display = 'none';
-        if (histogramGroup) histogramGroup.style.display = 'none';
-    } else if (chartType === 'histogram') {
-        if (candleWidthGroup) candleWidthGroup.style.display = 'none';
-        if (xAxisGroup) xAxisGroup.style.display = 'none';
-        if (yAxisGroup) yAxisGroup.style.display = 'none';
-        if (histogramGroup) histogramGroup.style.display = 'block';
-    } else { // scatter or line
-        if (candleWidthGroup) candleWidthGroup.style.display = 'none';
-        if (xAxisGroup) xAxisGroup.style.display = 'block';
-        if (yAxisGroup) yAxisGroup.style.display = 'block';
-        if (histogramGroup) histogramGroup.style.display = 'none';
+function drawComparisonLines(series, xStep, minPrice, maxPrice, chartHeight) {
+    series.forEach(({ color, values }) => {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 3;
+        traceLine(
+            values,
+            i => chartArea.x + i * xStep + xStep / 2,
+            value => priceToY(value, minPrice, maxPrice, chartHeight)
+        );
+    });
+}
+
+// Dataset persistence: loaded datasets survive reloads in IndexedDB. Metadata
+// and rows live in separate stores so the recent list doesn't read every row.
+const DATASET_DB_NAME = 'dashboardDatasets';
+const DATASET_DB_VERSION = 1;
+const MAX_RECENT_DATASETS = 10;
+const LAST_DATASET_KEY = 'lastActiveDataset';
+let datasetDBPromise = null;
+let recentDatasets = [];
+
+function openDatasetDB() {
+    if (!datasetDBPromise) {
+        datasetDBPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(DATASET_DB_NAME, DATASET_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('meta', { keyPath: 'name' });
+                db.createObjectStore('rows');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
     }
+    return datasetDBPromise;
 }
 
-function filterData() {
-    const clusterFilterElement = document.getElementById('clusterFilter');
-    const candleTypeFilterElement = document.getElementById('candleTypeFilter');
-    
-    const clusterFilter = clusterFilterElement ? clusterFilterElement.value : 'all';
-    const candleTypeFilter = candleTypeFilterElement ? candleTypeFilterElement.value : 'all';
-    
-    let filtered = [...stockData];
-    
-    // Add visibility flags instead of removing data
-    filtered = filtered.map(d => {
-        let visible = true;
+// Run callback(metaStore, rowStore, setResult) in one transaction and resolve when it commits
+function runDatasetTransaction(mode, callback) {
+    return openDatasetDB().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(['meta', 'rows'], mode);
+        let result;
+        callback(transaction.objectStore('meta'), transaction.objectStore('rows'), value => { result = value; });
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    }));
+}
+
+async function persistDataset(dataset) {
+    const meta = {
+        name: dataset.name,
+        source: dataset.source,
+        loadedAt: dataset.loadedAt,
+        rowCount: dataset.data.length,
+        featureHeaders: dataset.featureHeaders,
+        rejectedIssues: dataset.rejectedIssues
+    };
     
-        // Filter by cluster
-        if (clusterFilter !== 'all') {
-            const cluster = parseInt(clusterFilter);
-            visible = visible && d.predicted_cluster === cluster;
-        }
+    try {
+        await runDatasetTransaction('readwrite', (metaStore, rowStore) => {
+            metaStore.put(meta);
+            rowStore.put(dataset.data, dataset.name);
+        });
+        await refreshRecentDatasets();
         
-        // Filter by candle type (bullish/bearish)
-        if (candleTypeFilter !== 'all') {
-            if (candleTypeFilter === 'bullish') {
-                visible = visible && d.close > d.open;
-            } else if (candleTypeFilter === 'bearish') {
-                visible = visible && d.close < d.open;
-            }
+        // Forget the oldest datasets beyond the limit
+        const expired = recentDatasets.slice(MAX_RECENT_DATASETS).map(item => item.name);
+        if (expired.length > 0) {
+            await runDatasetTransaction('readwrite', (metaStore, rowStore) => {
+                expired.forEach(name => {
+                    metaStore.delete(name);
+                    rowStore.delete(name);
+                });
+            });
+            await refreshRecentDatasets();
         }
-        
-        return { ...d, visible };
+    } catch (error) {
+        console.warn(`Could not save dataset "${dataset.name}":`, error);
+    }
+}
+
+async function loadPersistedDataset(name) {
+    const record = await runDatasetTransaction('readonly', (metaStore, rowStore, setResult) => {
+        const record = {};
+        metaStore.get(name).onsuccess = (event) => { record.meta = event.target.result; };
+        rowStore.get(name).onsuccess = (event) => { record.rows = event.target.result; };
+        setResult(record);
     });
+    if (!record.meta || !record.rows) return false;
     
-    filteredData = filtered;
+    addDataset(name, record.rows, record.meta.featureHeaders, record.meta.source, record.meta.loadedAt, record.meta.rejectedIssues);
+    return true;
 }
 
-function drawChart() {
-    if (!ctx || filteredData.length === 0) {
-        // Clear canvas and show message
-        if (ctx) {
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
-            ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-            ctx.font = '120px Arial';
-            ctx.textAlign = 'center';
-            ctx.fillText('No data to display', canvas.width / 2, canvas.height / 2);
-            ctx.font = '80px Arial';
-            ctx.fillText('Load CSV data or generate sample data', canvas.width / 2, canvas.height / 2 + 150);
-        }
-        return;
+async function refreshRecentDatasets() {
+    try {
+        recentDatasets = await runDatasetTransaction('readonly', (metaStore, rowStore, setResult) => {
+            metaStore.getAll().onsuccess = (event) => {
+                setResult(event.target.result.sort((a, b) => b.loadedAt - a.loadedAt));
+            };
+        });
+    } catch (error) {
+        console.warn('Could not read recent datasets:', error);
+        recentDatasets = [];
     }
+    renderRecentDatasets();
+}
+
+function renderRecentDatasets() {
+    const panel = document.getElementById('recentDatasets');
+    const list = document.getElementById('recentDatasetsList');
+    if (!panel || !list) return;
     
-    // Clear canvas
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    
-    // Draw background gradient
-    const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
-    gradient.addColorStop(0, 'rgba(0, 20, 40, 0.8)');
-    gradient.addColorStop(1, 'rgba(0, 0, 0, 0.9)');
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    panel.style.display = recentDatasets.length > 0 ? 'block' : 'none';
+    list.innerHTML = '';
     
-    // Apply pan transformations only (zoom disabled)
-    ctx.save();
-    ctx.translate(panOffsetX, panOffsetY);
-    // ctx.scale(zoomLevel, zoomLevel); // Disabled zoom scaling
+    recentDatasets.forEach(item => {
+        const row = document.createElement('li');
+        row.className = item.name === activeSymbol ? 'recent-dataset active' : 'recent-dataset';
+        
+        const openButton = document.createElement('button');
+        openButton.className = 'recent-dataset-name';
+        openButton.textContent = item.name;
+        openButton.title = `Open ${item.name}`;
+        openButton.onclick = () => openRecentDataset(item.name);
+        
+        const details = document.createElement('span');
+        details.className = 'recent-dataset-details';
+        const loadedAt = formatDisplayDate(new Date(item.loadedAt), { dateStyle: 'medium', timeStyle: 'short' });
+        details.textContent = [item.source, `${item.rowCount} rows`, loadedAt].filter(Boolean).join(' · ');
+        
+        const removeButton = document.createElement('button');
+        removeButton.className = 'recent-dataset-remove';
+        removeButton.textContent = '×';
+        removeButton.title = `Forget ${item.name}`;
+        removeButton.onclick = () => forgetRecentDataset(item.name);
+        
+        row.appendChild(openButton);
+        row.appendChild(details);
+        row.appendChild(removeButton);
+        list.appendChild(row);
+    });
+}
+
+async function openRecentDataset(name) {
+    if (!datasets[name]) {
+        try {
+            if (!await loadPersistedDataset(name)) {
+                showStatus(`❌ ${name} is no longer stored`, 'error');
+                refreshRecentDatasets();
+                return;
+            }
+        } catch (error) {
+            showStatus(`❌ Could not open ${name}: ${error.message}`, 'error');
+            return;
+        }
+    }
+    activateDataset(name);
+    showStatus(`📂 Opened ${name}`, 'success');
+}
+
+async function forgetRecentDataset(name) {
+    try {
+        await runDatasetTransaction('readwrite', (metaStore, rowStore) => {
+            metaStore.delete(name);
+            rowStore.delete(name);
+        });
+    } catch (error) {
+        showStatus(`❌ Could not remove ${name}: ${error.message}`, 'error');
+        return;
+    }
+    deleteDatasetDrawings(name);
+    deleteDatasetEvents(name);
+    refreshRecentDatasets();
+}
+
+// Bring back the dataset that was active before the last reload
+async function restoreLastDataset() {
+    const name = localStorage.getItem(LAST_DATASET_KEY);
+    if (!name) return false;
     
-    const chartTypeElement = document.getElementById('chartType');
-    const chartType = chartTypeElement ? chartTypeElement.value : 'candlestick';
+    // Visible range from the saved settings, reapplied if it still fits
+    const savedStart = visibleStartIndex;
+    const savedEnd = visibleEndIndex;
     
-    if (chartType === 'candlestick') {
-        drawCandlestickChart();
-    } else if (chartType === 'scatter') {
-        drawScatterChart();
-    } else if (chartType === 'line') {
-        drawLineChart();
-    } else if (chartType === 'histogram') {
-        drawHistogramChart();
+    try {
+        if (!await loadPersistedDataset(name)) return false;
+    } catch (error) {
+        console.warn(`Could not restore dataset "${name}":`, error);
+        return false;
     }
+    activateDataset(name);
     
-    ctx.restore();
-    
-    // Draw interactive elements (not affected by zoom/pan)
-    drawCrosshair();
-    drawTooltip();
+    if (savedStart <= savedEnd && savedEnd < stockData.length) {
+        visibleStartIndex = savedStart;
+        visibleEndIndex = savedEnd;
+        updateChart();
+    }
+    showStatus(`📂 Restored ${name}`, 'success');
+    return true;
 }
 
-function drawCandlestickChart() {
-    const candleWidthElement = document.getElementById('candleWidth');
-    const showVolumeElement = document.getElementById('showVolume');
-    
-    const candleWidth = candleWidthElement ? parseInt(candleWidthElement.value) : 8;
-    const showVolume = showVolumeElement ? showVolumeElement.value === 'true' : false;
-    
-    if (stockData.length === 0) return;
+// Parse numbers such as "1250000", "1,234.50", "1.25M" or "850K". Anything
+// else, including blanks and "N/A", is NaN.
+function parseNumericValue(value) {
+    let text = String(value).trim();
+    const multiplier = { K: 1e3, M: 1e6, B: 1e9 }[text.slice(-1).toUpperCase()];
+    if (multiplier) {
+        text = text.slice(0, -1);
+    }
+    if (/^[+-]?\d{1,3}(,\d{3})+(\.\d*)?$/.test(text)) {
+        text = text.replace(/,/g, '');
+    }
+    const number = text === '' ? NaN : Number(text);
+    return isFinite(number) ? number * (multiplier || 1) : NaN;
+}
+
+// Column mapping: assign CSV columns to the OHLCV and cluster roles
+const COLUMN_ROLES = [
+    { key: 'timestamp', label: 'Timestamp', required: true, numeric: false, aliases: ['timestamp', 'datetime', 'date', 'time', 'ts', 'dt', 'day'] },
+    { key: 'open', label: 'Open', required: true, numeric: true, aliases: ['open', 'openprice', 'o'] },
+    { key: 'high', label: 'High', required: true, numeric: true, aliases: ['high', 'highprice', 'h'] },
+    { key: 'low', label: 'Low', required: true, numeric: true, aliases: ['low', 'lowprice', 'l'] },
+    { key: 'close', label: 'Close', required: true, numeric: true, aliases: ['close', 'closeprice', 'adjclose', 'last', 'price', 'c'] },
+    { key: 'volume', label: 'Volume', required: false, numeric: true, aliases: ['volume', 'vol', 'qty', 'quantity', 'v'] },
+    { key: 'predicted_cluster', label: 'Cluster', required: false, numeric: true, aliases: ['predictedcluster', 'cluster', 'regime', 'label', 'state'] },
+    { key: 'symbol', label: 'Symbol', required: false, numeric: false, aliases: ['symbol', 'ticker', 'instrument', 'asset'] }
+];
+
+let pendingColumnMapping = null;
+
+function normalizeHeaderName(header) {
+    return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function getHeaderSignature(headers) {
+    return headers.map(h => h.toLowerCase()).join('|');
+}
+
+function guessColumnMapping(headers) {
+    const normalized = headers.map(normalizeHeaderName);
+    const mapping = {};
+    const used = new Set();
+    
+    COLUMN_ROLES.forEach(role => {
+        mapping[role.key] = '';
+        for (const alias of role.aliases) {
+            const index = normalized.findIndex((name, i) => name === alias && !used.has(i));
+            if (index >= 0) {
+                mapping[role.key] = headers[index];
+                used.add(index);
+                break;
+            }
+        }
+    });
     
-    // Update visible range if needed
-    updateVisibleRange();
+    return mapping;
+}
+
+function getSavedColumnMapping(headers) {
+    try {
+        const savedMappings = JSON.parse(localStorage.getItem('columnMappings') || '{}');
+        const mapping = savedMappings[getHeaderSignature(headers)];
+        if (!mapping) return null;
+        
+        // Ignore mappings that refer to columns this file doesn't have
+        const valid = Object.values(mapping).every(header => !header || headers.includes(header));
+        return valid ? mapping : null;
+    } catch (error) {
+        console.error('Error loading column mappings:', error);
+        return null;
+    }
+}
+
+function saveColumnMapping(headers, mapping) {
+    try {
+        const savedMappings = JSON.parse(localStorage.getItem('columnMappings') || '{}');
+        savedMappings[getHeaderSignature(headers)] = mapping;
+        localStorage.setItem('columnMappings', JSON.stringify(savedMappings));
+    } catch (error) {
+        console.error('Error saving column mappings:', error);
+    }
+}
+
+function showColumnMappingDialog(headers, rows, sourceName) {
+    const dialog = document.getElementById('columnMappingDialog');
+    const fields = document.getElementById('columnMappingFields');
+    const preview = document.getElementById('columnMappingPreview');
+    if (!dialog || !fields || !preview) {
+        throw new Error('Column mapping dialog not found');
+    }
     
-    // Get the data points to display from original data
-    const displayData = stockData.slice(visibleStartIndex, visibleEndIndex + 1);
-    if (displayData.length === 0) return;
+    const savedMapping = getSavedColumnMapping(headers);
+    const mapping = savedMapping || guessColumnMapping(headers);
+    pendingColumnMapping = { headers, rows, sourceName };
     
-    // Filter display data based on current filters
-    const filteredDisplayData = displayData.filter(d => {
-        let visible = true;
+    fields.innerHTML = '';
+    COLUMN_ROLES.forEach(role => {
+        const group = document.createElement('div');
+        group.className = 'column-mapping-field';
         
-        // Filter by cluster
-        const clusterFilterElement = document.getElementById('clusterFilter');
-        const clusterFilter = clusterFilterElement ? clusterFilterElement.value : 'all';
-        if (clusterFilter !== 'all') {
-            const cluster = parseInt(clusterFilter);
-            visible = visible && d.predicted_cluster === cluster;
-        }
+        const label = document.createElement('label');
+        label.htmlFor = `columnMapping_${role.key}`;
+        label.textContent = role.required ? `${role.label} *` : role.label;
         
-        // Filter by candle type (bullish/bearish)
-        const candleTypeFilterElement = document.getElementById('candleTypeFilter');
-        const candleTypeFilter = candleTypeFilterElement ? candleTypeFilterElement.value : 'all';
-        if (candleTypeFilter !== 'all') {
-            if (candleTypeFilter === 'bullish') {
-                visible = visible && d.close > d.open;
-            } else if (candleTypeFilter === 'bearish') {
-                visible = visible && d.close < d.open;
-            }
-        }
+        const select = document.createElement('select');
+        select.id = `columnMapping_${role.key}`;
+        select.dataset.role = role.key;
+        select.appendChild(new Option('(none)', ''));
+        headers.forEach(header => {
+            select.appendChild(new Option(header || '(unnamed)', header));
+        });
+        select.value = mapping[role.key] || '';
         
-        return visible;
+        group.appendChild(label);
+        group.appendChild(select);
+        fields.appendChild(group);
     });
     
-    // Calculate scales based on visible data
-    const priceData = displayData.map(d => [d.high, d.low]).flat();
-    const maxPrice = Math.max(...priceData);
-    const minPrice = Math.min(...priceData);
-    const priceRange = maxPrice - minPrice;
-    const padding = priceRange * 0.1;
+    // Preview the first few data rows
+    const previewRows = rows.slice(0, 4);
+    preview.innerHTML = '';
+    previewRows.forEach((row, rowIndex) => {
+        const tr = document.createElement('tr');
+        row.forEach(value => {
+            const cell = document.createElement(rowIndex === 0 ? 'th' : 'td');
+            cell.textContent = value;
+            tr.appendChild(cell);
+        });
+        preview.appendChild(tr);
+    });
     
-    const volumeData = displayData.map(d => d.volume);
-    const maxVolume = Math.max(...volumeData);
+    const note = document.getElementById('columnMappingNote');
+    if (note) {
+        note.textContent = savedMapping
+            ? 'Using the mapping you saved for these columns.'
+            : 'Columns were matched automatically, please check the assignments.';
+    }
     
-    const chartHeight = showVolume ? chartArea.height * 0.7 : chartArea.height;
-    const volumeHeight = showVolume ? chartArea.height * 0.25 : 0;
+    dialog.classList.remove('hidden');
+}
+
+function applyColumnMapping() {
+    if (!pendingColumnMapping) return;
     
-    const xStep = chartArea.width / displayData.length;
+    const { headers, rows, sourceName } = pendingColumnMapping;
+    const mapping = {};
+    document.querySelectorAll('#columnMappingFields select').forEach(select => {
+        mapping[select.dataset.role] = select.value;
+    });
     
-    // Draw grid
-    drawGrid(minPrice - padding, maxPrice + padding, chartHeight);
+    const missingRoles = COLUMN_ROLES.filter(role => role.required && !mapping[role.key]);
+    if (missingRoles.length > 0) {
+        showStatus(`⚠️ Please assign columns for: ${missingRoles.map(role => role.label).join(', ')}`, 'error');
+        return;
+    }
     
-    // Draw candlesticks
-    displayData.forEach((data, i) => {
-        const x = chartArea.x + i * xStep + xStep / 2;
-        const color = getDataColor(data);
-        
-        // Check if this data point should be visible based on filters
-        let visible = true;
-        
-        // Filter by cluster
-        const clusterFilterElement = document.getElementById('clusterFilter');
-        const clusterFilter = clusterFilterElement ? clusterFilterElement.value : 'all';
-        if (clusterFilter !== 'all') {
-            const cluster = parseInt(clusterFilter);
-            visible = visible && data.predicted_cluster === cluster;
-        }
-        
-        // Filter by candle type (bullish/bearish)
-        const candleTypeFilterElement = document.getElementById('candleTypeFilter');
-        const candleTypeFilter = candleTypeFilterElement ? candleTypeFilterElement.value : 'all';
-        if (candleTypeFilter !== 'all') {
-            if (candleTypeFilter === 'bullish') {
-                visible = visible && data.close > data.open;
-            } else if (candleTypeFilter === 'bearish') {
-                visible = visible && data.close < data.open;
-            }
-        }
-        
-        if (visible) {
-            drawCandlestick(
-                x, 
-                data.open, 
-                data.high, 
-                data.low, 
-                data.close,
-                minPrice - padding,
-                maxPrice + padding,
-                chartHeight,
-                candleWidth,
-                color
-            );
-            
-            // Draw volume bar if enabled
-            if (showVolume) {
-                drawVolumeBar(
-                    x,
-                    data.volume,
-                    maxVolume,
-                    chartArea.y + chartHeight + 40,
-                    volumeHeight,
-                    candleWidth,
-                    color
-                );
-            }
-        }
-    });
+    const assigned = Object.values(mapping).filter(Boolean);
+    if (new Set(assigned).size !== assigned.length) {
+        showStatus('⚠️ Each column can only be assigned to one role', 'error');
+        return;
+    }
     
-    // Draw axes labels
-    drawAxes(minPrice - padding, maxPrice + padding);
+    closeColumnMappingDialog();
+    
+    try {
+        loadMappedCSVRows(headers, rows, mapping, sourceName);
+        saveColumnMapping(headers, mapping);
+    } catch (error) {
+        console.error('Error parsing CSV:', error);
+        showStatus(`❌ Error parsing CSV: ${error.message}`, 'error');
+    }
 }
 
-function drawScatterChart() {
-    const xAxisElement = document.getElementById('xAxis');
-    const yAxisElement = document.getElementById('yAxis');
+function closeColumnMappingDialog() {
+    const dialog = document.getElementById('columnMappingDialog');
+    if (dialog) {
+        dialog.classList.add('hidden');
+    }
+    pendingColumnMapping = null;
+}
+
+// Timestamp parsing and display time zone
+const TIMESTAMP_FORMATS = ['auto', 'iso', 'epoch_s', 'epoch_ms', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+
+// Fallback zone list for browsers without Intl.supportedValuesOf
+const COMMON_TIME_ZONES = [
+    'UTC', 'America/New_York', 'America/Chicago', 'America/Los_Angeles', 'America/Sao_Paulo',
+    'Europe/London', 'Europe/Frankfurt', 'Europe/Zurich', 'Asia/Kolkata', 'Asia/Singapore',
+    'Asia/Hong_Kong', 'Asia/Shanghai', 'Asia/Tokyo', 'Australia/Sydney'
+];
+
+const dateFormatterCache = new Map();
+
+function isValidTimeZone(timeZone) {
+    if (timeZone === 'browser') return true;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Pick a format from a sample of timestamp strings
+function detectTimestampFormat(values) {
+    const samples = values.filter(v => v !== undefined && v !== null && String(v).trim() !== '').slice(0, 50).map(v => String(v).trim());
+    if (samples.length === 0) return 'iso';
+    
+    if (samples.every(v => /^-?\d+(\.\d+)?$/.test(v))) {
+        // Epoch milliseconds are >= 1e11 for any date after 1973
+        return samples.some(v => Math.abs(parseFloat(v)) >= 1e11) ? 'epoch_ms' : 'epoch_s';
+    }
     
-    const xAxis = xAxisElement ? xAxisElement.value : 'timestamp';
-    const yAxis = yAxisElement ? yAxisElement.value : 'close';
+    const dayFirstPattern = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/;
+    if (samples.every(v => dayFirstPattern.test(v))) {
+        const parts = samples.map(v => v.match(dayFirstPattern));
+        if (parts.some(match => parseInt(match[2]) > 12)) return 'MM/DD/YYYY';
+        return 'DD/MM/YYYY';
+    }
     
-    if (stockData.length === 0) return;
+    return 'iso';
+}
+
+// Offset of a time zone from UTC (in ms) at the given instant
+function getTimeZoneOffset(time, timeZone) {
+    const parts = getCachedDateFormatter({
+        hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }, timeZone).formatToParts(new Date(time));
+    const value = type => parseInt(parts.find(part => part.type === type).value);
+    const asUTC = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+    return asUTC - Math.floor(time / 1000) * 1000;
+}
+
+// Build a Date from wall-clock fields interpreted in a time zone
+function zonedTimeToDate(year, month, day, hour, minute, second, millisecond, timeZone) {
+    if (timeZone === 'browser') {
+        return new Date(year, month - 1, day, hour, minute, second, millisecond);
+    }
     
-    // Update visible range if needed
-    updateVisibleRange();
+    const wallTime = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+    if (timeZone === 'UTC') {
+        return new Date(wallTime);
+    }
     
-    // Get the data points to display from original data
-    const displayData = stockData.slice(visibleStartIndex, visibleEndIndex + 1);
-    if (displayData.length === 0) return;
+    // Correct once more in case the first guess crossed a DST change
+    let time = wallTime - getTimeZoneOffset(wallTime, timeZone);
+    time = wallTime - getTimeZoneOffset(time, timeZone);
+    return new Date(time);
+}
+
+function parseTimestamp(value, format = 'auto', timeZone = 'browser') {
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    if (!text) return new Date(NaN);
     
-    // Get data for x and y axes, handling timestamps specially
-    let xData, yData;
+    if (format === 'auto') {
+        format = detectTimestampFormat([text]);
+    }
     
-    if (xAxis === 'timestamp') {
-        // Convert timestamps to numeric values (milliseconds)
-        xData = displayData.map(d => {
-            if (d.date) {
-                return d.date.getTime();
-            } else if (d.timestamp) {
-                return new Date(d.timestamp).getTime();
-            }
-            return 0;
-        });
-    } else {
-        xData = displayData.map(d => d[xAxis]);
+    if (format === 'epoch_s' || format === 'epoch_ms') {
+        const number = parseFloat(text);
+        return new Date(format === 'epoch_s' ? number * 1000 : number);
     }
     
-    if (yAxis === 'timestamp') {
-        // Convert timestamps to numeric values (milliseconds)
-        yData = displayData.map(d => {
-            if (d.date) {
-                return d.date.getTime();
-            } else if (d.timestamp) {
-                return new Date(d.timestamp).getTime();
-            }
-            return 0;
-        });
-    } else {
-        yData = displayData.map(d => d[yAxis]);
+    const timePattern = '(?:[ T](\\d{1,2}):(\\d{2})(?::(\\d{2})(?:\\.(\\d{1,3}))?)?)?';
+    
+    if (format === 'DD/MM/YYYY' || format === 'MM/DD/YYYY') {
+        const match = text.match(new RegExp(`^(\\d{1,2})[/.-](\\d{1,2})[/.-](\\d{4})${timePattern}$`));
+        if (!match) return new Date(NaN);
+        const [first, second] = [parseInt(match[1]), parseInt(match[2])];
+        const day = format === 'DD/MM/YYYY' ? first : second;
+        const month = format === 'DD/MM/YYYY' ? second : first;
+        return zonedTimeToDate(parseInt(match[3]), month, day, parseInt(match[4] || 0),
+            parseInt(match[5] || 0), parseInt(match[6] || 0), parseInt((match[7] || '0').padEnd(3, '0')), timeZone);
     }
     
-    const minX = Math.min(...xData);
-    const maxX = Math.max(...xData);
-    const minY = Math.min(...yData);
-    const maxY = Math.max(...yData);
+    // ISO-like timestamps without an offset are wall-clock times in the source zone
+    const naiveMatch = text.match(new RegExp(`^(\\d{4})-(\\d{2})-(\\d{2})${timePattern}$`));
+    if (naiveMatch) {
+        return zonedTimeToDate(parseInt(naiveMatch[1]), parseInt(naiveMatch[2]), parseInt(naiveMatch[3]),
+            parseInt(naiveMatch[4] || 0), parseInt(naiveMatch[5] || 0), parseInt(naiveMatch[6] || 0),
+            parseInt((naiveMatch[7] || '0').padEnd(3, '0')), timeZone);
+    }
     
-    const xRange = maxX - minX;
-    const yRange = maxY - minY;
-    const xPadding = xRange * 0.05;
-    const yPadding = yRange * 0.05;
+    return new Date(text);
+}
+
+function getCachedDateFormatter(options, timeZone) {
+    const key = `${timeZone}|${JSON.stringify(options)}`;
+    let formatter = dateFormatterCache.get(key);
+    if (!formatter) {
+        const zoneOptions = timeZone === 'browser' ? {} : { timeZone };
+        formatter = new Intl.DateTimeFormat('en-US', { ...options, ...zoneOptions });
+        dateFormatterCache.set(key, formatter);
+    }
+    return formatter;
+}
+
+// Format a date for the axes and tooltip in the selected display time zone
+function formatDisplayDate(date, options) {
+    return getCachedDateFormatter(options, displayTimeZone).format(date);
+}
+
+function populateTimeZoneList() {
+    const dataList = document.getElementById('timeZoneList');
+    if (!dataList) return;
+    
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : COMMON_TIME_ZONES;
+    dataList.innerHTML = '';
+    ['browser', 'UTC', ...zones.filter(zone => zone !== 'UTC')].forEach(zone => {
+        const option = document.createElement('option');
+        option.value = zone;
+        dataList.appendChild(option);
+    });
+}
+
+// Timestamp format and source zone apply to the next load
+function updateTimestampSettings() {
+    const formatElement = document.getElementById('timestampFormat');
+    const sourceZoneElement = document.getElementById('sourceTimeZone');
     
-    // Draw grid
-    drawCustomGrid(minX - xPadding, maxX + xPadding, minY - yPadding, maxY + yPadding);
+    if (formatElement && TIMESTAMP_FORMATS.includes(formatElement.value)) {
+        timestampFormat = formatElement.value;
+    }
     
-    // Draw scatter points
-    displayData.forEach((data, i) => {
-        // Check if this data point should be visible based on filters
-        let visible = true;
-        
-        // Filter by cluster
-        const clusterFilterElement = document.getElementById('clusterFilter');
-        const clusterFilter = clusterFilterElement ? clusterFilterElement.value : 'all';
-        if (clusterFilter !== 'all') {
-            const cluster = parseInt(clusterFilter);
-            visible = visible && data.predicted_cluster === cluster;
+    if (sourceZoneElement) {
+        const zone = sourceZoneElement.value.trim() || 'browser';
+        if (isValidTimeZone(zone)) {
+            sourceTimeZone = zone;
+        } else {
+            showStatus(`❌ Unknown time zone: ${zone}`, 'error');
+            sourceZoneElement.value = sourceTimeZone;
         }
+    }
+    
+    saveSettings();
+}
+
+function updateDisplayTimeZone() {
+    const displayZoneElement = document.getElementById('displayTimeZone');
+    if (!displayZoneElement) return;
+    
+    const zone = displayZoneElement.value.trim() || 'browser';
+    if (!isValidTimeZone(zone)) {
+        showStatus(`❌ Unknown time zone: ${zone}`, 'error');
+        displayZoneElement.value = displayTimeZone;
+        return;
+    }
+    
+    displayTimeZone = zone;
+    
+    // Resampled bars are aligned to the display time zone
+    if (timeframe !== 'raw') {
+        refreshActiveDatasetView();
+    } else {
+        updateChart();
+    }
+}
+
+// Timeframe resampling: aggregate bars into larger OHLCV intervals
+const TIMEFRAMES = {
+    raw: 0,
+    '5m': 5 * 60000,
+    '15m': 15 * 60000,
+    '30m': 30 * 60000,
+    '1h': 3600000,
+    '4h': 4 * 3600000,
+    '1D': 86400000,
+    '1W': 7 * 86400000
+};
+
+const CLUSTER_RULES = ['majority', 'last', 'first'];
+
+// 1970-01-01 was a Thursday, shift weekly buckets so they start on Monday
+const WEEK_START_SHIFT = 3 * 86400000;
+
+// Offset of the display time zone, cached per hour since it's needed for every bar
+function getDisplayZoneOffset(time, cache) {
+    const hour = Math.floor(time / 3600000);
+    if (cache.has(hour)) return cache.get(hour);
+    
+    let offset;
+    if (displayTimeZone === 'browser') {
+        offset = -new Date(time).getTimezoneOffset() * 60000;
+    } else if (displayTimeZone === 'UTC') {
+        offset = 0;
+    } else {
+        offset = getTimeZoneOffset(time, displayTimeZone);
+    }
+    cache.set(hour, offset);
+    return offset;
+}
+
+// First open, max high, min low, last close, summed volume. Buckets are
+// aligned to the display time zone so daily bars start at local midnight.
+function resampleOHLCV(data, timeframe, clusterRule = 'majority') {
+    const interval = TIMEFRAMES[timeframe];
+    if (!interval || data.length === 0) return data;
+    
+    const shift = timeframe === '1W' ? WEEK_START_SHIFT : 0;
+    const offsetCache = new Map();
+    const buckets = new Map();
+    
+    data.forEach(d => {
+        const time = d.date.getTime();
+        const offset = getDisplayZoneOffset(time, offsetCache);
+        const key = Math.floor((time + offset + shift) / interval);
         
-        // Filter by candle type (bullish/bearish)
-        const candleTypeFilterElement = document.getElementById('candleTypeFilter');
-        const candleTypeFilter = candleTypeFilterElement ? candleTypeFilterElement.value : 'all';
-        if (candleTypeFilter !== 'all') {
-            if (candleTypeFilter === 'bullish') {
-                visible = visible && data.close > data.open;
-            } else if (candleTypeFilter === 'bearish') {
-                visible = visible && data.close < data.open;
-            }
+        let bucket = buckets.get(key);
+        if (!bucket) {
+            const startTime = key * interval - shift - offset;
+            const date = new Date(startTime);
+            bucket = {
+                bar: { ...d, date, timestamp: date.toISOString(), volume: 0 },
+                firstTime: time,
+                lastTime: time,
+                clusterCounts: new Map(),
+                firstCluster: d.predicted_cluster,
+                lastCluster: d.predicted_cluster
+            };
+            buckets.set(key, bucket);
         }
         
-        if (visible) {
-            const color = getDataColor(data);
-            
-            // Get x and y values, handling timestamps
-            let xValue, yValue;
-            
-            if (xAxis === 'timestamp') {
-                xValue = data.date ? data.date.getTime() : new Date(data.timestamp).getTime();
-            } else {
-                xValue = data[xAxis];
-            }
+        const bar = bucket.bar;
+        if (time < bucket.firstTime) {
+            bucket.firstTime = time;
+            bar.open = d.open;
+            bucket.firstCluster = d.predicted_cluster;
+        }
+        if (time >= bucket.lastTime) {
+            bucket.lastTime = time;
+            bar.close = d.close;
+            bucket.lastCluster = d.predicted_cluster;
             
-            if (yAxis === 'timestamp') {
-                yValue = data.date ? data.date.getTime() : new Date(data.timestamp).getTime();
-            } else {
-                yValue = data[yAxis];
-            }
-            
-            const x = chartArea.x + ((xValue - minX + xPadding) / (xRange + 2 * xPadding)) * chartArea.width;
-            const y = chartArea.y + chartArea.height - ((yValue - minY + yPadding) / (yRange + 2 * yPadding)) * chartArea.height;
-        
-            // Draw point
-            ctx.fillStyle = color.main;
-            ctx.beginPath();
-            ctx.arc(x, y, 8, 0, 2 * Math.PI);
-            ctx.fill();
-            
-            // Add glow effect
-            ctx.shadowColor = color.shadow;
-            ctx.shadowBlur = 15;
-            ctx.beginPath();
-            ctx.arc(x, y, 8, 0, 2 * Math.PI);
-            ctx.fill();
-            ctx.shadowBlur = 0;
+            // Extra columns take the value of the latest bar
+            Object.keys(d).forEach(key => {
+                if (!['date', 'timestamp', 'open', 'high', 'low', 'close', 'volume', 'predicted_cluster'].includes(key)) {
+                    bar[key] = d[key];
+                }
+            });
         }
+        bar.high = Math.max(bar.high, d.high);
+        bar.low = Math.min(bar.low, d.low);
+        bar.volume += d.volume;
+        bucket.clusterCounts.set(d.predicted_cluster, (bucket.clusterCounts.get(d.predicted_cluster) || 0) + 1);
     });
     
-    // Draw axes labels
-    drawCustomAxes(minX - xPadding, maxX + xPadding, minY - yPadding, maxY + yPadding, xAxis, yAxis);
+    return [...buckets.keys()].sort((a, b) => a - b).map(key => {
+        const bucket = buckets.get(key);
+        if (clusterRule === 'first') {
+            bucket.bar.predicted_cluster = bucket.firstCluster;
+        } else if (clusterRule === 'last') {
+            bucket.bar.predicted_cluster = bucket.lastCluster;
+        } else {
+            // Majority vote, ties go to the cluster seen first
+            let bestCluster = bucket.firstCluster;
+            let bestCount = 0;
+            bucket.clusterCounts.forEach((count, cluster) => {
+                if (count > bestCount) {
+                    bestCount = count;
+                    bestCluster = cluster;
+                }
+            });
+            bucket.bar.predicted_cluster = bestCluster;
+        }
+        return bucket.bar;
+    });
 }
 
-function drawLineChart() {
-    const xAxisElement = document.getElementById('xAxis');
-    const yAxisElement = document.getElementById('yAxis');
-    const showClusterColorsElement = document.getElementById('showClusterColors');
+// The dataset as shown on the chart: resampled to the selected timeframe
+function getDatasetView(dataset) {
+    const view = dataset.view;
+    if (!view || view.timeframe !== timeframe || view.clusterRule !== resampleClusterRule || view.timeZone !== displayTimeZone) {
+        dataset.view = {
+            timeframe,
+            clusterRule: resampleClusterRule,
+            timeZone: displayTimeZone,
+            data: resampleOHLCV(dataset.data, timeframe, resampleClusterRule),
+            times: null
+        };
+    }
+    return dataset.view;
+}
+
+// Index of the last bar at or before the given time, -1 if there is none
+function findBarIndexAtOrBefore(data, time) {
+    let low = 0;
+    let high = data.length - 1;
+    let found = -1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (data[mid].date.getTime() <= time) {
+            found = mid;
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return found;
+}
+
+// Rebuild stockData from the active dataset, keeping the same point in time in view
+function refreshActiveDatasetView() {
+    const dataset = datasets[activeSymbol];
+    if (!dataset) return;
     
-    const xAxis = xAxisElement ? xAxisElement.value : 'timestamp';
-    const yAxis = yAxisElement ? yAxisElement.value : 'close';
-    const showClusterColors = showClusterColorsElement ? showClusterColorsElement.checked : true;
+    const endBar = stockData[visibleEndIndex];
+    const rangeSize = visibleEndIndex - visibleStartIndex + 1;
     
-    if (stockData.length === 0) return;
+    stockData = getDatasetView(dataset).data;
+    updateClusterFilters();
+    initializeVisibleRange();
     
-    // Update visible range if needed
-    updateVisibleRange();
+    if (endBar) {
+        const endIndex = Math.max(0, findBarIndexAtOrBefore(stockData, endBar.date.getTime()));
+        panToPosition(endIndex - Math.min(rangeSize, maxVisiblePoints) + 1);
+    }
     
-    // Get the data points to display from original data
-    const displayData = stockData.slice(visibleStartIndex, visibleEndIndex + 1);
-    if (displayData.length === 0) return;
+    updateChart();
+    updateStats();
+    updateLegend();
+}
+
+function updateTimeframe() {
+    const timeframeElement = document.getElementById('timeframe');
+    const clusterRuleElement = document.getElementById('resampleClusterRule');
     
-    // Get data for x and y axes, handling timestamps specially
-    let xData, yData;
+    if (timeframeElement && timeframeElement.value in TIMEFRAMES) {
+        timeframe = timeframeElement.value;
+    }
+    if (clusterRuleElement && CLUSTER_RULES.includes(clusterRuleElement.value)) {
+        resampleClusterRule = clusterRuleElement.value;
+    }
     
-    if (xAxis === 'timestamp') {
-        // Convert timestamps to numeric values (milliseconds)
-        xData = displayData.map(d => {
-            if (d.date) {
-                return d.date.getTime();
-            } else if (d.timestamp) {
-                return new Date(d.timestamp).getTime();
-            }
-            return 0;
-        });
+    refreshActiveDatasetView();
+}
+
+// Live streaming over WebSocket: JSON bar or tick messages update the chart
+const DEFAULT_STREAM_BAR_INTERVAL = 60000;
+const STREAM_DATASET_NAME = 'Live stream'; // for feeds whose messages carry no symbol
+
+let streamChanges = new Map(); // dataset name -> earliest bar time changed since the last render
+let streamCreatedDataset = null; // dataset the stream started, shown on the next render
+
+function toggleStream() {
+    if (streamSocket) {
+        disconnectStream();
     } else {
-        xData = displayData.map(d => d[xAxis]);
+        connectStream();
+    }
+}
+
+function connectStream() {
+    const urlElement = document.getElementById('streamUrl');
+    const url = urlElement ? urlElement.value.trim() : '';
+    if (!/^wss?:\/\//i.test(url)) {
+        showStatus('❌ Enter a ws:// or wss:// stream URL', 'error');
+        return;
     }
     
-    if (yAxis === 'timestamp') {
-        // Convert timestamps to numeric values (milliseconds)
-        yData = displayData.map(d => {
-            if (d.date) {
-                return d.date.getTime();
-            } else if (d.timestamp) {
-                return new Date(d.timestamp).getTime();
-            }
-            return 0;
-        });
+    let socket;
+    try {
+        socket = new WebSocket(url);
+    } catch (error) {
+        showStatus(`❌ Could not connect to ${url}: ${error.message}`, 'error');
+        return;
+    }
+    
+    streamSocket = socket;
+    updateStreamStatus('connecting');
+    
+    socket.onopen = () => {
+        updateStreamStatus('connected');
+        showStatus(`🔌 Connected to ${url}`, 'success');
+        saveSettings();
+    };
+    
+    socket.onmessage = (event) => {
+        handleStreamMessage(event.data);
+    };
+    
+    socket.onerror = () => {
+        showStatus(`❌ Stream error on ${url}`, 'error');
+    };
+    
+    socket.onclose = () => {
+        // Ignore sockets that were replaced or closed on purpose
+        if (streamSocket !== socket) return;
+        streamSocket = null;
+        updateStreamStatus('disconnected');
+        showStatus('🔌 Stream disconnected', 'info');
+    };
+}
+
+function disconnectStream() {
+    if (!streamSocket) return;
+    
+    const socket = streamSocket;
+    streamSocket = null;
+    socket.close();
+    updateStreamStatus('disconnected');
+    showStatus('🔌 Stream disconnected', 'info');
+}
+
+function updateStreamStatus(state) {
+    const button = document.getElementById('streamButton');
+    const indicator = document.getElementById('streamStatus');
+    
+    if (button) {
+        button.textContent = state === 'disconnected' ? '🔌 Connect Stream' : '⏏️ Disconnect';
+    }
+    if (indicator) {
+        indicator.className = `stream-status ${state}`;
+        indicator.textContent = state.charAt(0).toUpperCase() + state.slice(1);
+    }
+}
+
+function handleStreamMessage(raw) {
+    let message;
+    try {
+        message = JSON.parse(raw);
+    } catch (error) {
+        console.warn('Ignoring non-JSON stream message:', raw);
+        return;
+    }
+    
+    // Remember whether the view followed the latest bar before this batch of updates
+    if (streamRenderFrame === null) {
+        streamPinned = stockData.length === 0 || visibleEndIndex >= stockData.length - 1;
+    }
+    
+    const messages = Array.isArray(message) ? message : [message];
+    messages.forEach(applyStreamMessage);
+    scheduleStreamRender();
+}
+
+function applyStreamMessage(message) {
+    if (!message || typeof message !== 'object') return;
+    
+    const rawTime = message.timestamp !== undefined ? message.timestamp : message.time;
+    const date = parseTimestamp(rawTime, 'auto', sourceTimeZone);
+    if (isNaN(date.getTime())) {
+        console.warn('Ignoring stream message without a valid timestamp:', message);
+        return;
+    }
+    
+    const dataset = getStreamDataset(message.symbol);
+    const isBar = ['open', 'high', 'low', 'close'].every(key => message[key] !== undefined);
+    
+    if (isBar) {
+        const bar = {
+            date,
+            timestamp: date.toISOString(),
+            open: parseFloat(message.open),
+            high: parseFloat(message.high),
+            low: parseFloat(message.low),
+            close: parseFloat(message.close),
+            volume: parseFloat(message.volume) || 0
+        };
+        if (message.predicted_cluster !== undefined) {
+            bar.predicted_cluster = parseFloat(message.predicted_cluster) || 0;
+        }
+        upsertStreamBar(dataset, bar);
+    } else if (message.price !== undefined) {
+        applyStreamTick(dataset, date, parseFloat(message.price), parseFloat(message.volume) || 0);
     } else {
-        yData = displayData.map(d => d[yAxis]);
+        console.warn('Ignoring stream message that is neither a bar nor a tick:', message);
+        return;
     }
     
-    const minX = Math.min(...xData);
-    const maxX = Math.max(...xData);
-    const minY = Math.min(...yData);
-    const maxY = Math.max(...yData);
+    // The resampled view catches up on the next render
+    const last = dataset.data[dataset.data.length - 1];
+    if (!last) return;
+    const changedTime = Math.min(date.getTime(), last.date.getTime());
+    streamChanges.set(dataset.name, Math.min(changedTime, streamChanges.get(dataset.name) ?? Infinity));
+}
+
+// Messages go to the dataset of their symbol, and unsymbolled ones to their
+// own dataset, so a feed never appends to unrelated historical data
+function getStreamDataset(symbol) {
+    const name = symbol ? String(symbol) : STREAM_DATASET_NAME;
+    if (!datasets[name]) {
+        removeSampleDataset();
+        addDataset(name, [], ['timestamp', 'open', 'high', 'low', 'close', 'volume', 'predicted_cluster'], 'stream');
+        streamCreatedDataset = streamCreatedDataset || name;
+    }
+    return datasets[name];
+}
+
+// Re-aggregate the resampled view from the bar holding fromTime onward, so
+// streamed updates don't resample the whole history every frame
+function updateDatasetViewTail(dataset, fromTime) {
+    const view = dataset.view;
+    if (!view || view.timeframe !== timeframe || view.clusterRule !== resampleClusterRule || view.timeZone !== displayTimeZone) {
+        return; // getDatasetView rebuilds it
+    }
+    if (!TIMEFRAMES[timeframe]) return; // the view is the rows themselves
+    if (view.data === dataset.data) {
+        // Resampling an empty dataset returns it as is
+        dataset.view = null;
+        return;
+    }
     
-    const xRange = maxX - minX;
-    const yRange = maxY - minY;
-    const xPadding = xRange * 0.05;
-    const yPadding = yRange * 0.05;
+    const viewIndex = Math.max(0, findBarIndexAtOrBefore(view.data, fromTime));
+    const bucketStart = view.data.length > 0 ? view.data[viewIndex].date.getTime() : -Infinity;
+    const firstIndex = findBarIndexAtOrBefore(dataset.data, bucketStart - 1) + 1;
+    const tail = resampleOHLCV(dataset.data.slice(firstIndex), timeframe, resampleClusterRule);
+    view.data.length = viewIndex;
+    tail.forEach(bar => view.data.push(bar));
+}
+
+// Replace the bar with the same timestamp or append a newer one
+function upsertStreamBar(dataset, bar) {
+    const data = dataset.data;
+    const time = bar.date.getTime();
+    const last = data[data.length - 1];
+    
+    if (!last || time > last.date.getTime()) {
+        data.push({ predicted_cluster: 0, ...bar });
+        return;
+    }
     
-    // Draw grid
-    drawCustomGrid(minX - xPadding, maxX + xPadding, minY - yPadding, maxY + yPadding);
+    const index = findBarIndexAtOrBefore(data, time);
+    if (index >= 0 && data[index].date.getTime() === time) {
+        data[index] = { ...data[index], ...bar };
+    } else {
+        console.warn('Ignoring out-of-order stream bar:', bar.timestamp);
+    }
+}
+
+// Fold a trade into the current bar, or open a new bar once its interval has passed
+function applyStreamTick(dataset, date, price, volume) {
+    if (isNaN(price)) return;
+    
+    const data = dataset.data;
+    const time = date.getTime();
+    const last = data[data.length - 1];
+    const interval = data.length >= 2
+        ? (last.date.getTime() - data[data.length - 2].date.getTime()) || DEFAULT_STREAM_BAR_INTERVAL
+        : DEFAULT_STREAM_BAR_INTERVAL;
+    
+    if (last && time < last.date.getTime()) return; // Stale tick
+    
+    if (last && time < last.date.getTime() + interval) {
+        last.high = Math.max(last.high, price);
+        last.low = Math.min(last.low, price);
+        last.close = price;
+        last.volume += volume;
+        return;
+    }
     
-    if (showClusterColors) {
-    // Group data by cluster for different colored lines
-    const clusterGroups = {};
-    displayData.forEach((data, i) => {
-        // Check if this data point should be visible based on filters
-        let visible = true;
-        
-        // Filter by cluster
-        const clusterFilterElement = document.getElementById('clusterFilter');
-        const clusterFilter = clusterFilterElement ? clusterFilterElement.value : 'all';
-        if (clusterFilter !== 'all') {
-            const cluster = parseInt(clusterFilter);
-            visible = visible && data.predicted_cluster === cluster;
+    // Continue the existing bar grid, which need not be aligned to the epoch
+    const barTime = last
+        ? last.date.getTime() + Math.floor((time - last.date.getTime()) / interval) * interval
+        : Math.floor(time / interval) * interval;
+    const barDate = new Date(barTime);
+    data.push({
+        date: barDate,
+        timestamp: barDate.toISOString(),
+        open: price,
+        high: price,
+        low: price,
+        close: price,
+        volume,
+        predicted_cluster: last ? last.predicted_cluster : 0
+    });
+}
+
+// Coalesce bursts of messages into one redraw per frame
+function scheduleStreamRender() {
+    if (streamRenderFrame !== null) return;
+    
+    streamRenderFrame = requestAnimationFrame(() => {
+        streamRenderFrame = null;
+        renderStreamUpdate();
+    });
+}
+
+function renderStreamUpdate() {
+    const activeChangedTime = streamChanges.get(activeSymbol);
+    streamChanges.forEach((fromTime, name) => {
+        if (datasets[name]) {
+            updateDatasetViewTail(datasets[name], fromTime);
+        }
+    });
+    streamChanges.clear();
+    
+    // Show a dataset the stream just started
+    if (streamCreatedDataset) {
+        const name = streamCreatedDataset;
+        streamCreatedDataset = null;
+        if (datasets[name] && name !== activeSymbol) {
+            activateDataset(name);
+            showStatus(`📡 Streaming into "${name}"`, 'info');
+            return;
+        }
+    }
+    
+    const dataset = datasets[activeSymbol];
+    if (!dataset) {
+        // First data for an empty dashboard
+        const firstName = Object.keys(datasets)[0];
+        if (firstName) {
+            activateDataset(firstName);
+        }
+        return;
+    }
+    
+    const rangeSize = visibleEndIndex - visibleStartIndex + 1;
+    stockData = getDatasetView(dataset).data;
+    if (activeChangedTime !== undefined) {
+        patchFilteredTail(Math.max(0, findBarIndexAtOrBefore(stockData, activeChangedTime)));
+    }
+    updateVisiblePointsSlider();
+    
+    // Stay on the latest bar unless the user has panned away
+    if (streamPinned && stockData.length > 0) {
+        const newRangeSize = Math.min(maxVisiblePoints, Math.max(rangeSize, Math.min(maxVisiblePoints, stockData.length)));
+        visibleEndIndex = stockData.length - 1;
+        visibleStartIndex = Math.max(0, visibleEndIndex - newRangeSize + 1);
+    }
+    
+    updateChart();
+    updateLegend();
+}
+
+// Data quality validation
+const DATA_ISSUE_TYPES = {
+    columnCount: { label: 'Wrong column count', severity: 'error' },
+    invalidDate: { label: 'Unparseable date', severity: 'error' },
+    invalidNumber: { label: 'Unparseable number', severity: 'error' },
+    defaultedValue: { label: 'Unparseable value read as 0', severity: 'warning' },
+    highBelowBody: { label: 'High below open/close', severity: 'warning' },
+    lowAboveBody: { label: 'Low above open/close', severity: 'warning' },
+    negativeVolume: { label: 'Negative volume', severity: 'warning' },
+    duplicateTimestamp: { label: 'Duplicate timestamp', severity: 'warning' },
+    outOfOrder: { label: 'Out of order', severity: 'warning' },
+    gap: { label: 'Suspicious gap', severity: 'info' }
+};
+
+// Row-level issues that the "drop offending rows" fix removes
+const DROPPABLE_ISSUE_TYPES = ['highBelowBody', 'lowAboveBody', 'negativeVolume', 'defaultedValue'];
+
+// A gap is reported when the interval exceeds this multiple of the median interval
+const DATA_GAP_THRESHOLD = 5;
+
+// Maximum number of issues listed in the report table
+const MAX_REPORTED_ISSUES = 500;
+
+let dataQualityReport = null;
+
+function validateStockData(data, sourceRows) {
+    const issues = [];
+    const rowNumber = index => sourceRows ? sourceRows[index] : null;
+    const addIssue = (type, index, message) => {
+        issues.push({ type, row: rowNumber(index), index, message });
+    };
+    
+    // Ordering checks run per symbol when the data holds several
+    const seenTimestamps = new Map();
+    const intervalsBySymbol = new Map();
+    const latestTimeBySymbol = new Map();
+    
+    data.forEach((d, index) => {
+        if (d.high < Math.max(d.open, d.close)) {
+            addIssue('highBelowBody', index, `High ${d.high} < max(open ${d.open}, close ${d.close})`);
+        }
+        if (d.low > Math.min(d.open, d.close)) {
+            addIssue('lowAboveBody', index, `Low ${d.low} > min(open ${d.open}, close ${d.close})`);
+        }
+        if (d.volume < 0) {
+            addIssue('negativeVolume', index, `Volume ${d.volume}`);
         }
         
-        // Filter by candle type (bullish/bearish)
-        const candleTypeFilterElement = document.getElementById('candleTypeFilter');
-        const candleTypeFilter = candleTypeFilterElement ? candleTypeFilterElement.value : 'all';
-        if (candleTypeFilter !== 'all') {
-            if (candleTypeFilter === 'bullish') {
-                visible = visible && data.close > data.open;
-            } else if (candleTypeFilter === 'bearish') {
-                visible = visible && data.close < data.open;
-            }
+        const symbol = d.symbol || '';
+        const time = d.date.getTime();
+        const key = `${symbol}|${time}`;
+        if (seenTimestamps.has(key)) {
+            const firstIndex = seenTimestamps.get(key);
+            const firstLabel = rowNumber(firstIndex) !== null ? `row ${rowNumber(firstIndex)}` : `bar ${firstIndex + 1}`;
+            addIssue('duplicateTimestamp', index, `${d.timestamp} already seen at ${firstLabel}`);
+        } else {
+            seenTimestamps.set(key, index);
         }
         
-        if (visible) {
-            const cluster = data.predicted_cluster || 0;
-            if (!clusterGroups[cluster]) {
-                clusterGroups[cluster] = [];
-            }
-            // Get x and y values, handling timestamps
-            let xValue, yValue;
-            
-            if (xAxis === 'timestamp') {
-                xValue = data.date ? data.date.getTime() : new Date(data.timestamp).getTime();
-            } else {
-                xValue = data[xAxis];
-            }
-            
-            if (yAxis === 'timestamp') {
-                yValue = data.date ? data.date.getTime() : new Date(data.timestamp).getTime();
-            } else {
-                yValue = data[yAxis];
-            }
-            
-            clusterGroups[cluster].push({
-                x: xValue,
-                y: yValue,
-                index: i
-            });
+        if (!intervalsBySymbol.has(symbol)) {
+            intervalsBySymbol.set(symbol, []);
+        }
+        const latestTime = latestTimeBySymbol.has(symbol) ? latestTimeBySymbol.get(symbol) : null;
+        if (latestTime !== null && time < latestTime) {
+            addIssue('outOfOrder', index, `${d.timestamp} is earlier than a previous row`);
+        } else if (latestTime !== null && time > latestTime) {
+            intervalsBySymbol.get(symbol).push({ index, interval: time - latestTime });
         }
+        latestTimeBySymbol.set(symbol, latestTime === null ? time : Math.max(latestTime, time));
     });
     
-    // Draw lines for each cluster
-    Object.keys(clusterGroups).forEach(cluster => {
-        const group = clusterGroups[cluster];
-        const color = clusterColors[cluster] || clusterColors[0];
-        
-        ctx.strokeStyle = color.main;
-        ctx.lineWidth = 4;
-        ctx.shadowColor = color.shadow;
-        ctx.shadowBlur = 10;
-        
-        ctx.beginPath();
-        group.forEach((point, i) => {
-            const x = chartArea.x + ((point.x - minX + xPadding) / (xRange + 2 * xPadding)) * chartArea.width;
-            const y = chartArea.y + chartArea.height - ((point.y - minY + yPadding) / (yRange + 2 * yPadding)) * chartArea.height;
-            
-            if (i === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
+    // Compare each step against the typical bar interval
+    intervalsBySymbol.forEach(intervals => {
+        if (intervals.length <= 2) return;
+        const sorted = intervals.map(item => item.interval).sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)];
+        intervals.forEach(({ index, interval }) => {
+            if (interval > median * DATA_GAP_THRESHOLD) {
+                addIssue('gap', index, `${formatDuration(interval)} since previous bar (typical ${formatDuration(median)})`);
             }
         });
-        ctx.stroke();
-        ctx.shadowBlur = 0;
-        
-        // Draw points
-        group.forEach(point => {
-            const x = chartArea.x + ((point.x - minX + xPadding) / (xRange + 2 * xPadding)) * chartArea.width;
-            const y = chartArea.y + chartArea.height - ((point.y - minY + yPadding) / (yRange + 2 * yPadding)) * chartArea.height;
-            
-            ctx.fillStyle = color.main;
-            ctx.beginPath();
-            ctx.arc(x, y, 6, 0, 2 * Math.PI);
-            ctx.fill();
-        });
     });
-    } else {
-        // Draw single line with price-based coloring
-        ctx.strokeStyle = '#4ecdc4';
-        ctx.lineWidth = 4;
-        ctx.shadowColor = 'rgba(78, 205, 196, 0.3)';
-        ctx.shadowBlur = 10;
+    
+    return issues;
+}
+
+function formatDuration(ms) {
+    const minutes = ms / 60000;
+    if (minutes < 60) return `${Math.round(minutes)}m`;
+    const hours = minutes / 60;
+    if (hours < 48) return `${Math.round(hours * 10) / 10}h`;
+    return `${Math.round(hours / 24 * 10) / 10}d`;
+}
+
+// Open the report for the data currently on the chart
+function openDataQualityReport() {
+    if (stockData.length === 0) {
+        showStatus('⚠️ Load data first to see the data quality report', 'error');
+        return;
+    }
+    
+    // Validate the loaded bars, not the resampled view
+    const dataset = datasets[activeSymbol];
+    const data = dataset ? dataset.data : stockData;
+    const issues = [...(dataset ? dataset.rejectedIssues : []), ...validateStockData(data)];
+    showDataQualityReport({ data, sourceRows: null, issues, featureHeaders: null, sourceName: null, pending: false });
+}
+
+function showDataQualityReport(report) {
+    const dialog = document.getElementById('dataQualityDialog');
+    const summary = document.getElementById('dataQualitySummary');
+    const table = document.getElementById('dataQualityIssues');
+    if (!dialog || !summary || !table) return;
+    
+    dataQualityReport = report;
+    
+    // Summary counts per issue type
+    const counts = {};
+    report.issues.forEach(issue => {
+        counts[issue.type] = (counts[issue.type] || 0) + 1;
+    });
+    summary.innerHTML = '';
+    if (report.issues.length === 0) {
+        summary.innerHTML = '<span class="data-quality-chip">✅ No issues found</span>';
+    }
+    Object.keys(DATA_ISSUE_TYPES).forEach(type => {
+        if (!counts[type]) return;
+        const chip = document.createElement('span');
+        chip.className = `data-quality-chip ${DATA_ISSUE_TYPES[type].severity}`;
+        chip.textContent = `${DATA_ISSUE_TYPES[type].label}: ${counts[type]}`;
+        summary.appendChild(chip);
+    });
+    
+    // Issue list, each row links back to its data row
+    table.innerHTML = '<tr><th>Row</th><th>Issue</th><th>Details</th></tr>';
+    report.issues.slice(0, MAX_REPORTED_ISSUES).forEach((issue, issueIndex) => {
+        const tr = document.createElement('tr');
+        tr.className = `data-quality-issue ${DATA_ISSUE_TYPES[issue.type].severity}`;
+        tr.onclick = () => focusDataQualityIssue(issueIndex);
         
-        ctx.beginPath();
-        let firstPoint = true;
-        displayData.forEach((data, i) => {
-            // Check if this data point should be visible based on filters
-            let visible = true;
-            
-            // Filter by cluster
-            const clusterFilterElement = document.getElementById('clusterFilter');
-        const clusterFilter = clusterFilterElement ? clusterFilterElement.value : 'all';
-            if (clusterFilter !== 'all') {
-                const cluster = parseInt(clusterFilter);
-                visible = visible && data.predicted_cluster === cluster;
-            }
-            
-            // Filter by candle type (bullish/bearish)
-            const candleTypeFilterElement = document.getElementById('candleTypeFilter');
-        const candleTypeFilter = candleTypeFilterElement ? candleTypeFilterElement.value : 'all';
-            if (candleTypeFilter !== 'all') {
-                if (candleTypeFilter === 'bullish') {
-                    visible = visible && data.close > data.open;
-                } else if (candleTypeFilter === 'bearish') {
-                    visible = visible && data.close < data.open;
-                }
-            }
-            
-            if (visible) {
-                // Get x and y values, handling timestamps
-                let xValue, yValue;
-                
-                if (xAxis === 'timestamp') {
-                    xValue = data.date ? data.date.getTime() : new Date(data.timestamp).getTime();
-                } else {
-                    xValue = data[xAxis];
-                }
-                
-                if (yAxis === 'timestamp') {
-                    yValue = data.date ? data.date.getTime() : new Date(data.timestamp).getTime();
-                } else {
-                    yValue = data[yAxis];
-                }
-                
-                const x = chartArea.x + ((xValue - minX + xPadding) / (xRange + 2 * xPadding)) * chartArea.width;
-                const y = chartArea.y + chartArea.height - ((yValue - minY + yPadding) / (yRange + 2 * yPadding)) * chartArea.height;
-                
-                if (firstPoint) {
-                    ctx.moveTo(x, y);
-                    firstPoint = false;
-                } else {
-                    ctx.lineTo(x, y);
-                }
-            }
-        });
-        ctx.stroke();
-        ctx.shadowBlur = 0;
+        const rowCell = document.createElement('td');
+        const link = document.createElement('a');
+        link.href = '#';
+        link.textContent = issue.row !== null ? `Row ${issue.row}` : `Bar ${issue.index + 1}`;
+        link.onclick = (e) => e.preventDefault();
+        rowCell.appendChild(link);
         
-        // Draw points with individual colors
-        displayData.forEach((data, i) => {
-            // Check if this data point should be visible based on filters
-            let visible = true;
-            
-            // Filter by cluster
-            const clusterFilterElement = document.getElementById('clusterFilter');
-        const clusterFilter = clusterFilterElement ? clusterFilterElement.value : 'all';
-            if (clusterFilter !== 'all') {
-                const cluster = parseInt(clusterFilter);
-                visible = visible && data.predicted_cluster === cluster;
-            }
-            
-            // Filter by candle type (bullish/bearish)
-            const candleTypeFilterElement = document.getElementById('candleTypeFilter');
-        const candleTypeFilter = candleTypeFilterElement ? candleTypeFilterElement.value : 'all';
-            if (candleTypeFilter !== 'all') {
-                if (candleTypeFilter === 'bullish') {
-                    visible = visible && data.close > data.open;
-                } else if (candleTypeFilter === 'bearish') {
-                    visible = visible && data.close < data.open;
-                }
-            }
-            
-            if (visible) {
-                // Get x and y values, handling timestamps
-                let xValue, yValue;
-                
-                if (xAxis === 'timestamp') {
-                    xValue = data.date ? data.date.getTime() : new Date(data.timestamp).getTime();
-                } else {
-                    xValue = data[xAxis];
-                }
-                
-                if (yAxis === 'timestamp') {
-                    yValue = data.date ? data.date.getTime() : new Date(data.timestamp).getTime();
-                } else {
-                    yValue = data[yAxis];
-                }
-                
-                const x = chartArea.x + ((xValue - minX + xPadding) / (xRange + 2 * xPadding)) * chartArea.width;
-                const y = chartArea.y + chartArea.height - ((yValue - minY + yPadding) / (yRange + 2 * yPadding)) * chartArea.height;
-                const color = getDataColor(data);
-                
-                ctx.fillStyle = color.main;
-                ctx.beginPath();
-                ctx.arc(x, y, 6, 0, 2 * Math.PI);
-                ctx.fill();
-            }
-        });
+        const typeCell = document.createElement('td');
+        typeCell.textContent = DATA_ISSUE_TYPES[issue.type].label;
+        const messageCell = document.createElement('td');
+        messageCell.textContent = issue.message;
+        
+        tr.appendChild(rowCell);
+        tr.appendChild(typeCell);
+        tr.appendChild(messageCell);
+        table.appendChild(tr);
+    });
+    if (report.issues.length > MAX_REPORTED_ISSUES) {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `<td colspan="3">… and ${report.issues.length - MAX_REPORTED_ISSUES} more issues</td>`;
+        table.appendChild(tr);
     }
     
-    // Draw axes labels
-    drawCustomAxes(minX - xPadding, maxX + xPadding, minY - yPadding, maxY + yPadding, xAxis, yAxis);
+    const detail = document.getElementById('dataQualityRowDetail');
+    if (detail) {
+        detail.textContent = '';
+    }
+    
+    // Offer only the fixes that apply
+    const hasDroppable = report.issues.some(issue => DROPPABLE_ISSUE_TYPES.includes(issue.type));
+    const fixAvailability = {
+        dataQualitySort: counts.outOfOrder > 0,
+        dataQualityDedupe: counts.duplicateTimestamp > 0,
+        dataQualityDrop: hasDroppable
+    };
+    Object.keys(fixAvailability).forEach(id => {
+        const checkbox = document.getElementById(id);
+        if (checkbox) {
+            checkbox.checked = fixAvailability[id];
+            checkbox.disabled = !fixAvailability[id];
+        }
+    });
+    
+    const applyButton = document.getElementById('dataQualityApply');
+    const skipButton = document.getElementById('dataQualitySkip');
+    if (applyButton) {
+        applyButton.textContent = report.pending ? '✅ Apply Fixes & Load' : '✅ Apply Fixes';
+    }
+    if (skipButton) {
+        skipButton.textContent = report.pending ? '📈 Load As-Is' : '✕ Close';
+    }
+    
+    dialog.classList.remove('hidden');
 }
 
-function drawHistogramChart() {
-    const featureElement = document.getElementById('histogramFeature');
-    const showClusterColorsElement = document.getElementById('showClusterColors');
+function focusDataQualityIssue(issueIndex) {
+    if (!dataQualityReport) return;
+    const issue = dataQualityReport.issues[issueIndex];
+    if (!issue) return;
+    
+    // Data already on the chart: jump to the bar
+    if (!dataQualityReport.pending && issue.index >= 0) {
+        const barIndex = Math.max(0, findBarIndexAtOrBefore(stockData, dataQualityReport.data[issue.index].date.getTime()));
+        closeDataQualityReport();
+        const rangeSize = visibleEndIndex - visibleStartIndex + 1;
+        panToPosition(barIndex - Math.floor(rangeSize / 2));
+        hoveredIndex = barIndex;
+        updateChart();
+        return;
+    }
     
-    const feature = featureElement ? featureElement.value : 'close';
-    const showClusterColors = showClusterColorsElement ? showClusterColorsElement.checked : true;
+    // Otherwise show the row contents in the report
+    const detail = document.getElementById('dataQualityRowDetail');
+    if (!detail) return;
+    const label = issue.row !== null ? `Row ${issue.row}` : `Bar ${issue.index + 1}`;
+    if (issue.values) {
+        detail.textContent = `${label}: ${issue.values.join(' | ')}`;
+    } else {
+        const d = dataQualityReport.data[issue.index];
+        detail.textContent = `${label}: ${d.timestamp} | O ${d.open} | H ${d.high} | L ${d.low} | C ${d.close} | V ${d.volume}`;
+    }
+}
+
+function applyDataQualityFixes() {
+    if (!dataQualityReport) return;
+    
+    const report = dataQualityReport;
+    const sortRows = document.getElementById('dataQualitySort').checked;
+    const dedupeRows = document.getElementById('dataQualityDedupe').checked;
+    const dropRows = document.getElementById('dataQualityDrop').checked;
+    
+    let data = report.data;
+    let dropped = 0;
+    let removedDuplicates = 0;
+    
+    if (dropRows) {
+        const offending = new Set(report.issues
+            .filter(issue => DROPPABLE_ISSUE_TYPES.includes(issue.type))
+            .map(issue => issue.index));
+        data = data.filter((d, index) => !offending.has(index));
+        dropped = report.data.length - data.length;
+    }
     
-    if (stockData.length === 0) return;
+    if (sortRows) {
+        // Array.prototype.sort is stable, so rows with equal timestamps keep file order
+        data = [...data].sort((a, b) => a.date - b.date);
+    }
     
-    // Update visible range if needed
-    updateVisibleRange();
+    if (dedupeRows) {
+        // Keep the last occurrence of each timestamp
+        const timeKey = d => `${d.symbol || ''}|${d.date.getTime()}`;
+        const lastIndexByTime = new Map();
+        data.forEach((d, index) => lastIndexByTime.set(timeKey(d), index));
+        const deduped = data.filter((d, index) => lastIndexByTime.get(timeKey(d)) === index);
+        removedDuplicates = data.length - deduped.length;
+        data = deduped;
+    }
     
-    // Get the data points to display from original data
-    const displayData = stockData.slice(visibleStartIndex, visibleEndIndex + 1);
-    if (displayData.length === 0) return;
+    if (data.length === 0) {
+        showStatus('❌ No rows left after applying fixes', 'error');
+        return;
+    }
     
-    // Filter display data based on current filters
-    const filteredDisplayData = displayData.filter(d => {
-        let visible = true;
-        
-        // Filter by cluster
-        const clusterFilterElement = document.getElementById('clusterFilter');
-        const clusterFilter = clusterFilterElement ? clusterFilterElement.value : 'all';
-        if (clusterFilter !== 'all') {
-            const cluster = parseInt(clusterFilter);
-            visible = visible && d.predicted_cluster === cluster;
+    const notes = [];
+    if (dropped > 0) notes.push(`${dropped} invalid rows dropped`);
+    if (removedDuplicates > 0) notes.push(`${removedDuplicates} duplicates removed`);
+    if (sortRows) notes.push('sorted by time');
+    const note = notes.length > 0 ? ` (${notes.join(', ')})` : '';
+    
+    closeDataQualityReport();
+    if (report.pending) {
+        commitLoadedData(data, report.featureHeaders, report.sourceName, note, report.issues.filter(issue => issue.index < 0));
+    } else {
+        if (datasets[activeSymbol]) {
+            datasets[activeSymbol].data = data;
+            datasets[activeSymbol].view = null;
+            stockData = getDatasetView(datasets[activeSymbol]).data;
+            if (recentDatasets.some(item => item.name === activeSymbol)) {
+                persistDataset(datasets[activeSymbol]);
+            }
+        } else {
+            stockData = data;
+        }
+        updateClusterFilters();
+        initializeVisibleRange();
+        updateChart();
+        updateStats();
+        updateLegend();
+        showStatus(`🩺 Data fixes applied${note}`, 'success');
+    }
+}
+
+// "Load As-Is" for a pending load, otherwise just close the report
+function skipDataQualityFixes() {
+    const report = dataQualityReport;
+    closeDataQualityReport();
+    if (report && report.pending) {
+        const rejected = report.issues.filter(issue => issue.index < 0);
+        const note = rejected.length > 0 ? ` (${rejected.length} invalid rows skipped)` : '';
+        commitLoadedData(report.data, report.featureHeaders, report.sourceName, note, rejected);
+    }
+}
+
+function closeDataQualityReport() {
+    const dialog = document.getElementById('dataQualityDialog');
+    if (dialog) {
+        dialog.classList.add('hidden');
+    }
+    dataQualityReport = null;
+}
+
+// File loading: file picker and drop zone, parsed incrementally in a Web Worker
+function createCSVWorker() {
+    // The worker reuses the same parser functions, serialized into a Blob
+    const workerSource = `
+const CSV_DELIMITER_CANDIDATES = ${JSON.stringify(CSV_DELIMITER_CANDIDATES)};
+${detectCSVDelimiter.toString()}
+${createCSVParser.toString()}
+${parseJSONDataset.toString()}
+${jsonToRows.toString()}
+
+async function readJSONFile(file) {
+    // JSON documents can't be split, so read everything and parse at the end
+    const reader = file.stream().getReader();
+    const decoder = new TextDecoder('utf-8');
+    let text = '';
+    let loaded = 0;
+    
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        loaded += value.byteLength;
+        text += decoder.decode(value, { stream: true });
+        self.postMessage({ type: 'rows', rows: [], loaded, total: file.size });
+    }
+    text += decoder.decode();
+    
+    self.postMessage({ type: 'done', rows: parseJSONDataset(text), loaded: file.size, total: file.size });
+}
+
+self.onmessage = async (event) => {
+    const file = event.data.file;
+    if (event.data.format === 'json') {
+        try {
+            await readJSONFile(file);
+        } catch (error) {
+            self.postMessage({ type: 'error', message: error.message });
         }
+        return;
+    }
+    
+    try {
+        const reader = file.stream().getReader();
+        const decoder = new TextDecoder('utf-8');
+        let parser = null;
+        let pending = '';
+        let loaded = 0;
         
-        // Filter by candle type (bullish/bearish)
-        const candleTypeFilterElement = document.getElementById('candleTypeFilter');
-        const candleTypeFilter = candleTypeFilterElement ? candleTypeFilterElement.value : 'all';
-        if (candleTypeFilter !== 'all') {
-            if (candleTypeFilter === 'bullish') {
-                visible = visible && d.close > d.open;
-            } else if (candleTypeFilter === 'bearish') {
-                visible = visible && d.close < d.open;
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            loaded += value.byteLength;
+            let text = decoder.decode(value, { stream: true });
+            
+            if (!parser) {
+                // Wait for a few lines before detecting the delimiter
+                pending += text;
+                if (pending.length < 4096 && loaded < file.size) continue;
+                parser = createCSVParser(detectCSVDelimiter(pending));
+                text = pending;
+                pending = '';
             }
+            
+            self.postMessage({ type: 'rows', rows: parser.push(text), loaded, total: file.size });
         }
         
-        return visible;
-    });
-    
-    const data = filteredDisplayData.map(d => d[feature]);
-    
-    const minValue = Math.min(...data);
-    const maxValue = Math.max(...data);
-    const range = maxValue - minValue;
-    const numBins = Math.min(20, Math.floor(Math.sqrt(data.length)));
-    const binWidth = range / numBins;
+        const tail = decoder.decode();
+        if (!parser) {
+            parser = createCSVParser(detectCSVDelimiter(pending + tail));
+        }
+        const rows = parser.push(pending + tail).concat(parser.end());
+        self.postMessage({ type: 'done', rows, loaded: file.size, total: file.size });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
+`;
+    const blob = new Blob([workerSource], { type: 'application/javascript' });
+    const url = URL.createObjectURL(blob);
+    const worker = new Worker(url);
+    URL.revokeObjectURL(url);
+    return worker;
+}
+
+function openCSVFilePicker() {
+    const fileInput = document.getElementById('csvFileInput');
+    if (fileInput) {
+        fileInput.click();
+    }
+}
+
+function handleCSVFileSelect(event) {
+    const file = event.target.files[0];
+    if (file) {
+        loadCSVFile(file);
+    }
+    // Allow selecting the same file again
+    event.target.value = '';
+}
+
+function isJSONFile(file) {
+    return /\.(json|ndjson|jsonl)$/i.test(file.name) || /json/i.test(file.type);
+}
+
+function loadCSVFile(file) {
+    if (fileLoadWorker) {
+        cancelCSVFileLoad(false);
+    }
     
-    // Create bins
-    const bins = Array(numBins).fill(0);
-    const binData = {};
+    const format = isJSONFile(file) ? 'json' : 'csv';
     
-    data.forEach((value, i) => {
-        const binIndex = Math.min(Math.floor((value - minValue) / binWidth), numBins - 1);
-        bins[binIndex]++;
-        
-        if (!binData[binIndex]) {
-            binData[binIndex] = [];
-        }
-        binData[binIndex].push({
-            value: value,
-            data: filteredDisplayData[i]
+    // Fall back to parsing on the main thread when workers are unavailable
+    if (typeof Worker === 'undefined') {
+        file.text().then(text => {
+            try {
+                processCSVRows(format === 'json' ? parseJSONDataset(text) : parseCSV(text).rows, file.name);
+            } catch (error) {
+                console.error('Error parsing data file:', error);
+                showStatus(`❌ Error parsing ${file.name}: ${error.message}`, 'error');
+            }
+        }).catch(error => {
+            console.error('Error reading data file:', error);
+            showStatus(`❌ Error reading ${file.name}: ${error.message}`, 'error');
         });
-    });
+        return;
+    }
     
-    const maxCount = Math.max(...bins);
-    const barWidth = chartArea.width / numBins;
+    const rows = [];
+    fileLoadWorker = createCSVWorker();
+    updateFileLoadProgress(file.name, 0, file.size);
     
-    // Draw histogram bars
-    bins.forEach((count, binIndex) => {
-        if (count === 0) return;
-        
-        const x = chartArea.x + binIndex * barWidth;
-        const height = (count / maxCount) * chartArea.height;
-        const y = chartArea.y + chartArea.height - height;
-        
-        if (showClusterColors) {
-        // Calculate cluster distribution for this bin
-        const clusterCounts = {};
-        binData[binIndex].forEach(item => {
-                const cluster = item.data.predicted_cluster || 0;
-                clusterCounts[cluster] = (clusterCounts[cluster] || 0) + 1;
-        });
-        
-        // Draw stacked bars for each cluster
-        let currentY = y;
-        Object.keys(clusterCounts).forEach(cluster => {
-            const clusterCount = clusterCounts[cluster];
-            const clusterHeight = (clusterCount / count) * height;
-            const color = clusterColors[cluster] || clusterColors[0];
-            
-            ctx.fillStyle = color.main;
-            ctx.fillRect(x, currentY, barWidth * 0.8, clusterHeight);
-            
-            // Add border
-            ctx.strokeStyle = color.main;
-            ctx.lineWidth = 2;
-            ctx.strokeRect(x, currentY, barWidth * 0.8, clusterHeight);
-            
-            currentY += clusterHeight;
-        });
-        } else {
-            // Draw single color bars based on price movement
-            const bullishCount = binData[binIndex].filter(item => item.data.close > item.data.open).length;
-            const bearishCount = binData[binIndex].filter(item => item.data.close < item.data.open).length;
-            const dojiCount = binData[binIndex].filter(item => item.data.close === item.data.open).length;
-            
-            let currentY = y;
-            
-            // Draw bullish portion
-            if (bullishCount > 0) {
-                const bullishHeight = (bullishCount / count) * height;
-                const color = defaultColors.bullish;
-                ctx.fillStyle = color.main;
-                ctx.fillRect(x, currentY, barWidth * 0.8, bullishHeight);
-                ctx.strokeStyle = color.main;
-                ctx.lineWidth = 2;
-                ctx.strokeRect(x, currentY, barWidth * 0.8, bullishHeight);
-                currentY += bullishHeight;
-            }
-            
-            // Draw bearish portion
-            if (bearishCount > 0) {
-                const bearishHeight = (bearishCount / count) * height;
-                const color = defaultColors.bearish;
-                ctx.fillStyle = color.main;
-                ctx.fillRect(x, currentY, barWidth * 0.8, bearishHeight);
-                ctx.strokeStyle = color.main;
-                ctx.lineWidth = 2;
-                ctx.strokeRect(x, currentY, barWidth * 0.8, bearishHeight);
-                currentY += bearishHeight;
+    fileLoadWorker.onmessage = (event) => {
+        const message = event.data;
+        if (message.type === 'rows' || message.type === 'done') {
+            for (const row of message.rows) {
+                rows.push(row);
             }
-            
-            // Draw doji portion
-            if (dojiCount > 0) {
-                const dojiHeight = (dojiCount / count) * height;
-                const color = defaultColors.neutral;
-                ctx.fillStyle = color.main;
-                ctx.fillRect(x, currentY, barWidth * 0.8, dojiHeight);
-                ctx.strokeStyle = color.main;
-                ctx.lineWidth = 2;
-                ctx.strokeRect(x, currentY, barWidth * 0.8, dojiHeight);
+            updateFileLoadProgress(file.name, message.loaded, message.total);
+        }
+        
+        if (message.type === 'done') {
+            finishCSVFileLoad();
+            try {
+                processCSVRows(rows, file.name);
+            } catch (error) {
+                console.error('Error parsing data file:', error);
+                showStatus(`❌ Error parsing ${file.name}: ${error.message}`, 'error');
             }
+        } else if (message.type === 'error') {
+            finishCSVFileLoad();
+            showStatus(`❌ Error reading ${file.name}: ${message.message}`, 'error');
         }
-    });
+    };
     
-    // Draw axes labels
-    drawHistogramAxes(minValue, maxValue, maxCount, feature);
+    fileLoadWorker.onerror = (error) => {
+        finishCSVFileLoad();
+        console.error('CSV worker error:', error);
+        showStatus(`❌ Error reading ${file.name}: ${error.message}`, 'error');
+    };
+    
+    fileLoadWorker.postMessage({ file, format });
 }
 
-function drawGrid(minPrice, maxPrice, chartHeight) {
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
-    ctx.lineWidth = 2;
+function finishCSVFileLoad() {
+    if (fileLoadWorker) {
+        fileLoadWorker.terminate();
+        fileLoadWorker = null;
+    }
     
-    // Horizontal grid lines
-    for (let i = 0; i <= 10; i++) {
-        const y = chartArea.y + (i / 10) * chartHeight;
+    const progress = document.getElementById('fileLoadProgress');
+    if (progress) {
+        progress.classList.add('hidden');
+    }
+}
+
+function cancelCSVFileLoad(notify = true) {
+    if (!fileLoadWorker) return;
+    
+    finishCSVFileLoad();
+    if (notify) {
+        showStatus('⏹️ File load cancelled', 'info');
+    }
+}
+
+function updateFileLoadProgress(fileName, loaded, total) {
+    const progress = document.getElementById('fileLoadProgress');
+    const progressBar = document.getElementById('fileLoadProgressBar');
+    const progressText = document.getElementById('fileLoadProgressText');
+    if (!progress || !progressBar || !progressText) return;
+    
+    const percent = total > 0 ? Math.round((loaded / total) * 100) : 0;
+    progress.classList.remove('hidden');
+    progressBar.style.width = `${percent}%`;
+    progressText.textContent = `Loading ${fileName}: ${percent}% (${(loaded / 1048576).toFixed(1)} of ${(total / 1048576).toFixed(1)} MB)`;
+}
+
+function setupFileDropZone() {
+    const chartContainer = document.querySelector('.chart-container');
+    if (!chartContainer) return;
+    
+    // dragenter/dragleave fire for every child element, so count them
+    let dragDepth = 0;
+    
+    chartContainer.addEventListener('dragenter', (e) => {
+        if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+        e.preventDefault();
+        dragDepth++;
+        chartContainer.classList.add('drag-over');
+    });
+    
+    chartContainer.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    });
+    
+    chartContainer.addEventListener('dragleave', () => {
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) {
+            chartContainer.classList.remove('drag-over');
+        }
+    });
+    
+    chartContainer.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dragDepth = 0;
+        chartContainer.classList.remove('drag-over');
+        
+        const file = e.dataTransfer && e.dataTransfer.files[0];
+        if (file) {
+            loadCSVFile(file);
+        }
+    });
+}
+
+function updateFeatureSelectors(headers) {
+    // Get all numeric features from the data
+    const numericFeatures = [];
+    const excludeHeaders = ['timestamp', 'predicted_cluster', 'date'];
+    
+    // Check which headers contain numeric data by sampling the first few rows
+    if (stockData.length > 0) {
+        headers.forEach(header => {
+            if (!excludeHeaders.includes(header.toLowerCase())) {
+                // Check if the first few values are numeric
+                const sampleValues = stockData.slice(0, Math.min(5, stockData.length))
+                    .map(row => row[header]);
+                const isNumeric = sampleValues.every(val => 
+                    val !== null && val !== undefined && !isNaN(parseFloat(val))
+                );
+                if (isNumeric) {
+                    numericFeatures.push(header);
+                }
+            }
+        });
+    } else {
+        // Fallback to standard features if no data
+        numericFeatures.push('open', 'high', 'low', 'close', 'volume');
+    }
+    
+    // Add timestamp as an option for X-axis
+    const xAxisOptions = ['timestamp', ...numericFeatures];
+    const yAxisOptions = [...numericFeatures];
+    const histogramOptions = [...numericFeatures];
+    
+    // Update X-axis selector
+    const xAxisSelect = document.getElementById('xAxis');
+    if (xAxisSelect) {
+        xAxisSelect.innerHTML = '';
+        xAxisOptions.forEach(feature => {
+            const option = document.createElement('option');
+            option.value = feature;
+            option.textContent = feature.charAt(0).toUpperCase() + feature.slice(1);
+            xAxisSelect.appendChild(option);
+        });
+    }
+    
+    // Update Y-axis selector
+    const yAxisSelect = document.getElementById('yAxis');
+    if (yAxisSelect) {
+        yAxisSelect.innerHTML = '';
+        yAxisOptions.forEach(feature => {
+            const option = document.createElement('option');
+            option.value = feature;
+            option.textContent = feature.charAt(0).toUpperCase() + feature.slice(1);
+            yAxisSelect.appendChild(option);
+        });
+    }
+    
+    // Update histogram selector
+    const histogramSelect = document.getElementById('histogramFeature');
+    if (histogramSelect) {
+        histogramSelect.innerHTML = '';
+        histogramOptions.forEach(feature => {
+            const option = document.createElement('option');
+            option.value = feature;
+            option.textContent = feature.charAt(0).toUpperCase() + feature.slice(1);
+            histogramSelect.appendChild(option);
+        });
+    }
+}
+
+function updateClusterFilters() {
+    if (stockData.length === 0) return;
+    
+    // Get unique clusters from the data
+    const uniqueClusters = [...new Set(stockData.map(d => d.predicted_cluster || 0))].sort((a, b) => a - b);
+    
+    // Update main cluster filter
+    const mainClusterFilter = document.getElementById('clusterFilter');
+    if (mainClusterFilter) {
+        mainClusterFilter.innerHTML = '<option value="all">All Clusters</option>';
+        uniqueClusters.forEach(cluster => {
+            const option = document.createElement('option');
+            option.value = cluster;
+            option.textContent = getClusterLabel(cluster);
+            mainClusterFilter.appendChild(option);
+        });
+    }
+    
+    // Update overlay cluster filter
+    const overlayClusterFilter = document.getElementById('overlayClusterFilter');
+    if (overlayClusterFilter) {
+        overlayClusterFilter.innerHTML = '<option value="all">All</option>';
+        uniqueClusters.forEach(cluster => {
+            const option = document.createElement('option');
+            option.value = cluster;
+            option.textContent = getClusterLabel(cluster);
+            overlayClusterFilter.appendChild(option);
+        });
+    }
+}
+
+function clearData() {
+    disconnectStream();
+    const csvInput = document.getElementById('csvInput');
+    if (csvInput) {
+        csvInput.value = '';
+    }
+    stockData = [];
+    filteredData = [];
+    datasets = {};
+    activeSymbol = null;
+    localStorage.removeItem(LAST_DATASET_KEY);
+    updateSymbolSelector();
+    renderRecentDatasets();
+    updateChart();
+    updateStats();
+    updateLegend();
+    showStatus('🗑️ Data cleared', 'success');
+}
+
+function handleNumRowsChange() {
+    // Update the chart with new number of rows
+    updateChart();
+}
+
+// Sample data generation: seeded price models whose clusters follow the price action
+const SAMPLE_MODELS = ['gbm', 'regime', 'meanReverting'];
+
+const SAMPLE_INTERVALS = {
+    '1m': 60000,
+    '5m': 5 * 60000,
+    '15m': 15 * 60000,
+    '1h': 3600000,
+    '4h': 4 * 3600000,
+    '1D': 86400000
+};
+
+// Matches the numRows input's range; typed values outside it are clamped
+const MIN_SAMPLE_ROWS = 10;
+const MAX_SAMPLE_ROWS = 1000000;
+
+// Model parameters are per bar so the chart looks alike at any bar interval
+const SAMPLE_GBM = { drift: 0.0003, volatility: 0.01 };
+const SAMPLE_MEAN_REVERSION = { speed: 0.04, volatility: 0.01 };
+
+// Regimes of the regime-switching model; the regime index is the cluster
+const SAMPLE_REGIMES = [
+    { drift: 0.0025, volatility: 0.006 },  // 0: calm uptrend
+    { drift: -0.0025, volatility: 0.015 }, // 1: volatile selloff
+    { drift: 0, volatility: 0.004 },       // 2: quiet range
+    { drift: 0.0003, volatility: 0.025 }   // 3: turbulent
+];
+const REGIME_PERSISTENCE = 0.97; // Chance of staying in the regime each bar
+
+const SAMPLE_SUBSTEPS = 4; // Intrabar path steps that give each bar its high and low
+const SAMPLE_TREND_WINDOW = 20;
+const SAMPLE_START_PRICE = 520;
+const SAMPLE_START_DATE = Date.UTC(2024, 8, 6);
+
+// mulberry32: small, fast and good enough for demo data
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Standard normal samples (Box-Muller)
+function createGaussian(random) {
+    return () => {
+        let u = 0;
+        while (u === 0) u = random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+    };
+}
+
+// Label a bar from its trailing trend and realised volatility, using the same
+// meaning as the regimes: 0 up, 1 down, 2 quiet, 3 turbulent
+function classifySampleBar(logCloses, index, volatility) {
+    const start = Math.max(0, index - SAMPLE_TREND_WINDOW);
+    const count = index - start;
+    if (count < 2) return 2;
+    
+    let sum = 0;
+    let sumSquares = 0;
+    for (let i = start + 1; i <= index; i++) {
+        const change = logCloses[i] - logCloses[i - 1];
+        sum += change;
+        sumSquares += change * change;
+    }
+    const realisedVolatility = Math.sqrt(Math.max(0, sumSquares / count - (sum / count) ** 2));
+    const trend = logCloses[index] - logCloses[start];
+    
+    if (realisedVolatility > volatility * 1.25) return 3;
+    if (Math.abs(trend) < volatility * Math.sqrt(count) * 0.5) return 2;
+    return trend > 0 ? 0 : 1;
+}
+
+function generateSampleSeries({ model, rows, interval, seed }) {
+    const random = createSeededRandom(seed);
+    const gaussian = createGaussian(random);
+    const meanLogPrice = Math.log(SAMPLE_START_PRICE);
+    const data = [];
+    const logCloses = [];
+    let logPrice = meanLogPrice;
+    let regime = Math.floor(random() * SAMPLE_REGIMES.length);
+    
+    for (let i = 0; i < rows; i++) {
+        if (model === 'regime' && random() > REGIME_PERSISTENCE) {
+            // Jump to one of the other regimes
+            regime = (regime + 1 + Math.floor(random() * (SAMPLE_REGIMES.length - 1))) % SAMPLE_REGIMES.length;
+        }
+        
+        const params = model === 'regime' ? SAMPLE_REGIMES[regime]
+            : model === 'meanReverting' ? SAMPLE_MEAN_REVERSION
+            : SAMPLE_GBM;
+        const stepVolatility = params.volatility / Math.sqrt(SAMPLE_SUBSTEPS);
+        
+        const openLog = logPrice;
+        let highLog = logPrice;
+        let lowLog = logPrice;
+        for (let step = 0; step < SAMPLE_SUBSTEPS; step++) {
+            const drift = model === 'meanReverting'
+                ? params.speed * (meanLogPrice - logPrice) / SAMPLE_SUBSTEPS
+                : (params.drift - params.volatility ** 2 / 2) / SAMPLE_SUBSTEPS;
+            logPrice += drift + stepVolatility * gaussian();
+            highLog = Math.max(highLog, logPrice);
+            lowLog = Math.min(lowLog, logPrice);
+        }
+        logCloses.push(logPrice);
+        
+        // Busier bars trade more
+        const moveSize = (highLog - lowLog) / params.volatility;
+        const volume = Math.round(1000000 * Math.exp(0.3 * gaussian()) * (0.5 + moveSize));
+        
+        const date = new Date(SAMPLE_START_DATE + i * interval);
+        data.push({
+            date: date,
+            timestamp: date.toISOString(),
+            open: Math.round(Math.exp(openLog) * 100) / 100,
+            high: Math.round(Math.exp(highLog) * 100) / 100,
+            low: Math.round(Math.exp(lowLog) * 100) / 100,
+            close: Math.round(Math.exp(logPrice) * 100) / 100,
+            volume: volume,
+            predicted_cluster: model === 'regime' ? regime : classifySampleBar(logCloses, i, params.volatility)
+        });
+    }
+    
+    return data;
+}
+
+function generateSampleData() {
+    const numRowsElement = document.getElementById('numRows');
+    const modelElement = document.getElementById('sampleModel');
+    const intervalElement = document.getElementById('sampleInterval');
+    const seedElement = document.getElementById('sampleSeed');
+    
+    const numRows = numRowsElement ? parseInt(numRowsElement.value) || 200 : 200;
+    const model = modelElement && SAMPLE_MODELS.includes(modelElement.value) ? modelElement.value : 'regime';
+    const interval = intervalElement ? SAMPLE_INTERVALS[intervalElement.value] || 3600000 : 3600000;
+    
+    // A blank seed picks a random one, reported in the status so the run can be repeated
+    const seedValue = seedElement ? seedElement.value.trim() : '';
+    const seed = seedValue !== '' ? parseInt(seedValue) >>> 0 : Math.floor(Math.random() * 4294967296);
+    
+    const rows = Math.max(MIN_SAMPLE_ROWS, Math.min(MAX_SAMPLE_ROWS, numRows));
+    stockData = generateSampleSeries({ model, rows, interval, seed });
+    
+    // Sample data replaces any previously generated sample dataset
+    const sampleHeaders = ['timestamp', 'open', 'high', 'low', 'close', 'volume', 'predicted_cluster'];
+    addDataset(SAMPLE_DATASET_NAME, stockData, sampleHeaders, null);
+    activateDataset(SAMPLE_DATASET_NAME);
+    
+    const modelName = modelElement ? modelElement.options[modelElement.selectedIndex].text : model;
+    showStatus(`🎲 Generated ${stockData.length} sample data points (${modelName}, seed ${seed})`, 'success');
+}
+
+// Client-side clustering: k-means or a Gaussian mixture over the chosen
+// columns and derived features, fitted in a Web Worker. The labels go into
+// predicted_cluster or a new column of the active dataset's loaded bars.
+const CLUSTERING_METHODS = { kmeans: 'k-means', gmm: 'Gaussian mixture' };
+const DERIVED_FEATURES = { returns: 'Returns (log)', volatility: 'Volatility (rolling std of returns)' };
+const CLUSTERING_MAX_ITERATIONS = 200;
+const CLUSTERING_RESERVED_COLUMNS = ['timestamp', 'date', 'open', 'high', 'low', 'close', 'volume', 'symbol'];
+const UNCLUSTERED_LABEL = -1; // bars without every feature, e.g. the volatility warm-up
+
+let clusteringWorker = null;
+let clusteringOptions = {
+    method: 'kmeans',
+    k: 4,
+    seed: 42,
+    standardize: true,
+    volatilityWindow: 20,
+    features: ['derived:returns', 'derived:volatility'],
+    output: 'predicted_cluster',
+    column: 'cluster'
+};
+
+// Numeric columns of the dataset, then the derived features, as
+// 'column:<name>' and 'derived:<name>' keys
+function getClusteringFeatureChoices(dataset) {
+    const choices = [];
+    const sample = dataset.data.slice(0, 5);
+    dataset.featureHeaders.forEach(header => {
+        if (['timestamp', 'predicted_cluster', 'date', 'symbol'].includes(header.toLowerCase())) return;
+        if (sample.every(row => row[header] !== null && row[header] !== undefined && !isNaN(parseFloat(row[header])))) {
+            choices.push({ key: `column:${header}`, label: header });
+        }
+    });
+    Object.entries(DERIVED_FEATURES).forEach(([name, label]) => {
+        choices.push({ key: `derived:${name}`, label });
+    });
+    return choices;
+}
+
+function openClusteringDialog() {
+    const dialog = document.getElementById('clusteringDialog');
+    const dataset = datasets[activeSymbol];
+    if (!dialog) return;
+    if (!dataset || dataset.data.length === 0) {
+        showStatus('⚠️ Load data first to run clustering', 'error');
+        return;
+    }
+    
+    const featureList = document.getElementById('clusteringFeatures');
+    featureList.innerHTML = '';
+    getClusteringFeatureChoices(dataset).forEach(choice => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = choice.key;
+        checkbox.checked = clusteringOptions.features.includes(choice.key);
+        label.append(checkbox, choice.label);
+        featureList.appendChild(label);
+    });
+    
+    document.getElementById('clusteringMethod').value = clusteringOptions.method;
+    document.getElementById('clusteringK').value = clusteringOptions.k;
+    document.getElementById('clusteringSeed').value = clusteringOptions.seed;
+    document.getElementById('clusteringStandardize').checked = clusteringOptions.standardize;
+    document.getElementById('clusteringVolatilityWindow').value = clusteringOptions.volatilityWindow;
+    document.getElementById('clusteringOutput').value = clusteringOptions.output;
+    document.getElementById('clusteringColumn').value = clusteringOptions.column;
+    updateClusteringOutput();
+    setClusteringMessage(`${dataset.data.length} bars in ${dataset.name}`);
+    dialog.classList.remove('hidden');
+}
+
+function closeClusteringDialog() {
+    cancelClustering(false);
+    const dialog = document.getElementById('clusteringDialog');
+    if (dialog) {
+        dialog.classList.add('hidden');
+    }
+}
+
+function updateClusteringOutput() {
+    const output = document.getElementById('clusteringOutput');
+    const column = document.getElementById('clusteringColumn');
+    if (output && column) {
+        column.disabled = output.value !== 'column';
+    }
+}
+
+function setClusteringMessage(text) {
+    const message = document.getElementById('clusteringMessage');
+    if (message) {
+        message.textContent = text;
+    }
+}
+
+// Options from the dialog, or an error message
+function readClusteringOptions() {
+    const features = Array.from(document.querySelectorAll('#clusteringFeatures input:checked')).map(input => input.value);
+    const k = parseInt(document.getElementById('clusteringK').value);
+    const seedValue = document.getElementById('clusteringSeed').value.trim();
+    const volatilityWindow = parseInt(document.getElementById('clusteringVolatilityWindow').value);
+    const output = document.getElementById('clusteringOutput').value === 'column' ? 'column' : 'predicted_cluster';
+    const column = document.getElementById('clusteringColumn').value.trim();
+    const method = document.getElementById('clusteringMethod').value;
+    
+    if (features.length === 0) return { error: 'Pick at least one feature' };
+    if (!Number.isInteger(k) || k < 2 || k > 50) return { error: 'The number of clusters must be between 2 and 50' };
+    if (features.includes('derived:volatility') && !(volatilityWindow >= 2)) return { error: 'The volatility window must be at least 2 bars' };
+    if (output === 'column' && !column) return { error: 'Enter a name for the new column' };
+    if (output === 'column' && CLUSTERING_RESERVED_COLUMNS.includes(column.toLowerCase())) {
+        return { error: `"${column}" holds price data - choose another column name` };
+    }
+    const dataset = datasets[activeSymbol];
+    const existingColumn = output === 'column' && dataset && dataset.featureHeaders
+        .some(header => header !== 'predicted_cluster' && header.toLowerCase() === column.toLowerCase());
+    if (existingColumn) return { error: `"${column}" is already a column of this dataset - choose another name` };
+    if (seedValue !== '' && !(/^\d+$/.test(seedValue) && Number(seedValue) <= 4294967295)) {
+        return { error: 'The seed must be a whole number from 0 to 4294967295' };
+    }
+    
+    return {
+        options: {
+            method: method in CLUSTERING_METHODS ? method : 'kmeans',
+            k,
+            // A blank seed picks a random one, reported in the status so the run can be repeated
+            seed: seedValue !== '' ? Number(seedValue) : Math.floor(Math.random() * 4294967296),
+            standardize: document.getElementById('clusteringStandardize').checked,
+            volatilityWindow: volatilityWindow >= 2 ? volatilityWindow : clusteringOptions.volatilityWindow,
+            features,
+            output,
+            column: column || clusteringOptions.column
+        }
+    };
+}
+
+// One row of features per bar, flattened. Bars missing a value (the first
+// return, the volatility warm-up, blank cells) are left out; rowIndexes maps
+// each matrix row back to its bar.
+function buildClusteringMatrix(data, features, volatilityWindow) {
+    const returns = data.map((d, i) => i > 0 && d.close > 0 && data[i - 1].close > 0 ? Math.log(d.close / data[i - 1].close) : NaN);
+    
+    let volatility = null;
+    if (features.includes('derived:volatility')) {
+        volatility = new Float64Array(data.length).fill(NaN);
+        let sum = 0;
+        let sumSquares = 0;
+        let count = 0;
+        for (let i = 0; i < data.length; i++) {
+            if (!isNaN(returns[i])) {
+                sum += returns[i];
+                sumSquares += returns[i] * returns[i];
+                count++;
+            }
+            const dropped = i - volatilityWindow;
+            if (dropped >= 0 && !isNaN(returns[dropped])) {
+                sum -= returns[dropped];
+                sumSquares -= returns[dropped] * returns[dropped];
+                count--;
+            }
+            if (count === volatilityWindow) {
+                volatility[i] = Math.sqrt(Math.max(0, sumSquares / count - (sum / count) ** 2));
+            }
+        }
+    }
+    
+    const getters = features.map(feature => {
+        const [type, name] = feature.split(/:(.*)/);
+        if (type === 'derived') {
+            return name === 'returns' ? i => returns[i] : i => volatility[i];
+        }
+        return i => parseFloat(data[i][name]);
+    });
+    
+    const values = new Float64Array(data.length * features.length);
+    const rowIndexes = [];
+    for (let i = 0; i < data.length; i++) {
+        const offset = rowIndexes.length * features.length;
+        let complete = true;
+        for (let j = 0; j < getters.length; j++) {
+            const value = getters[j](i);
+            if (!Number.isFinite(value)) {
+                complete = false;
+                break;
+            }
+            values[offset + j] = value;
+        }
+        if (complete) {
+            rowIndexes.push(i);
+        }
+    }
+    
+    return { values: values.slice(0, rowIndexes.length * features.length), rowIndexes, columns: features.length };
+}
+
+// Scale each column to zero mean and unit variance; constant columns become 0
+function standardizeColumns(values, rows, columns) {
+    for (let j = 0; j < columns; j++) {
+        let sum = 0;
+        let sumSquares = 0;
+        for (let i = 0; i < rows; i++) {
+            const value = values[i * columns + j];
+            sum += value;
+            sumSquares += value * value;
+        }
+        const mean = sum / rows;
+        const deviation = Math.sqrt(Math.max(0, sumSquares / rows - mean * mean)) || 1;
+        for (let i = 0; i < rows; i++) {
+            values[i * columns + j] = (values[i * columns + j] - mean) / deviation;
+        }
+    }
+}
+
+// Lloyd's algorithm from k-means++ starting centers
+function fitKMeans(values, rows, columns, k, random, onProgress) {
+    const centers = new Float64Array(k * columns);
+    const distances = new Float64Array(rows).fill(Infinity);
+    const squaredDistance = (i, c) => {
+        let total = 0;
+        for (let j = 0; j < columns; j++) {
+            const difference = values[i * columns + j] - centers[c * columns + j];
+            total += difference * difference;
+        }
+        return total;
+    };
+    
+    // k-means++: each new center is picked with probability proportional to
+    // its squared distance from the nearest center so far
+    let pick = Math.floor(random() * rows);
+    for (let c = 0; c < k; c++) {
+        centers.set(values.subarray(pick * columns, (pick + 1) * columns), c * columns);
+        let total = 0;
+        for (let i = 0; i < rows; i++) {
+            distances[i] = Math.min(distances[i], squaredDistance(i, c));
+            total += distances[i];
+        }
+        let target = random() * total;
+        pick = rows - 1;
+        for (let i = 0; i < rows; i++) {
+            target -= distances[i];
+            if (target <= 0) {
+                pick = i;
+                break;
+            }
+        }
+    }
+    
+    const labels = new Int32Array(rows).fill(-1);
+    const counts = new Float64Array(k);
+    let inertia = 0;
+    let iteration = 0;
+    while (iteration < CLUSTERING_MAX_ITERATIONS) {
+        iteration++;
+        let changed = 0;
+        inertia = 0;
+        for (let i = 0; i < rows; i++) {
+            let best = 0;
+            let bestDistance = Infinity;
+            for (let c = 0; c < k; c++) {
+                const distance = squaredDistance(i, c);
+                if (distance < bestDistance) {
+                    best = c;
+                    bestDistance = distance;
+                }
+            }
+            distances[i] = bestDistance;
+            inertia += bestDistance;
+            if (labels[i] !== best) {
+                labels[i] = best;
+                changed++;
+            }
+        }
+        onProgress('k-means', iteration);
+        if (changed === 0) break;
+        
+        centers.fill(0);
+        counts.fill(0);
+        for (let i = 0; i < rows; i++) {
+            counts[labels[i]]++;
+            for (let j = 0; j < columns; j++) {
+                centers[labels[i] * columns + j] += values[i * columns + j];
+            }
+        }
+        for (let c = 0; c < k; c++) {
+            if (counts[c] === 0) {
+                // Restart an empty cluster at the point farthest from its center
+                let farthest = 0;
+                for (let i = 1; i < rows; i++) {
+                    if (distances[i] > distances[farthest]) farthest = i;
+                }
+                distances[farthest] = 0;
+                centers.set(values.subarray(farthest * columns, (farthest + 1) * columns), c * columns);
+                continue;
+            }
+            for (let j = 0; j < columns; j++) {
+                centers[c * columns + j] /= counts[c];
+            }
+        }
+    }
+    
+    return { labels, iterations: iteration, score: `inertia ${inertia.toPrecision(4)}` };
+}
+
+// EM for a mixture of Gaussians with diagonal covariances, started from the
+// k-means clusters. Each bar goes to its most likely component.
+function fitGaussianMixture(values, rows, columns, k, random, onProgress) {
+    const start = fitKMeans(values, rows, columns, k, random, onProgress);
+    const varianceFloor = 1e-6;
+    const weights = new Float64Array(k);
+    const means = new Float64Array(k * columns);
+    // Unit variances until a component has points, so an empty one never divides by zero
+    const variances = new Float64Array(k * columns).fill(1);
+    const responsibilities = new Float64Array(rows * k);
+    
+    // Start with hard assignments from k-means
+    for (let i = 0; i < rows; i++) {
+        responsibilities[i * k + start.labels[i]] = 1;
+    }
+    
+    // Weighted sums in one pass over the rows
+    const maximize = () => {
+        const totals = new Float64Array(k);
+        const sums = new Float64Array(k * columns);
+        const sumSquares = new Float64Array(k * columns);
+        for (let i = 0; i < rows; i++) {
+            for (let c = 0; c < k; c++) {
+                const weight = responsibilities[i * k + c];
+                if (weight === 0) continue;
+                totals[c] += weight;
+                for (let j = 0; j < columns; j++) {
+                    const value = values[i * columns + j];
+                    sums[c * columns + j] += weight * value;
+                    sumSquares[c * columns + j] += weight * value * value;
+                }
+            }
+        }
+        for (let c = 0; c < k; c++) {
+            if (totals[c] < 1e-9) continue; // keep a component that lost every point as it was
+            weights[c] = totals[c] / rows;
+            for (let j = 0; j < columns; j++) {
+                const mean = sums[c * columns + j] / totals[c];
+                means[c * columns + j] = mean;
+                variances[c * columns + j] = Math.max(0, sumSquares[c * columns + j] / totals[c] - mean * mean) + varianceFloor;
+            }
+        }
+    };
+    
+    let logLikelihood = -Infinity;
+    let iteration = 0;
+    const logDensities = new Float64Array(k);
+    const logNormalizers = new Float64Array(k);
+    while (iteration < CLUSTERING_MAX_ITERATIONS) {
+        iteration++;
+        maximize();
+        for (let c = 0; c < k; c++) {
+            logNormalizers[c] = Math.log(weights[c]);
+            for (let j = 0; j < columns; j++) {
+                logNormalizers[c] -= 0.5 * Math.log(2 * Math.PI * variances[c * columns + j]);
+            }
+        }
+        
+        // Expectation, in log space so far-away points don't underflow
+        let total = 0;
+        for (let i = 0; i < rows; i++) {
+            let maxDensity = -Infinity;
+            for (let c = 0; c < k; c++) {
+                // A component with no weight can't take points back, so skip it
+                if (weights[c] === 0) {
+                    logDensities[c] = -Infinity;
+                    continue;
+                }
+                let logDensity = logNormalizers[c];
+                for (let j = 0; j < columns; j++) {
+                    const difference = values[i * columns + j] - means[c * columns + j];
+                    logDensity -= 0.5 * difference * difference / variances[c * columns + j];
+                }
+                logDensities[c] = logDensity;
+                maxDensity = Math.max(maxDensity, logDensity);
+            }
+            let sum = 0;
+            for (let c = 0; c < k; c++) sum += Math.exp(logDensities[c] - maxDensity);
+            const logSum = maxDensity + Math.log(sum);
+            for (let c = 0; c < k; c++) {
+                responsibilities[i * k + c] = Math.exp(logDensities[c] - logSum);
+            }
+            total += logSum;
+        }
+        onProgress('EM', iteration);
+        
+        const converged = Math.abs(total - logLikelihood) <= 1e-6 * Math.abs(total);
+        logLikelihood = total;
+        if (converged) break;
+    }
+    
+    const labels = new Int32Array(rows);
+    for (let i = 0; i < rows; i++) {
+        let best = 0;
+        for (let c = 1; c < k; c++) {
+            if (responsibilities[i * k + c] > responsibilities[i * k + best]) best = c;
+        }
+        labels[i] = best;
+    }
+    return { labels, iterations: start.iterations + iteration, score: `log-likelihood ${logLikelihood.toPrecision(6)}` };
+}
+
+// Fit and number the clusters by size, largest first, so a rerun with another
+// seed keeps similar clusters under the same numbers
+function clusterRows({ values, rows, columns, method, k, seed, standardize }, onProgress) {
+    if (rows < k) {
+        throw new Error(`only ${rows} bars have every feature, fewer than ${k} clusters`);
+    }
+    if (standardize) {
+        standardizeColumns(values, rows, columns);
+    }
+    
+    const random = createSeededRandom(seed);
+    const fit = method === 'gmm' ? fitGaussianMixture : fitKMeans;
+    const result = fit(values, rows, columns, k, random, onProgress);
+    
+    const counts = new Array(k).fill(0);
+    result.labels.forEach(label => counts[label]++);
+    const order = counts.map((count, cluster) => cluster).sort((a, b) => counts[b] - counts[a] || a - b);
+    const renumber = new Int32Array(k);
+    order.forEach((cluster, index) => { renumber[cluster] = index; });
+    for (let i = 0; i < rows; i++) {
+        result.labels[i] = renumber[result.labels[i]];
+    }
+    return result;
+}
+
+function createClusteringWorker() {
+    // The worker reuses the same fitting functions, serialized into a Blob
+    const workerSource = `
+const CLUSTERING_MAX_ITERATIONS = ${CLUSTERING_MAX_ITERATIONS};
+${createSeededRandom.toString()}
+${standardizeColumns.toString()}
+${fitKMeans.toString()}
+${fitGaussianMixture.toString()}
+${clusterRows.toString()}
+
+self.onmessage = (event) => {
+    try {
+        const result = clusterRows(event.data, (stage, iteration) => {
+            self.postMessage({ type: 'progress', stage, iteration });
+        });
+        self.postMessage({ type: 'done', ...result }, [result.labels.buffer]);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
+`;
+    const blob = new Blob([workerSource], { type: 'application/javascript' });
+    const url = URL.createObjectURL(blob);
+    const worker = new Worker(url);
+    URL.revokeObjectURL(url);
+    return worker;
+}
+
+function runClustering() {
+    const dataset = datasets[activeSymbol];
+    if (!dataset) return;
+    
+    const { options, error } = readClusteringOptions();
+    if (error) {
+        setClusteringMessage(`❌ ${error}`);
+        return;
+    }
+    clusteringOptions = options;
+    saveSettings();
+    
+    const { values, rowIndexes, columns } = buildClusteringMatrix(dataset.data, options.features, options.volatilityWindow);
+    const job = { values, rows: rowIndexes.length, columns, method: options.method, k: options.k, seed: options.seed, standardize: options.standardize };
+    const finish = (result) => applyClusterLabels(dataset, rowIndexes, result, options);
+    const fail = (message) => setClusteringMessage(`❌ Clustering failed: ${message}`);
+    
+    // Fall back to the main thread when workers are unavailable
+    if (typeof Worker === 'undefined') {
+        try {
+            finish(clusterRows(job, () => {}));
+        } catch (error) {
+            fail(error.message);
+        }
+        return;
+    }
+    
+    cancelClustering(false);
+    clusteringWorker = createClusteringWorker();
+    setClusteringRunning(true);
+    setClusteringMessage(`Clustering ${rowIndexes.length} bars...`);
+    
+    clusteringWorker.onmessage = (event) => {
+        const message = event.data;
+        if (message.type === 'progress') {
+            setClusteringMessage(`Clustering ${rowIndexes.length} bars: ${message.stage} iteration ${message.iteration}`);
+            return;
+        }
+        cancelClustering(false);
+        if (message.type === 'done') {
+            finish(message);
+        } else {
+            fail(message.message);
+        }
+    };
+    
+    clusteringWorker.onerror = (error) => {
+        cancelClustering(false);
+        console.error('Clustering worker error:', error);
+        fail(error.message);
+    };
+    
+    clusteringWorker.postMessage(job, [values.buffer]);
+}
+
+function cancelClustering(notify = true) {
+    if (!clusteringWorker) return;
+    
+    clusteringWorker.terminate();
+    clusteringWorker = null;
+    setClusteringRunning(false);
+    if (notify) {
+        setClusteringMessage('⏹️ Clustering cancelled');
+    }
+}
+
+function setClusteringRunning(running) {
+    const runButton = document.getElementById('clusteringRun');
+    const cancelButton = document.getElementById('clusteringCancel');
+    if (runButton) runButton.disabled = running;
+    if (cancelButton) cancelButton.classList.toggle('overlay-hidden', !running);
+}
+
+function applyClusterLabels(dataset, rowIndexes, result, options) {
+    const column = options.output === 'column' ? options.column : 'predicted_cluster';
+    dataset.data.forEach(row => {
+        row[column] = UNCLUSTERED_LABEL;
+    });
+    rowIndexes.forEach((index, i) => {
+        dataset.data[index][column] = result.labels[i];
+    });
+    const addedColumn = !dataset.featureHeaders.includes(column);
+    if (addedColumn) {
+        dataset.featureHeaders = [...dataset.featureHeaders, column];
+    }
+    
+    // The rows changed in place, so drop everything derived from them
+    dataset.view = null;
+    filterCache = null;
+    decimationCache = null;
+    lineChartSampleCache = null;
+    indicatorCache = { data: null, length: 0, lastClose: null, values: new Map() };
+    navigatorCache = { key: null, image: null };
+    if (dataset.name === activeSymbol) {
+        stockData = getDatasetView(dataset).data;
+        if (addedColumn) {
+            updateFeatureSelectors(dataset.featureHeaders);
+        }
+        updateClusterFilters();
+        updateChart();
+        updateStats();
+        updateLegend();
+    }
+    if (recentDatasets.some(item => item.name === dataset.name)) {
+        persistDataset(dataset);
+    }
+    
+    const skipped = dataset.data.length - rowIndexes.length;
+    const skippedNote = skipped > 0 ? `, ${skipped} bars without every feature set to ${UNCLUSTERED_LABEL}` : '';
+    const summary = `${CLUSTERING_METHODS[options.method]} with k = ${options.k} and seed ${options.seed} wrote ${column} (${result.iterations} iterations, ${result.score}${skippedNote})`;
+    setClusteringMessage(`✅ ${summary}`);
+    showStatus(`🧬 ${summary}`, 'success');
+}
+
+function setupCanvas() {
+    // Use fullscreen canvas if in fullscreen mode
+    if (isFullscreen && window.fullscreenCanvas) {
+        canvas = window.fullscreenCanvas;
+    } else {
+    canvas = document.getElementById('candlestickChart');
+    }
+    
+    if (!canvas) {
+        console.error('Canvas element not found!');
+        return;
+    }
+    
+    ctx = canvas.getContext('2d');
+    
+    // Set reasonable resolution for better performance
+    const container = canvas.parentElement;
+    const rect = container.getBoundingClientRect();
+    canvas.width = rect.width * 2; // 2x for high-DPI
+    canvas.height = rect.height * 2; // 2x for high-DPI
+    canvas.style.width = '100%';
+    canvas.style.height = '100%';
+    
+    // The overlay sits on top of whichever chart canvas is active (fullscreen
+    // clones the container), at the same resolution
+    overlayCanvas = container.querySelector('.crosshair-layer');
+    overlayCtx = overlayCanvas ? overlayCanvas.getContext('2d') : null;
+    if (overlayCanvas) {
+        overlayCanvas.width = canvas.width;
+        overlayCanvas.height = canvas.height;
+    }
+    
+    // Calculate chart area
+    chartArea.width = canvas.width - 160;
+    chartArea.height = canvas.height - 120;
+    
+    // Set up high-DPI rendering
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    
+    resizeNavigator();
+}
+
+function updateChart() {
+    // Sync controls between main and overlay
+    syncMainControls();
+    syncOverlayControls();
+    
+    filterData();
+    updateControlVisibility();
+    drawChart();
+    updateStats();
+    updateOverlayStats();
+    updateOverlayLegend();
+    
+    // Auto-save settings after chart updates
+    scheduleSaveSettings();
+}
+
+function redrawChart() {
+    // Just redraw the chart without recalculating data
+    drawChart();
+}
+
+// Panning and zooming only move the visible window. Filters, stats and legends
+// don't depend on it, so they are left alone and the new range is saved later.
+function updateVisibleWindow() {
+    drawChart();
+    scheduleSaveSettings();
+}
+
+function updateControlVisibility() {
+    const chartTypeElement = document.getElementById('chartType');
+    const chartType = chartTypeElement ? chartTypeElement.value : 'candlestick';
+    const candleWidthGroup = document.getElementById('candleWidthGroup');
+    const xAxisGroup = document.getElementById('xAxisGroup');
+    const yAxisGroup = document.getElementById('yAxisGroup');
+    const histogramGroup = document.getElementById('histogramGroup');
+    
+    // Renko box settings only apply to Renko
+    const renkoGroup = document.getElementById('renkoGroup');
+    if (renkoGroup) renkoGroup.style.display = chartType === 'renko' ? 'flex' : 'none';
+    
+    // Show/hide controls based on chart type
+    if (isPriceChartType(chartType)) {
+        if (candleWidthGroup) candleWidthGroup.style.display = 'block';
+        if (xAxisGroup) xAxisGroup.style.display = 'none';
+        if (yAxisGroup) yAxisGroup.style.display = 'none';
+        if (histogramGroup) histogramGroup.style.display = 'none';
+    } else if (chartType === 'histogram') {
+        if (candleWidthGroup) candleWidthGroup.style.display = 'none';
+        if (xAxisGroup) xAxisGroup.style.display = 'none';
+        if (yAxisGroup) yAxisGroup.style.display = 'none';
+        if (histogramGroup) histogramGroup.style.display = 'block';
+    } else { // scatter or line
+        if (candleWidthGroup) candleWidthGroup.style.display = 'none';
+        if (xAxisGroup) xAxisGroup.style.display = 'block';
+        if (yAxisGroup) yAxisGroup.style.display = 'block';
+        if (histogramGroup) histogramGroup.style.display = 'none';
+    }
+}
+
+let filterCache = null; // { data, filters, key } of the last filterData run
+
+function getActiveFilters() {
+    const clusterFilterElement = document.getElementById('clusterFilter');
+    const candleTypeFilterElement = document.getElementById('candleTypeFilter');
+    
+    return {
+        clusterFilter: clusterFilterElement ? clusterFilterElement.value : 'all',
+        candleTypeFilter: candleTypeFilterElement ? candleTypeFilterElement.value : 'all'
+    };
+}
+
+function getFilterCacheKey(filters) {
+    const lastBar = stockData[stockData.length - 1];
+    const lastValues = lastBar ? [lastBar.open, lastBar.high, lastBar.low, lastBar.close, lastBar.volume, lastBar.predicted_cluster] : [];
+    return [stockData.length, ...lastValues, filters.clusterFilter, filters.candleTypeFilter].join('|');
+}
+
+// Add visibility flags instead of removing data
+function toFilteredBar(d, filters) {
+    let visible = true;
+    
+    // Filter by cluster
+    if (filters.clusterFilter !== 'all') {
+        const cluster = parseInt(filters.clusterFilter);
+        visible = visible && d.predicted_cluster === cluster;
+    }
+    
+    // Filter by candle type (bullish/bearish)
+    if (filters.candleTypeFilter !== 'all') {
+        if (filters.candleTypeFilter === 'bullish') {
+            visible = visible && d.close > d.open;
+        } else if (filters.candleTypeFilter === 'bearish') {
+            visible = visible && d.close < d.open;
+        }
+    }
+    
+    return { ...d, visible };
+}
+
+function filterData() {
+    const filters = getActiveFilters();
+    
+    // Copying every row is the slow part at full history, so skip it when
+    // nothing has changed since the last call (a streamed bar moves the close)
+    const key = getFilterCacheKey(filters);
+    if (filterCache && filterCache.data === stockData && filterCache.key === key) {
+        return;
+    }
+    filterCache = { data: stockData, filters: `${filters.clusterFilter}|${filters.candleTypeFilter}`, key };
+    
+    filteredData = stockData.map(d => toFilteredBar(d, filters));
+}
+
+// A streamed frame only changes the bars from fromIndex on. When stockData is
+// the array the last filterData run copied, with the same filters, only that
+// tail of filteredData and its stats are redone; otherwise filterData starts over.
+function patchFilteredTail(fromIndex) {
+    const filters = getActiveFilters();
+    if (!filterCache || filterCache.data !== stockData || filterCache.filters !== `${filters.clusterFilter}|${filters.candleTypeFilter}`) {
+        return;
+    }
+    
+    const start = Math.max(0, Math.min(fromIndex, filteredData.length));
+    const removed = filteredData.splice(start);
+    const added = stockData.slice(start).map(d => toFilteredBar(d, filters));
+    added.forEach(d => filteredData.push(d));
+    filterCache.key = getFilterCacheKey(filters);
+    updateFilterStatsTail(removed, added);
+}
+
+function drawChart() {
+    if (!ctx || filteredData.length === 0) {
+        // Clear canvas and show message
+        if (ctx) {
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            ctx.fillStyle = chartTheme.axisText;
+            ctx.font = '120px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText('No data to display', canvas.width / 2, canvas.height / 2);
+            ctx.font = '80px Arial';
+            ctx.fillText('Load CSV data or generate sample data', canvas.width / 2, canvas.height / 2 + 150);
+        }
+        drawOverlay();
+        drawNavigator();
+        return;
+    }
+    
+    // Clear canvas
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    
+    // Draw background gradient
+    const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
+    gradient.addColorStop(0, withAlpha(chartTheme.chartTop, 0.8));
+    gradient.addColorStop(1, withAlpha(chartTheme.chartBottom, 0.9));
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    
+    // Set again by the chart types that draw a price axis
+    lastPriceRange = null;
+    percentBase = null;
+    eventMarkers = [];
+    paneReadouts = [];
+    
+    // Apply pan transformations only (zoom disabled)
+    ctx.save();
+    ctx.translate(panOffsetX, panOffsetY);
+    // ctx.scale(zoomLevel, zoomLevel); // Disabled zoom scaling
+    
+    const chartTypeElement = document.getElementById('chartType');
+    const chartType = chartTypeElement ? chartTypeElement.value : 'candlestick';
+    
+    if (isPriceChartType(chartType)) {
+        drawCandlestickChart();
+    } else if (chartType === 'scatter') {
+        drawScatterChart();
+    } else if (chartType === 'line') {
+        drawLineChart();
+    } else if (chartType === 'histogram') {
+        drawHistogramChart();
+    }
+    
+    ctx.restore();
+    
+    // Draw interactive elements (not affected by zoom/pan)
+    drawOverlay();
+    
+    drawNavigator();
+}
+
+// Price chart types: candle variants that share the candlestick pipeline
+const PRICE_CHART_TYPES = ['candlestick', 'heikinAshi', 'ohlc', 'hollow', 'renko'];
+const MAX_RENKO_BRICKS = 20000;
+
+// Source bar index of every Renko brick column drawn in the last frame
+let renkoColumns = null;
+
+function getChartType() {
+    const chartTypeElement = document.getElementById('chartType');
+    return chartTypeElement ? chartTypeElement.value : 'candlestick';
+}
+
+function isPriceChartType(chartType) {
+    return PRICE_CHART_TYPES.includes(chartType);
+}
+
+// Renko bricks aren't laid out in time, so overlays tied to bars are skipped there
+function isTimeAlignedPriceChart(chartType) {
+    return isPriceChartType(chartType) && chartType !== 'renko';
+}
+
+function computeHeikinAshi(data) {
+    const result = [];
+    data.forEach((bar, i) => {
+        const close = (bar.open + bar.high + bar.low + bar.close) / 4;
+        const open = i === 0 ? (bar.open + bar.close) / 2 : (result[i - 1].open + result[i - 1].close) / 2;
+        result.push({
+            ...bar,
+            open,
+            close,
+            high: Math.max(bar.high, open, close),
+            low: Math.min(bar.low, open, close)
+        });
+    });
+    return result;
+}
+
+function getRenkoBoxSize() {
+    return getCachedIndicator(`renkoBox|${renkoBoxMode}|${renkoBoxSize}|${renkoAtrPeriod}`, () => {
+        let boxSize = renkoBoxSize;
+        if (renkoBoxMode === 'atr' || !(boxSize > 0)) {
+            const atr = computeATR(stockData, renkoAtrPeriod);
+            boxSize = atr[atr.length - 1] || 0;
+        }
+        
+        // Keep the brick count bounded for tiny boxes
+        let pathLength = 0;
+        for (let i = 1; i < stockData.length; i++) {
+            pathLength += Math.abs(stockData[i].close - stockData[i - 1].close);
+        }
+        return Math.max(boxSize, pathLength / MAX_RENKO_BRICKS);
+    });
+}
+
+// Classic close-based Renko: a brick forms when the close moves a full box
+// beyond the last brick, so reversals need two boxes from its far end.
+// Each brick keeps the bar that completed it for dates, clusters and hover.
+function computeRenko(data, boxSize) {
+    const bricks = [];
+    if (data.length === 0 || !(boxSize > 0)) return bricks;
+    
+    // Bounds of the last brick
+    let top = data[0].close;
+    let bottom = data[0].close;
+    
+    data.forEach((bar, index) => {
+        const addBrick = (open, close) => {
+            bricks.push({
+                ...bar,
+                index,
+                open,
+                close,
+                high: Math.max(open, close),
+                low: Math.min(open, close)
+            });
+        };
+        
+        while (bar.close >= top + boxSize) {
+            addBrick(top, top + boxSize);
+            bottom = top;
+            top += boxSize;
+        }
+        while (bar.close <= bottom - boxSize) {
+            addBrick(bottom, bottom - boxSize);
+            top = bottom;
+            bottom -= boxSize;
+        }
+    });
+    return bricks;
+}
+
+// Bars to draw for the current chart type: [{...bar}], one per column
+function getPriceChartData(chartType) {
+    if (chartType === 'heikinAshi') {
+        return getCachedIndicator('heikinAshi', () => computeHeikinAshi(stockData))
+            .slice(visibleStartIndex, visibleEndIndex + 1);
+    }
+    if (chartType === 'renko') {
+        const boxSize = getRenkoBoxSize();
+        const bricks = getCachedIndicator(`renko|${boxSize}`, () => computeRenko(stockData, boxSize));
+        return bricks.filter(brick => brick.index >= visibleStartIndex && brick.index <= visibleEndIndex);
+    }
+    return stockData.slice(visibleStartIndex, visibleEndIndex + 1);
+}
+
+function updateRenkoSettings() {
+    const modeElement = document.getElementById('renkoBoxMode');
+    const sizeElement = document.getElementById('renkoBoxSize');
+    const periodElement = document.getElementById('renkoAtrPeriod');
+    
+    renkoBoxMode = modeElement ? modeElement.value : 'atr';
+    renkoBoxSize = sizeElement ? parseFloat(sizeElement.value) || 0 : 0;
+    renkoAtrPeriod = periodElement ? Math.max(1, parseInt(periodElement.value) || 14) : 14;
+    updateChart();
+}
+
+function drawCandlestickChart() {
+    const candleWidthElement = document.getElementById('candleWidth');
+    const showVolumeElement = document.getElementById('showVolume');
+    
+    const chartType = getChartType();
+    const timeAligned = isTimeAlignedPriceChart(chartType);
+    const candleWidth = candleWidthElement ? parseInt(candleWidthElement.value) : 8;
+    const showVolume = showVolumeElement ? showVolumeElement.value === 'true' && chartType !== 'renko' : false;
+    
+    renkoColumns = null;
+    if (stockData.length === 0) return;
+    
+    // Update visible range if needed
+    updateVisibleRange();
+    
+    // Bars, Heikin-Ashi bars or Renko bricks to draw, one per column
+    const displayData = getPriceChartData(chartType);
+    if (displayData.length === 0) {
+        ctx.fillStyle = chartTheme.axisText;
+        ctx.font = '60px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('No Renko bricks in view - try a smaller box size', chartArea.x + chartArea.width / 2, chartArea.y + chartArea.height / 2);
+        return;
+    }
+    if (chartType === 'renko') {
+        renkoColumns = displayData.map(brick => brick.index);
+    }
+    
+    const isBarVisible = getBarFilter();
+    
+    // Calculate scales based on visible data, including any comparison lines
+    const comparisonSeries = timeAligned ? getComparisonSeries(stockData.slice(visibleStartIndex, visibleEndIndex + 1)) : [];
+    const indicatorLines = timeAligned ? getVisibleIndicatorLines() : [];
+    
+    // More bars than pixel columns: draw one aggregate bar per column instead
+    const columns = Math.floor(chartArea.width / MIN_PIXELS_PER_BAR);
+    const decimated = displayData.length > columns ? getDecimatedBars(displayData, columns, isBarVisible) : null;
+    const aggregates = decimated ? decimated.aggregates : null;
+    
+    const extents = [decimated ? decimated.extent : getExtent(displayData, d => d.low, d => d.high)];
+    comparisonSeries.forEach(series => extents.push(getExtent(series.values)));
+    indicatorLines.forEach(({ lines }) => {
+        lines.forEach(values => extents.push(getExtent(values)));
+    });
+    const maxPrice = Math.max(...extents.map(extent => extent.max));
+    const minPrice = Math.min(...extents.map(extent => extent.min));
+    const padded = padPriceRange(minPrice, maxPrice, 0.1);
+    
+    // Auto-fit to the visible bars unless the price axis is locked
+    if (priceScaleLocked && !lockedPriceRange) {
+        lockedPriceRange = { min: padded.min, max: padded.max };
+    }
+    const yMin = priceScaleLocked ? lockedPriceRange.min : padded.min;
+    const yMax = priceScaleLocked ? lockedPriceRange.max : padded.max;
+    
+    const maxVolume = getExtent(aggregates || displayData, d => d.volume).max;
+    
+    // Oscillator panes take their share of the height below the price pane
+    const paneLayout = timeAligned ? getPaneLayout() : { priceHeight: chartArea.height, panes: [] };
+    const chartHeight = showVolume ? paneLayout.priceHeight * 0.7 : paneLayout.priceHeight;
+    const volumeHeight = showVolume ? paneLayout.priceHeight * 0.25 : 0;
+    lastPriceRange = { min: yMin, max: yMax, top: chartArea.y, height: chartHeight };
+    percentBase = displayData[0].close;
+    
+    const xStep = chartArea.width / displayData.length;
+    
+    // Draw grid
+    drawGrid(yMin, yMax, chartHeight);
+    
+    const showClusterColorsElement = document.getElementById('showClusterColors');
+    const showClusterColors = showClusterColorsElement ? showClusterColorsElement.checked : true;
+    
+    // A locked or dragged price range can put bars outside the price pane
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(chartArea.x, chartArea.y, chartArea.width, paneLayout.priceHeight);
+    ctx.clip();
+    
+    // Draw candlesticks
+    if (aggregates) {
+        const volume = showVolume ? { max: maxVolume, top: chartArea.y + chartHeight + 40, height: volumeHeight } : null;
+        drawDecimatedBars(aggregates, xStep, yMin, yMax, chartHeight, volume);
+    } else {
+        displayData.forEach((data, i) => {
+            const x = chartArea.x + i * xStep + xStep / 2;
+            let color = getDataColor(data);
+            
+            // Hollow candles are colored against the previous close
+            if (chartType === 'hollow' && !showClusterColors) {
+                const previous = stockData[visibleStartIndex + i - 1];
+                const previousClose = previous ? previous.close : data.open;
+                color = data.close >= previousClose ? defaultColors.bullish : defaultColors.bearish;
+            }
+            
+            if (isBarVisible(data)) {
+                const drawBar = chartType === 'ohlc' ? drawOHLCBar
+                    : chartType === 'hollow' ? drawHollowCandle
+                    : chartType === 'renko' ? drawRenkoBrick
+                    : drawCandlestick;
+                drawBar(
+                    x, 
+                    data.open, 
+                    data.high, 
+                    data.low, 
+                    data.close,
+                    yMin,
+                    yMax,
+                    chartHeight,
+                    chartType === 'renko' ? Math.max(candleWidth, xStep * 0.8) : candleWidth,
+                    color
+                );
+                
+                // Draw volume bar if enabled
+                if (showVolume) {
+                    drawVolumeBar(
+                        x,
+                        data.volume,
+                        maxVolume,
+                        chartArea.y + chartHeight + 40,
+                        volumeHeight,
+                        candleWidth,
+                        color
+                    );
+                }
+            }
+        });
+    }
+    
+    // Moving averages and bands
+    drawIndicatorOverlays(indicatorLines, xStep, yMin, yMax, chartHeight);
+    
+    // Overlay the other symbols' closes
+    drawComparisonLines(comparisonSeries, xStep, yMin, yMax, chartHeight);
+    
+    // Trendlines, levels and other user drawings, then event markers
+    if (timeAligned) {
+        drawDrawings(yMin, yMax, chartHeight);
+        drawEventMarkers(
+            time => chartArea.x + (Math.round(timeToBarIndex(time)) - visibleStartIndex) * xStep + xStep / 2,
+            price => priceToY(price, yMin, yMax, chartHeight),
+            chartArea.y,
+            chartArea.y + chartHeight
+        );
+    }
+    ctx.restore();
+    
+    // Draw axes labels
+    drawAxes(yMin, yMax, chartHeight);
+    
+    drawOscillatorPanes(paneLayout, xStep);
+}
+
+// Large datasets: when there are more bars than pixel columns, candles are
+// aggregated per column (min/max decimation) and lines are thinned with LTTB,
+// so a frame costs about the same at full history as at a few hundred bars.
+// A WebGL renderer was not worth it: after decimation each frame strokes a few
+// thousand vertices, which the 2D canvas handles easily, and the cost left is
+// in the per-bar passes that decimation and these caches already skip. WebGL
+// would also need a second code path for the text, grid and theme drawing.
+const MIN_PIXELS_PER_BAR = 4; // canvas px (2 screen px); narrower bars are aggregated
+const MIN_PIXELS_PER_DOT = 12; // line charts mark each point only above this spacing
+const DEFAULT_MAX_VISIBLE_POINTS = 200;
+
+// Min and max of the values picked from items, skipping nulls. A loop instead
+// of Math.min(...values), which overflows the stack on large arrays.
+function getExtent(items, lowOf = value => value, highOf = lowOf) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < items.length; i++) {
+        const low = lowOf(items[i]);
+        const high = highOf(items[i]);
+        if (low !== null && low < min) min = low;
+        if (high !== null && high > max) max = high;
+    }
+    return { min, max };
+}
+
+// Cluster and candle type filters as one predicate, read from the DOM once
+function getBarFilter() {
+    const clusterFilterElement = document.getElementById('clusterFilter');
+    const candleTypeFilterElement = document.getElementById('candleTypeFilter');
+    const clusterFilter = clusterFilterElement ? clusterFilterElement.value : 'all';
+    const candleTypeFilter = candleTypeFilterElement ? candleTypeFilterElement.value : 'all';
+    const cluster = parseInt(clusterFilter);
+    
+    const isVisible = d => {
+        if (clusterFilter !== 'all' && d.predicted_cluster !== cluster) return false;
+        if (candleTypeFilter === 'bullish') return d.close > d.open;
+        if (candleTypeFilter === 'bearish') return d.close < d.open;
+        return true;
+    };
+    isVisible.key = `${clusterFilter}|${candleTypeFilter}`;
+    return isVisible;
+}
+
+// One aggregate bar per column: first open, last close, extreme high and low,
+// summed volume and the most frequent cluster. start/end are column indices
+// into bars, so the aggregate still lines up with the time axis.
+function decimateBars(bars, columns, isVisible) {
+    const perColumn = bars.length / columns;
+    const aggregates = [];
+    const clusterCounts = new Map();
+    
+    for (let column = 0; column < columns; column++) {
+        const start = Math.floor(column * perColumn);
+        const end = Math.min(bars.length, Math.floor((column + 1) * perColumn));
+        let aggregate = null;
+        clusterCounts.clear();
+        
+        for (let i = start; i < end; i++) {
+            const bar = bars[i];
+            if (!isVisible(bar)) continue;
+            if (!aggregate) {
+                aggregate = { start, end: end - 1, open: bar.open, high: bar.high, low: bar.low, close: bar.close, volume: 0, predicted_cluster: 0 };
+            }
+            if (bar.high > aggregate.high) aggregate.high = bar.high;
+            if (bar.low < aggregate.low) aggregate.low = bar.low;
+            aggregate.close = bar.close;
+            aggregate.volume += bar.volume || 0;
+            const cluster = bar.predicted_cluster || 0;
+            clusterCounts.set(cluster, (clusterCounts.get(cluster) || 0) + 1);
+        }
+        
+        if (aggregate) {
+            let best = 0;
+            clusterCounts.forEach((count, cluster) => {
+                if (count > best) {
+                    best = count;
+                    aggregate.predicted_cluster = cluster;
+                }
+            });
+            aggregates.push(aggregate);
+        }
+    }
+    return aggregates;
+}
+
+// The aggregates and price extent only change with the bars in view and the
+// filters, so redraws for the crosshair or price-axis drags reuse them
+let decimationCache = null;
+
+function getDecimatedBars(bars, columns, isVisible) {
+    const first = bars[0];
+    const last = bars[bars.length - 1];
+    const key = [bars.length, columns, isVisible.key, last.high, last.low, last.close, last.predicted_cluster].join('|');
+    if (!decimationCache || decimationCache.first !== first || decimationCache.last !== last || decimationCache.key !== key) {
+        decimationCache = {
+            first,
+            last,
+            key,
+            aggregates: decimateBars(bars, columns, isVisible),
+            extent: getExtent(bars, d => d.low, d => d.high)
+        };
+    }
+    return decimationCache;
+}
+
+// Aggregate bars as high-low columns, batched into one path per color
+function drawDecimatedBars(aggregates, xStep, minPrice, maxPrice, chartHeight, volume) {
+    const groups = new Map();
+    aggregates.forEach(aggregate => {
+        const color = getDataColor(aggregate);
+        if (!groups.has(color)) groups.set(color, []);
+        groups.get(color).push(aggregate);
+    });
+    
+    groups.forEach((group, color) => {
+        ctx.fillStyle = color.main;
+        ctx.beginPath();
+        group.forEach(aggregate => {
+            const x = chartArea.x + aggregate.start * xStep;
+            const width = Math.max(1, (aggregate.end - aggregate.start + 1) * xStep - 1);
+            const top = priceToY(aggregate.high, minPrice, maxPrice, chartHeight);
+            const bottom = priceToY(aggregate.low, minPrice, maxPrice, chartHeight);
+            ctx.rect(x, top, width, Math.max(bottom - top, 2));
+        });
+        ctx.fill();
+        
+        if (volume) {
+            ctx.fillStyle = color.shadow;
+            ctx.beginPath();
+            group.forEach(aggregate => {
+                const x = chartArea.x + aggregate.start * xStep;
+                const width = Math.max(1, (aggregate.end - aggregate.start + 1) * xStep - 1);
+                const height = aggregate.volume / volume.max * volume.height;
+                ctx.rect(x, volume.top + volume.height - height, width, height);
+            });
+            ctx.fill();
+        }
+    });
+}
+
+// Largest-Triangle-Three-Buckets: keeps the threshold points that best
+// preserve the shape of the line. Returns the positions of the kept points.
+function lttb(xs, ys, threshold) {
+    const count = xs.length;
+    if (threshold >= count || threshold < 3) return xs.map((x, i) => i);
+    
+    const sampled = [0];
+    const bucketSize = (count - 2) / (threshold - 2);
+    let previous = 0;
+    
+    for (let bucket = 0; bucket < threshold - 2; bucket++) {
+        // Average of the next bucket is the third corner of the triangle
+        const nextStart = Math.floor((bucket + 1) * bucketSize) + 1;
+        const nextEnd = Math.min(count, Math.floor((bucket + 2) * bucketSize) + 1);
+        let averageX = 0;
+        let averageY = 0;
+        for (let i = nextStart; i < nextEnd; i++) {
+            averageX += xs[i];
+            averageY += ys[i];
+        }
+        averageX /= nextEnd - nextStart;
+        averageY /= nextEnd - nextStart;
+        
+        const start = Math.floor(bucket * bucketSize) + 1;
+        const end = Math.floor((bucket + 1) * bucketSize) + 1;
+        const ax = xs[previous];
+        const ay = ys[previous];
+        let maxArea = -1;
+        let chosen = start;
+        for (let i = start; i < end; i++) {
+            const area = Math.abs((ax - averageX) * (ys[i] - ay) - (ax - xs[i]) * (averageY - ay));
+            if (area > maxArea) {
+                maxArea = area;
+                chosen = i;
+            }
+        }
+        sampled.push(chosen);
+        previous = chosen;
+    }
+    
+    sampled.push(count - 1);
+    return sampled;
+}
+
+// Stretching either axis scales every triangle alike, so LTTB keeps the same
+// points whatever the price range; it runs on the raw values and the kept
+// indices are reused until the series or the chart width changes. Series are
+// keyed by identity, which is why visible ranges go through sliceVisible.
+let lineSampleCache = new WeakMap();
+
+function getLineSamples(values) {
+    const threshold = Math.floor(chartArea.width);
+    const cached = lineSampleCache.get(values);
+    if (cached && cached.threshold === threshold) return cached.segments;
+    
+    const dense = values.length > threshold;
+    const segments = [];
+    let indices = [];
+    const flush = () => {
+        if (indices.length > 0) {
+            const kept = dense
+                ? lttb(indices, indices.map(i => values[i]), Math.ceil(indices.length / values.length * threshold))
+                : indices.map((index, n) => n);
+            segments.push(kept.map(n => indices[n]));
+        }
+        indices = [];
+    };
+    values.forEach((value, i) => {
+        if (value === null) {
+            flush();
+        } else {
+            indices.push(i);
+        }
+    });
+    flush();
+    
+    lineSampleCache.set(values, { threshold, segments });
+    return segments;
+}
+
+// The visible part of a cached series. Redraws over the same range get the
+// same array back, so its line samples stay cached.
+let visibleSliceCache = new WeakMap();
+
+function sliceVisible(values) {
+    const cached = visibleSliceCache.get(values);
+    if (cached && cached.start === visibleStartIndex && cached.end === visibleEndIndex) return cached.slice;
+    
+    const slice = values.slice(visibleStartIndex, visibleEndIndex + 1);
+    visibleSliceCache.set(values, { start: visibleStartIndex, end: visibleEndIndex, slice });
+    return slice;
+}
+
+// Strokes a series that may contain null gaps, LTTB-thinned to about one
+// point per pixel column
+function traceLine(values, toX, toY) {
+    ctx.beginPath();
+    getLineSamples(values).forEach(segment => {
+        segment.forEach((i, n) => n === 0 ? ctx.moveTo(toX(i), toY(values[i])) : ctx.lineTo(toX(i), toY(values[i])));
+    });
+    ctx.stroke();
+}
+
+// LTTB picks for the line chart, grouped by cluster when lines are colored by
+// cluster. Like getDecimatedBars they only change with the bars in view, the
+// axes, the filters and the width, so hover and axis redraws reuse them.
+let lineChartSampleCache = null;
+
+function getLineChartSamples(displayData, xData, yData, byCluster, isBarVisible, axes) {
+    const threshold = Math.floor(chartArea.width);
+    const first = displayData[0];
+    const last = displayData[displayData.length - 1];
+    const key = [displayData.length, axes, byCluster, isBarVisible.key, threshold, xData[xData.length - 1], yData[yData.length - 1], last.predicted_cluster].join('|');
+    if (!lineChartSampleCache || lineChartSampleCache.first !== first || lineChartSampleCache.last !== last || lineChartSampleCache.key !== key) {
+        const groups = {};
+        displayData.forEach((data, i) => {
+            if (isBarVisible(data)) {
+                const group = byCluster ? data.predicted_cluster || 0 : 0;
+                if (!groups[group]) {
+                    groups[group] = [];
+                }
+                groups[group].push(i);
+            }
+        });
+        Object.keys(groups).forEach(group => {
+            const indices = groups[group];
+            groups[group] = lttb(indices.map(i => xData[i]), indices.map(i => yData[i]), threshold).map(n => indices[n]);
+        });
+        lineChartSampleCache = { first, last, key, groups };
+    }
+    return lineChartSampleCache.groups;
+}
+
+// The slider reaches the whole dataset, so full history fits in one view
+function updateVisiblePointsSlider() {
+    const slider = document.getElementById('maxVisiblePoints');
+    if (slider) {
+        slider.max = Math.max(DEFAULT_MAX_VISIBLE_POINTS, stockData.length);
+    }
+}
+
+// Indicator overlays: moving averages and bands drawn on the price scale.
+// Values are computed over the full stockData so they're correct at the edges
+// of the visible window, and cached until the data changes.
+const INDICATOR_TYPES = {
+    sma: { label: 'SMA', defaultPeriod: 20, defaultColor: '#00d4ff' },
+    ema: { label: 'EMA', defaultPeriod: 50, defaultColor: '#ff9f43' },
+    wma: { label: 'WMA', defaultPeriod: 20, defaultColor: '#f368e0' },
+    bollinger: { label: 'Bollinger', defaultPeriod: 20, defaultColor: '#feca57', bands: true, defaultMultiplier: 2 },
+    keltner: { label: 'Keltner', defaultPeriod: 20, defaultColor: '#48dbfb', bands: true, defaultMultiplier: 2 }
+};
+
+const INDICATOR_SOURCES = {
+    open: d => d.open,
+    high: d => d.high,
+    low: d => d.low,
+    close: d => d.close,
+    hl2: d => (d.high + d.low) / 2,
+    hlc3: d => (d.high + d.low + d.close) / 3,
+    ohlc4: d => (d.open + d.high + d.low + d.close) / 4
+};
+
+let overlayIndicators = getDefaultIndicators();
+let indicatorCache = { data: null, length: 0, lastClose: null, values: new Map() };
+
+function createIndicator(type, id) {
+    const definition = INDICATOR_TYPES[type];
+    const indicator = {
+        id,
+        type,
+        period: definition.defaultPeriod,
+        source: 'close',
+        color: definition.defaultColor,
+        visible: false
+    };
+    if (definition.bands) {
+        indicator.multiplier = definition.defaultMultiplier;
+    }
+    return indicator;
+}
+
+function getDefaultIndicators() {
+    return [createIndicator('sma', 1), createIndicator('ema', 2), createIndicator('bollinger', 3)];
+}
+
+function getIndicatorLabel(indicator) {
+    const definition = INDICATOR_TYPES[indicator.type];
+    const bands = definition.bands ? `, ${indicator.multiplier}×` : '';
+    return `${definition.label} ${indicator.period}${bands} (${indicator.source})`;
+}
+
+function computeSMA(values, period) {
+    const result = new Array(values.length).fill(null);
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+        sum += values[i];
+        if (i >= period) sum -= values[i - period];
+        if (i >= period - 1) result[i] = sum / period;
+    }
+    return result;
+}
+
+// Seeded with the SMA of the first period values
+function computeEMA(values, period) {
+    const result = new Array(values.length).fill(null);
+    if (values.length < period) return result;
+    
+    const alpha = 2 / (period + 1);
+    let ema = values.slice(0, period).reduce((sum, value) => sum + value, 0) / period;
+    result[period - 1] = ema;
+    for (let i = period; i < values.length; i++) {
+        ema += alpha * (values[i] - ema);
+        result[i] = ema;
+    }
+    return result;
+}
+
+// Linear weights 1..period, updated in O(1) per bar
+function computeWMA(values, period) {
+    const result = new Array(values.length).fill(null);
+    const denominator = period * (period + 1) / 2;
+    let windowSum = 0;
+    let weightedSum = 0;
+    
+    for (let i = 0; i < values.length; i++) {
+        if (i < period) {
+            weightedSum += (i + 1) * values[i];
+            windowSum += values[i];
+        } else {
+            weightedSum += period * values[i] - windowSum;
+            windowSum += values[i] - values[i - period];
+        }
+        if (i >= period - 1) result[i] = weightedSum / denominator;
+    }
+    return result;
+}
+
+// Population standard deviation over a rolling window
+function computeRollingStdDev(values, period) {
+    const result = new Array(values.length).fill(null);
+    let sum = 0;
+    let sumSquares = 0;
+    for (let i = 0; i < values.length; i++) {
+        sum += values[i];
+        sumSquares += values[i] * values[i];
+        if (i >= period) {
+            sum -= values[i - period];
+            sumSquares -= values[i - period] * values[i - period];
+        }
+        if (i >= period - 1) {
+            const mean = sum / period;
+            result[i] = Math.sqrt(Math.max(0, sumSquares / period - mean * mean));
+        }
+    }
+    return result;
+}
+
+// Average true range with Wilder's smoothing
+function computeATR(data, period) {
+    const result = new Array(data.length).fill(null);
+    let atr = 0;
+    for (let i = 0; i < data.length; i++) {
+        const previousClose = i > 0 ? data[i - 1].close : data[i].close;
+        const trueRange = Math.max(
+            data[i].high - data[i].low,
+            Math.abs(data[i].high - previousClose),
+            Math.abs(data[i].low - previousClose)
+        );
+        if (i < period) {
+            atr += trueRange / period;
+            if (i === period - 1) result[i] = atr;
+        } else {
+            atr = (atr * (period - 1) + trueRange) / period;
+            result[i] = atr;
+        }
+    }
+    return result;
+}
+
+function offsetSeries(middle, width, multiplier) {
+    return middle.map((value, i) => value === null || width[i] === null ? null : value + multiplier * width[i]);
+}
+
+// Returns the indicator's lines over the full data: [line] or [middle, upper, lower]
+function computeIndicator(data, indicator) {
+    const period = Math.max(1, Math.floor(indicator.period));
+    const values = data.map(INDICATOR_SOURCES[indicator.source] || INDICATOR_SOURCES.close);
+    
+    switch (indicator.type) {
+        case 'ema':
+            return [computeEMA(values, period)];
+        case 'wma':
+            return [computeWMA(values, period)];
+        case 'bollinger': {
+            const middle = computeSMA(values, period);
+            const deviation = computeRollingStdDev(values, period);
+            return [middle, offsetSeries(middle, deviation, indicator.multiplier), offsetSeries(middle, deviation, -indicator.multiplier)];
+        }
+        case 'keltner': {
+            const middle = computeEMA(values, period);
+            const atr = computeATR(data, period);
+            return [middle, offsetSeries(middle, atr, indicator.multiplier), offsetSeries(middle, atr, -indicator.multiplier)];
+        }
+        default:
+            return [computeSMA(values, period)];
+    }
+}
+
+function getCachedIndicator(key, compute) {
+    // Streaming updates change the last bar in place, so check it as well
+    const lastClose = stockData.length > 0 ? stockData[stockData.length - 1].close : null;
+    if (indicatorCache.data !== stockData || indicatorCache.length !== stockData.length || indicatorCache.lastClose !== lastClose) {
+        indicatorCache = { data: stockData, length: stockData.length, lastClose, values: new Map() };
+    }
+    
+    if (!indicatorCache.values.has(key)) {
+        indicatorCache.values.set(key, compute());
+    }
+    return indicatorCache.values.get(key);
+}
+
+function getIndicatorValues(indicator) {
+    const key = [indicator.type, indicator.period, indicator.source, indicator.multiplier].join('|');
+    return getCachedIndicator(key, () => computeIndicator(stockData, indicator));
+}
+
+// Visible slices of every shown indicator's lines
+function getVisibleIndicatorLines() {
+    return overlayIndicators
+        .filter(indicator => indicator.visible)
+        .map(indicator => ({
+            indicator,
+            lines: getIndicatorValues(indicator).map(sliceVisible)
+        }));
+}
+
+function drawIndicatorOverlays(indicatorLines, xStep, minPrice, maxPrice, chartHeight) {
+    const toX = i => chartArea.x + i * xStep + xStep / 2;
+    const toY = value => priceToY(value, minPrice, maxPrice, chartHeight);
+    
+    indicatorLines.forEach(({ indicator, lines }) => {
+        ctx.save();
+        
+        // Shade between the upper and lower band
+        if (lines.length === 3) {
+            const [, upper, lower] = lines;
+            ctx.fillStyle = indicator.color;
+            ctx.globalAlpha = 0.08;
+            ctx.beginPath();
+            let segment = [];
+            const fillSegment = () => {
+                if (segment.length > 1) {
+                    segment.forEach((i, n) => n === 0 ? ctx.moveTo(toX(i), toY(upper[i])) : ctx.lineTo(toX(i), toY(upper[i])));
+                    segment.slice().reverse().forEach(i => ctx.lineTo(toX(i), toY(lower[i])));
+                    ctx.closePath();
+                }
+                segment = [];
+            };
+            // Bands are smooth, so every stride-th bar is enough on large ranges
+            const stride = Math.max(1, Math.floor(upper.length / chartArea.width));
+            upper.forEach((value, i) => {
+                if (value === null) {
+                    fillSegment();
+                } else if (i % stride === 0 || i === upper.length - 1) {
+                    segment.push(i);
+                }
+            });
+            fillSegment();
+            ctx.fill();
+            ctx.globalAlpha = 1;
+        }
+        
+        lines.forEach((values, lineIndex) => {
+            ctx.strokeStyle = indicator.color;
+            ctx.lineWidth = lineIndex === 0 ? 3 : 2;
+            ctx.setLineDash(lineIndex === 0 && lines.length === 3 ? [8, 6] : []);
+            traceLine(values, toX, toY);
+        });
+        
+        ctx.restore();
+    });
+}
+
+function renderIndicatorControls() {
+    const list = document.getElementById('indicatorList');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    overlayIndicators.forEach(indicator => {
+        const definition = INDICATOR_TYPES[indicator.type];
+        const row = document.createElement('div');
+        row.className = 'indicator-row';
+        
+        const visible = document.createElement('input');
+        visible.type = 'checkbox';
+        visible.checked = indicator.visible;
+        visible.title = 'Show on chart';
+        visible.onchange = () => updateIndicator(indicator.id, 'visible', visible.checked);
+        
+        const name = document.createElement('span');
+        name.className = 'indicator-name';
+        name.textContent = definition.label;
+        
+        const period = document.createElement('input');
+        period.type = 'number';
+        period.min = 1;
+        period.max = 500;
+        period.value = indicator.period;
+        period.title = 'Period';
+        period.onchange = () => updateIndicator(indicator.id, 'period', Math.max(1, parseInt(period.value) || definition.defaultPeriod));
+        
+        const source = document.createElement('select');
+        source.title = 'Source';
+        Object.keys(INDICATOR_SOURCES).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = key;
+            source.appendChild(option);
+        });
+        source.value = indicator.source;
+        source.onchange = () => updateIndicator(indicator.id, 'source', source.value);
+        
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.value = indicator.color;
+        color.title = 'Color';
+        color.onchange = () => updateIndicator(indicator.id, 'color', color.value);
+        
+        const remove = document.createElement('button');
+        remove.className = 'overlay-panel-btn';
+        remove.textContent = '×';
+        remove.title = 'Remove';
+        remove.onclick = () => removeIndicator(indicator.id);
+        
+        row.append(visible, name, period);
+        if (definition.bands) {
+            const multiplier = document.createElement('input');
+            multiplier.type = 'number';
+            multiplier.min = 0.1;
+            multiplier.step = 0.1;
+            multiplier.value = indicator.multiplier;
+            multiplier.title = definition.label === 'Bollinger' ? 'Standard deviations' : 'ATR multiplier';
+            multiplier.onchange = () => updateIndicator(indicator.id, 'multiplier', parseFloat(multiplier.value) || definition.defaultMultiplier);
+            row.appendChild(multiplier);
+        }
+        row.append(source, color, remove);
+        list.appendChild(row);
+    });
+}
+
+function updateIndicator(id, field, value) {
+    const indicator = overlayIndicators.find(item => item.id === id);
+    if (!indicator) return;
+    
+    indicator[field] = value;
+    updateChart();
+}
+
+function addIndicator() {
+    const typeElement = document.getElementById('indicatorType');
+    const type = typeElement ? typeElement.value : 'sma';
+    if (!INDICATOR_TYPES[type]) return;
+    
+    const id = overlayIndicators.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+    const indicator = createIndicator(type, id);
+    indicator.visible = true;
+    overlayIndicators.push(indicator);
+    renderIndicatorControls();
+    updateChart();
+}
+
+function removeIndicator(id) {
+    overlayIndicators = overlayIndicators.filter(item => item.id !== id);
+    renderIndicatorControls();
+    updateChart();
+}
+
+// Settings may come from an older or hand-edited save, so keep only valid entries
+function sanitizeIndicators(saved) {
+    if (!Array.isArray(saved)) return getDefaultIndicators();
+    
+    return saved
+        .filter(item => item && INDICATOR_TYPES[item.type])
+        .map((item, index) => {
+            const indicator = createIndicator(item.type, Number.isInteger(item.id) ? item.id : index + 1);
+            indicator.period = Math.max(1, parseInt(item.period) || indicator.period);
+            indicator.source = INDICATOR_SOURCES[item.source] ? item.source : 'close';
+            indicator.color = /^#[0-9a-f]{6}$/i.test(item.color) ? item.color : indicator.color;
+            indicator.visible = !!item.visible;
+            if (indicator.multiplier !== undefined) {
+                indicator.multiplier = parseFloat(item.multiplier) || indicator.multiplier;
+            }
+            return indicator;
+        });
+}
+
+// Oscillator panes: RSI, MACD, Stochastic and ATR stacked under the price chart.
+// They share the candles' x mapping, so panning and the crosshair apply to every pane.
+const OSCILLATOR_TYPES = {
+    rsi: { label: 'RSI', params: { period: 14 }, range: [0, 100], guides: [30, 70] },
+    macd: { label: 'MACD', params: { fast: 12, slow: 26, signal: 9 }, guides: [0] },
+    stochastic: { label: 'Stochastic', params: { period: 14, smoothK: 3, smoothD: 3 }, range: [0, 100], guides: [20, 80] },
+    atr: { label: 'ATR', params: { period: 14 } }
+};
+
+const PANE_GAP = 40;
+const MAX_PANE_SHARE = 0.6; // Panes never take more than this share of the chart height
+const DEFAULT_PANE_HEIGHT = 20; // Percent of the chart height
+
+let oscillatorPanes = [];
+let paneReadouts = []; // Panes as last drawn, with their visible series, for the hover readouts
+
+function createOscillatorPane(type, id) {
+    return {
+        id,
+        type,
+        params: { ...OSCILLATOR_TYPES[type].params },
+        height: DEFAULT_PANE_HEIGHT,
+        visible: true
+    };
+}
+
+// Apply a calculation to the part of a series after its leading nulls
+function applyAfterWarmup(values, compute) {
+    const start = values.findIndex(value => value !== null);
+    if (start < 0) return values.map(() => null);
+    return new Array(start).fill(null).concat(compute(values.slice(start)));
+}
+
+// Wilder's RSI
+function computeRSI(values, period) {
+    const result = new Array(values.length).fill(null);
+    let averageGain = 0;
+    let averageLoss = 0;
+    
+    for (let i = 1; i < values.length; i++) {
+        const change = values[i] - values[i - 1];
+        const gain = Math.max(change, 0);
+        const loss = Math.max(-change, 0);
+        
+        if (i <= period) {
+            averageGain += gain / period;
+            averageLoss += loss / period;
+            if (i < period) continue;
+        } else {
+            averageGain = (averageGain * (period - 1) + gain) / period;
+            averageLoss = (averageLoss * (period - 1) + loss) / period;
+        }
+        result[i] = averageLoss === 0 ? 100 : 100 - 100 / (1 + averageGain / averageLoss);
+    }
+    return result;
+}
+
+function computeStochastic(data, period) {
+    return data.map((bar, i) => {
+        if (i < period - 1) return null;
+        let highest = -Infinity;
+        let lowest = Infinity;
+        for (let j = i - period + 1; j <= i; j++) {
+            highest = Math.max(highest, data[j].high);
+            lowest = Math.min(lowest, data[j].low);
+        }
+        return highest === lowest ? 50 : 100 * (bar.close - lowest) / (highest - lowest);
+    });
+}
+
+// Returns the pane's series over the full data
+function computeOscillator(data, pane) {
+    const params = pane.params;
+    const closes = data.map(d => d.close);
+    
+    switch (pane.type) {
+        case 'macd': {
+            const fast = computeEMA(closes, params.fast);
+            const slow = computeEMA(closes, params.slow);
+            const macd = fast.map((value, i) => value === null || slow[i] === null ? null : value - slow[i]);
+            const signal = applyAfterWarmup(macd, values => computeEMA(values, params.signal));
+            const histogram = macd.map((value, i) => value === null || signal[i] === null ? null : value - signal[i]);
+            return [
+                { name: 'Hist', values: histogram, style: 'histogram' },
+                { name: 'MACD', values: macd, color: '#00d4ff' },
+                { name: 'Signal', values: signal, color: '#ff9f43' }
+            ];
+        }
+        case 'stochastic': {
+            const k = applyAfterWarmup(computeStochastic(data, params.period), values => computeSMA(values, params.smoothK));
+            const d = applyAfterWarmup(k, values => computeSMA(values, params.smoothD));
+            return [
+                { name: '%K', values: k, color: '#48dbfb' },
+                { name: '%D', values: d, color: '#feca57' }
+            ];
+        }
+        case 'atr':
+            return [{ name: 'ATR', values: computeATR(data, params.period), color: '#1dd1a1' }];
+        default:
+            return [{ name: 'RSI', values: computeRSI(closes, params.period), color: '#f368e0' }];
+    }
+}
+
+function getOscillatorLabel(pane) {
+    return `${OSCILLATOR_TYPES[pane.type].label} ${Object.values(pane.params).join(', ')}`;
+}
+
+// Split the chart height between the price pane and the visible oscillator panes
+function getPaneLayout() {
+    const panes = oscillatorPanes.filter(pane => pane.visible);
+    const requested = panes.reduce((sum, pane) => sum + pane.height / 100, 0);
+    const scale = requested > MAX_PANE_SHARE ? MAX_PANE_SHARE / requested : 1;
+    
+    const paneHeights = panes.map(pane => chartArea.height * pane.height / 100 * scale - PANE_GAP);
+    const priceHeight = chartArea.height - paneHeights.reduce((sum, height) => sum + height + PANE_GAP, 0);
+    
+    let top = chartArea.y + priceHeight;
+    return {
+        priceHeight,
+        panes: panes.map((pane, i) => {
+            top += PANE_GAP;
+            const layout = { pane, top, height: paneHeights[i] };
+            top += paneHeights[i];
+            return layout;
+        })
+    };
+}
+
+function drawOscillatorPanes(layout, xStep) {
+    const toX = i => chartArea.x + i * xStep + xStep / 2;
+    
+    layout.panes.forEach(({ pane, top, height }) => {
+        const definition = OSCILLATOR_TYPES[pane.type];
+        const key = ['pane', pane.type, ...Object.values(pane.params)].join('|');
+        const series = getCachedIndicator(key, () => computeOscillator(stockData, pane))
+            .map(item => ({ ...item, values: sliceVisible(item.values) }));
+        
+        // Fixed scale for bounded oscillators, otherwise fit the visible values
+        let [min, max] = definition.range || [Infinity, -Infinity];
+        if (!definition.range) {
+            series.forEach(item => item.values.forEach(value => {
+                if (value !== null) {
+                    min = Math.min(min, value);
+                    max = Math.max(max, value);
+                }
+            }));
+            if (!isFinite(min)) return;
+            if (pane.type === 'macd') {
+                // Keep the zero line centred
+                max = Math.max(Math.abs(min), Math.abs(max)) || 1;
+                min = -max;
+            } else {
+                const padding = (max - min) * 0.1 || Math.abs(max) * 0.1 || 1;
+                min -= padding;
+                max += padding;
+            }
+        }
+        const toY = value => top + height - (value - min) / (max - min) * height;
+        
+        ctx.save();
+        
+        // Pane frame and guide lines
+        ctx.strokeStyle = chartTheme.grid;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(chartArea.x, top, chartArea.width, height);
+        ctx.strokeStyle = chartTheme.grid;
+        ctx.setLineDash([8, 8]);
+        (definition.guides || []).forEach(guide => {
+            if (guide < min || guide > max) return;
+            ctx.beginPath();
+            ctx.moveTo(chartArea.x, toY(guide));
+            ctx.lineTo(chartArea.x + chartArea.width, toY(guide));
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+        
+        // Y axis labels
+        ctx.fillStyle = chartTheme.axisText;
+        ctx.font = '36px Arial';
+        ctx.textAlign = 'right';
+        const decimals = Math.abs(max - min) < 10 ? 2 : 0;
+        [max, (min + max) / 2, min].forEach(value => {
+            ctx.fillText(value.toFixed(decimals), chartArea.x - 20, toY(value) + 12);
+        });
+        
+        // Clip so lines never spill into the neighbouring pane
+        ctx.beginPath();
+        ctx.rect(chartArea.x, top, chartArea.width, height);
+        ctx.clip();
+        
+        series.forEach(item => {
+            if (item.style === 'histogram') {
+                // On large ranges each column shows its largest bar
+                const zeroY = toY(Math.max(min, Math.min(max, 0)));
+                const step = Math.max(1, Math.ceil(item.values.length * MIN_PIXELS_PER_BAR / chartArea.width));
+                for (let start = 0; start < item.values.length; start += step) {
+                    let value = null;
+                    for (let i = start; i < Math.min(start + step, item.values.length); i++) {
+                        if (item.values[i] !== null && (value === null || Math.abs(item.values[i]) > Math.abs(value))) {
+                            value = item.values[i];
+                        }
+                    }
+                    if (value === null) continue;
+                    ctx.fillStyle = withAlpha(value >= 0 ? chartTheme.bullish : chartTheme.bearish, 0.5);
+                    const y = toY(value);
+                    ctx.fillRect(chartArea.x + (start + step * 0.2) * xStep, Math.min(y, zeroY), step * xStep * 0.6, Math.abs(zeroY - y));
+                }
+                return;
+            }
+            
+            ctx.strokeStyle = item.color;
+            ctx.lineWidth = 3;
+            traceLine(item.values, toX, toY);
+        });
+        
+        ctx.restore();
+        paneReadouts.push({ pane, top, series });
+    });
+}
+
+// Readouts for the hovered bar, or the last visible one. They live on the
+// overlay so that hovering doesn't repaint the panes.
+function drawPaneReadouts() {
+    if (paneReadouts.length === 0) return;
+    
+    const index = hoveredIndex >= visibleStartIndex && hoveredIndex <= visibleEndIndex
+        ? hoveredIndex - visibleStartIndex
+        : visibleEndIndex - visibleStartIndex;
+    
+    overlayCtx.save();
+    overlayCtx.setTransform(1, 0, 0, 1, panOffsetX, panOffsetY);
+    overlayCtx.font = 'bold 36px Arial';
+    overlayCtx.textAlign = 'left';
+    paneReadouts.forEach(({ pane, top, series }) => {
+        let x = chartArea.x + 20;
+        const readouts = [{ text: getOscillatorLabel(pane), color: chartTheme.foreground }];
+        series.forEach(item => {
+            const value = item.values[index];
+            readouts.push({
+                text: `${item.name} ${value === null || value === undefined ? '—' : value.toFixed(2)}`,
+                color: item.color || (value >= 0 ? chartTheme.bullish : chartTheme.bearish)
+            });
+        });
+        readouts.forEach(({ text, color }) => {
+            overlayCtx.fillStyle = color;
+            overlayCtx.fillText(text, x, top + 44);
+            x += overlayCtx.measureText(text).width + 30;
+        });
+    });
+    overlayCtx.restore();
+}
+
+function renderOscillatorControls() {
+    const list = document.getElementById('oscillatorList');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    oscillatorPanes.forEach(pane => {
+        const definition = OSCILLATOR_TYPES[pane.type];
+        const row = document.createElement('div');
+        row.className = 'indicator-row';
+        
+        const visible = document.createElement('input');
+        visible.type = 'checkbox';
+        visible.checked = pane.visible;
+        visible.title = 'Show pane';
+        visible.onchange = () => updateOscillatorPane(pane.id, 'visible', visible.checked);
+        
+        const name = document.createElement('span');
+        name.className = 'indicator-name';
+        name.textContent = definition.label;
+        row.append(visible, name);
+        
+        Object.keys(definition.params).forEach(param => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = 1;
+            input.max = 500;
+            input.value = pane.params[param];
+            input.title = param;
+            input.onchange = () => {
+                const params = { ...pane.params, [param]: Math.max(1, parseInt(input.value) || definition.params[param]) };
+                updateOscillatorPane(pane.id, 'params', params);
+            };
+            row.appendChild(input);
+        });
+        
+        const height = document.createElement('input');
+        height.type = 'range';
+        height.min = 10;
+        height.max = 40;
+        height.value = pane.height;
+        height.title = 'Pane height';
+        height.className = 'indicator-height';
+        height.onchange = () => updateOscillatorPane(pane.id, 'height', parseInt(height.value));
+        
+        const remove = document.createElement('button');
+        remove.className = 'overlay-panel-btn';
+        remove.textContent = '×';
+        remove.title = 'Remove';
+        remove.onclick = () => removeOscillatorPane(pane.id);
+        
+        row.append(height, remove);
+        list.appendChild(row);
+    });
+}
+
+function updateOscillatorPane(id, field, value) {
+    const pane = oscillatorPanes.find(item => item.id === id);
+    if (!pane) return;
+    
+    pane[field] = value;
+    updateChart();
+}
+
+function addOscillatorPane() {
+    const typeElement = document.getElementById('oscillatorType');
+    const type = typeElement ? typeElement.value : 'rsi';
+    if (!OSCILLATOR_TYPES[type]) return;
+    
+    const id = oscillatorPanes.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+    oscillatorPanes.push(createOscillatorPane(type, id));
+    renderOscillatorControls();
+    updateChart();
+}
+
+function removeOscillatorPane(id) {
+    oscillatorPanes = oscillatorPanes.filter(item => item.id !== id);
+    renderOscillatorControls();
+    updateChart();
+}
+
+function sanitizeOscillatorPanes(saved) {
+    if (!Array.isArray(saved)) return [];
+    
+    return saved
+        .filter(item => item && OSCILLATOR_TYPES[item.type])
+        .map((item, index) => {
+            const pane = createOscillatorPane(item.type, Number.isInteger(item.id) ? item.id : index + 1);
+            Object.keys(pane.params).forEach(param => {
+                const value = item.params ? parseInt(item.params[param]) : NaN;
+                if (value >= 1) pane.params[param] = value;
+            });
+            pane.height = Math.min(40, Math.max(10, parseInt(item.height) || DEFAULT_PANE_HEIGHT));
+            pane.visible = item.visible !== false;
+            return pane;
+        });
+}
+
+function drawScatterChart() {
+    const xAxisElement = document.getElementById('xAxis');
+    const yAxisElement = document.getElementById('yAxis');
+    
+    const xAxis = xAxisElement ? xAxisElement.value : 'timestamp';
+    const yAxis = yAxisElement ? yAxisElement.value : 'close';
+    
+    if (stockData.length === 0) return;
+    
+    // Update visible range if needed
+    updateVisibleRange();
+    
+    // Get the data points to display from original data
+    const displayData = stockData.slice(visibleStartIndex, visibleEndIndex + 1);
+    if (displayData.length === 0) return;
+    const isBarVisible = getBarFilter();
+    
+    // Get data for x and y axes, handling timestamps specially
+    let xData, yData;
+    
+    if (xAxis === 'timestamp') {
+        // Convert timestamps to numeric values (milliseconds)
+        xData = displayData.map(d => {
+            if (d.date) {
+                return d.date.getTime();
+            } else if (d.timestamp) {
+                return new Date(d.timestamp).getTime();
+            }
+            return 0;
+        });
+    } else {
+        xData = displayData.map(d => d[xAxis]);
+    }
+    
+    if (yAxis === 'timestamp') {
+        // Convert timestamps to numeric values (milliseconds)
+        yData = displayData.map(d => {
+            if (d.date) {
+                return d.date.getTime();
+            } else if (d.timestamp) {
+                return new Date(d.timestamp).getTime();
+            }
+            return 0;
+        });
+    } else {
+        yData = displayData.map(d => d[yAxis]);
+    }
+    
+    const { min: minX, max: maxX } = getExtent(xData);
+    const { min: minY, max: maxY } = getExtent(yData);
+    
+    const xRange = maxX - minX;
+    const yRange = maxY - minY;
+    const xPadding = xRange * 0.05;
+    const yPadding = yRange * 0.05;
+    
+    // Draw grid
+    drawCustomGrid(minX - xPadding, maxX + xPadding, minY - yPadding, maxY + yPadding);
+    
+    // Dense clouds skip points that land on a cell already painted in the same
+    // color and drop the glow, which is what makes full history slow to draw
+    const dense = displayData.length * MIN_PIXELS_PER_DOT > chartArea.width;
+    const paintedCells = new Map();
+    
+    // Draw scatter points
+    displayData.forEach((data, i) => {
+        if (isBarVisible(data)) {
+            const color = getDataColor(data);
+            
+            // Get x and y values, handling timestamps
+            let xValue, yValue;
+            
+            if (xAxis === 'timestamp') {
+                xValue = data.date ? data.date.getTime() : new Date(data.timestamp).getTime();
+            } else {
+                xValue = data[xAxis];
+            }
+            
+            if (yAxis === 'timestamp') {
+                yValue = data.date ? data.date.getTime() : new Date(data.timestamp).getTime();
+            } else {
+                yValue = data[yAxis];
+            }
+            
+            const x = chartArea.x + ((xValue - minX + xPadding) / (xRange + 2 * xPadding)) * chartArea.width;
+            const y = chartArea.y + chartArea.height - ((yValue - minY + yPadding) / (yRange + 2 * yPadding)) * chartArea.height;
+            
+            if (dense) {
+                if (!paintedCells.has(color)) {
+                    paintedCells.set(color, new Set());
+                }
+                const cells = paintedCells.get(color);
+                const cell = Math.round(x / MIN_PIXELS_PER_BAR) * 100000 + Math.round(y / MIN_PIXELS_PER_BAR);
+                if (cells.has(cell)) return;
+                cells.add(cell);
+            }
+        
+            // Draw point
+            ctx.fillStyle = color.main;
+            ctx.beginPath();
+            ctx.arc(x, y, 8, 0, 2 * Math.PI);
+            ctx.fill();
+            
+            // Add glow effect
+            if (!dense) {
+                ctx.shadowColor = color.shadow;
+                ctx.shadowBlur = 15;
+                ctx.beginPath();
+                ctx.arc(x, y, 8, 0, 2 * Math.PI);
+                ctx.fill();
+                ctx.shadowBlur = 0;
+            }
+        }
+    });
+    
+    // Draw axes labels
+    drawCustomAxes(minX - xPadding, maxX + xPadding, minY - yPadding, maxY + yPadding, xAxis, yAxis);
+}
+
+function drawLineChart() {
+    const xAxisElement = document.getElementById('xAxis');
+    const yAxisElement = document.getElementById('yAxis');
+    const showClusterColorsElement = document.getElementById('showClusterColors');
+    
+    const xAxis = xAxisElement ? xAxisElement.value : 'timestamp';
+    const yAxis = yAxisElement ? yAxisElement.value : 'close';
+    const showClusterColors = showClusterColorsElement ? showClusterColorsElement.checked : true;
+    
+    if (stockData.length === 0) return;
+    
+    // Update visible range if needed
+    updateVisibleRange();
+    
+    // Get the data points to display from original data
+    const displayData = stockData.slice(visibleStartIndex, visibleEndIndex + 1);
+    if (displayData.length === 0) return;
+    const isBarVisible = getBarFilter();
+    
+    // Get data for x and y axes, handling timestamps specially
+    let xData, yData;
+    
+    if (xAxis === 'timestamp') {
+        // Convert timestamps to numeric values (milliseconds)
+        xData = displayData.map(d => {
+            if (d.date) {
+                return d.date.getTime();
+            } else if (d.timestamp) {
+                return new Date(d.timestamp).getTime();
+            }
+            return 0;
+        });
+    } else {
+        xData = displayData.map(d => d[xAxis]);
+    }
+    
+    if (yAxis === 'timestamp') {
+        // Convert timestamps to numeric values (milliseconds)
+        yData = displayData.map(d => {
+            if (d.date) {
+                return d.date.getTime();
+            } else if (d.timestamp) {
+                return new Date(d.timestamp).getTime();
+            }
+            return 0;
+        });
+    } else {
+        yData = displayData.map(d => d[yAxis]);
+    }
+    
+    const { min: minX, max: maxX } = getExtent(xData);
+    const { min: minY, max: maxY } = getExtent(yData);
+    
+    const xRange = maxX - minX;
+    const yRange = maxY - minY;
+    const xPadding = xRange * 0.05;
+    
+    // Price fields follow the log/percent price scale; other fields stay linear
+    const usePriceScale = PRICE_FIELDS.includes(yAxis);
+    const { min: yLow, max: yHigh } = usePriceScale
+        ? padPriceRange(minY, maxY, 0.05)
+        : { min: minY - yRange * 0.05, max: maxY + yRange * 0.05 };
+    const toY = value => usePriceScale
+        ? priceToY(value, yLow, yHigh, chartArea.height)
+        : chartArea.y + chartArea.height - ((value - yLow) / (yHigh - yLow)) * chartArea.height;
+    if (usePriceScale) {
+        lastPriceRange = { min: yLow, max: yHigh, top: chartArea.y, height: chartArea.height };
+        percentBase = yData[0];
+    }
+    
+    const toX = value => chartArea.x + ((value - minX + xPadding) / (xRange + 2 * xPadding)) * chartArea.width;
+    
+    // Dense lines are LTTB-thinned and drawn without per-point dots
+    const showDots = displayData.length * MIN_PIXELS_PER_DOT <= chartArea.width;
+    const samples = getLineChartSamples(displayData, xData, yData, showClusterColors, isBarVisible, `${xAxis}|${yAxis}`);
+    
+    // Draw grid
+    drawCustomGrid(minX - xPadding, maxX + xPadding, yLow, yHigh, usePriceScale);
+    
+    if (showClusterColors) {
+    // Draw lines for each cluster
+    Object.keys(samples).forEach(cluster => {
+        const color = getClusterColor(cluster);
+        
+        ctx.strokeStyle = color.main;
+        ctx.lineWidth = 4;
+        ctx.shadowColor = color.shadow;
+        ctx.shadowBlur = 10;
+        
+        const points = samples[cluster].map(i => ({ x: toX(xData[i]), y: toY(yData[i]) }));
+        ctx.beginPath();
+        points.forEach((point, i) => {
+            if (i === 0) {
+                ctx.moveTo(point.x, point.y);
+            } else {
+                ctx.lineTo(point.x, point.y);
+            }
+        });
+        ctx.stroke();
+        ctx.shadowBlur = 0;
+        
+        // Draw points
+        if (showDots) {
+            points.forEach(point => {
+                ctx.fillStyle = color.main;
+                ctx.beginPath();
+                ctx.arc(point.x, point.y, 6, 0, 2 * Math.PI);
+                ctx.fill();
+            });
+        }
+    });
+    } else {
+        // Draw single line with price-based coloring
+        ctx.strokeStyle = defaultColors.neutral.main;
+        ctx.lineWidth = 4;
+        ctx.shadowColor = defaultColors.neutral.shadow;
+        ctx.shadowBlur = 10;
+        
+        const points = (samples[0] || []).map(i => ({ x: toX(xData[i]), y: toY(yData[i]) }));
+        ctx.beginPath();
+        points.forEach((point, i) => {
+            if (i === 0) {
+                ctx.moveTo(point.x, point.y);
+            } else {
+                ctx.lineTo(point.x, point.y);
+            }
+        });
+        ctx.stroke();
+        ctx.shadowBlur = 0;
+        
+        // Draw points with individual colors
+        displayData.forEach((data, i) => {
+            if (showDots && isBarVisible(data)) {
+                // Get x and y values, handling timestamps
+                let xValue, yValue;
+                
+                if (xAxis === 'timestamp') {
+                    xValue = data.date ? data.date.getTime() : new Date(data.timestamp).getTime();
+                } else {
+                    xValue = data[xAxis];
+                }
+                
+                if (yAxis === 'timestamp') {
+                    yValue = data.date ? data.date.getTime() : new Date(data.timestamp).getTime();
+                } else {
+                    yValue = data[yAxis];
+                }
+                
+                const x = toX(xValue);
+                const y = toY(yValue);
+                const color = getDataColor(data);
+                
+                ctx.fillStyle = color.main;
+                ctx.beginPath();
+                ctx.arc(x, y, 6, 0, 2 * Math.PI);
+                ctx.fill();
+            }
+        });
+    }
+    
+    // Event markers need a time axis; their prices only mean something on a price axis
+    if (xAxis === 'timestamp') {
+        drawEventMarkers(
+            toX,
+            usePriceScale ? toY : null,
+            chartArea.y,
+            chartArea.y + chartArea.height
+        );
+    }
+    
+    // Draw axes labels
+    drawCustomAxes(minX - xPadding, maxX + xPadding, yLow, yHigh, xAxis, yAxis, usePriceScale);
+}
+
+function drawHistogramChart() {
+    const featureElement = document.getElementById('histogramFeature');
+    const showClusterColorsElement = document.getElementById('showClusterColors');
+    
+    const feature = featureElement ? featureElement.value : 'close';
+    const showClusterColors = showClusterColorsElement ? showClusterColorsElement.checked : true;
+    
+    if (stockData.length === 0) return;
+    
+    // Update visible range if needed
+    updateVisibleRange();
+    
+    // Get the data points to display from original data
+    const displayData = stockData.slice(visibleStartIndex, visibleEndIndex + 1);
+    if (displayData.length === 0) return;
+    
+    // Filter display data based on current filters
+    const filteredDisplayData = displayData.filter(getBarFilter());
+    
+    const data = filteredDisplayData.map(d => d[feature]);
+    
+    const { min: minValue, max: maxValue } = getExtent(data);
+    const range = maxValue - minValue;
+    const numBins = Math.min(20, Math.floor(Math.sqrt(data.length)));
+    const binWidth = range / numBins;
+    
+    // Create bins
+    const bins = Array(numBins).fill(0);
+    const binData = {};
+    
+    data.forEach((value, i) => {
+        const binIndex = Math.min(Math.floor((value - minValue) / binWidth), numBins - 1);
+        bins[binIndex]++;
+        
+        if (!binData[binIndex]) {
+            binData[binIndex] = [];
+        }
+        binData[binIndex].push({
+            value: value,
+            data: filteredDisplayData[i]
+        });
+    });
+    
+    const maxCount = getExtent(bins).max;
+    const barWidth = chartArea.width / numBins;
+    
+    // Draw histogram bars
+    bins.forEach((count, binIndex) => {
+        if (count === 0) return;
+        
+        const x = chartArea.x + binIndex * barWidth;
+        const height = (count / maxCount) * chartArea.height;
+        const y = chartArea.y + chartArea.height - height;
+        
+        if (showClusterColors) {
+        // Calculate cluster distribution for this bin
+        const clusterCounts = {};
+        binData[binIndex].forEach(item => {
+                const cluster = item.data.predicted_cluster || 0;
+                clusterCounts[cluster] = (clusterCounts[cluster] || 0) + 1;
+        });
+        
+        // Draw stacked bars for each cluster
+        let currentY = y;
+        Object.keys(clusterCounts).forEach(cluster => {
+            const clusterCount = clusterCounts[cluster];
+            const clusterHeight = (clusterCount / count) * height;
+            const color = getClusterColor(cluster);
+            
+            ctx.fillStyle = color.main;
+            ctx.fillRect(x, currentY, barWidth * 0.8, clusterHeight);
+            
+            // Add border
+            ctx.strokeStyle = color.main;
+            ctx.lineWidth = 2;
+            ctx.strokeRect(x, currentY, barWidth * 0.8, clusterHeight);
+            
+            currentY += clusterHeight;
+        });
+        } else {
+            // Draw single color bars based on price movement
+            const bullishCount = binData[binIndex].filter(item => item.data.close > item.data.open).length;
+            const bearishCount = binData[binIndex].filter(item => item.data.close < item.data.open).length;
+            const dojiCount = binData[binIndex].filter(item => item.data.close === item.data.open).length;
+            
+            let currentY = y;
+            
+            // Draw bullish portion
+            if (bullishCount > 0) {
+                const bullishHeight = (bullishCount / count) * height;
+                const color = defaultColors.bullish;
+                ctx.fillStyle = color.main;
+                ctx.fillRect(x, currentY, barWidth * 0.8, bullishHeight);
+                ctx.strokeStyle = color.main;
+                ctx.lineWidth = 2;
+                ctx.strokeRect(x, currentY, barWidth * 0.8, bullishHeight);
+                currentY += bullishHeight;
+            }
+            
+            // Draw bearish portion
+            if (bearishCount > 0) {
+                const bearishHeight = (bearishCount / count) * height;
+                const color = defaultColors.bearish;
+                ctx.fillStyle = color.main;
+                ctx.fillRect(x, currentY, barWidth * 0.8, bearishHeight);
+                ctx.strokeStyle = color.main;
+                ctx.lineWidth = 2;
+                ctx.strokeRect(x, currentY, barWidth * 0.8, bearishHeight);
+                currentY += bearishHeight;
+            }
+            
+            // Draw doji portion
+            if (dojiCount > 0) {
+                const dojiHeight = (dojiCount / count) * height;
+                const color = defaultColors.neutral;
+                ctx.fillStyle = color.main;
+                ctx.fillRect(x, currentY, barWidth * 0.8, dojiHeight);
+                ctx.strokeStyle = color.main;
+                ctx.lineWidth = 2;
+                ctx.strokeRect(x, currentY, barWidth * 0.8, dojiHeight);
+            }
+        }
+    });
+    
+    // Draw axes labels
+    drawHistogramAxes(minValue, maxValue, maxCount, feature);
+}
+
+// Price scale helpers. The log scale spaces prices by ratio; the percent scale
+// maps prices linearly and only relabels them against percentBase.
+const PRICE_SCALE_MODES = ['linear', 'log', 'percent'];
+const PRICE_FIELDS = ['open', 'high', 'low', 'close'];
+
+function isLogPriceScale(minPrice) {
+    return priceScaleMode === 'log' && minPrice > 0;
+}
+
+function toScaleValue(price, log) {
+    return log ? Math.log(Math.max(price, Number.MIN_VALUE)) : price;
+}
+
+function fromScaleValue(value, log) {
+    return log ? Math.exp(value) : value;
+}
+
+// Pad a price range by a fraction of its height on the active scale, so a log
+// chart gets even margins instead of padding below zero and falling back to linear
+function padPriceRange(minPrice, maxPrice, fraction) {
+    const log = isLogPriceScale(minPrice);
+    const low = toScaleValue(minPrice, log);
+    const high = toScaleValue(maxPrice, log);
+    const padding = (high - low) * fraction;
+    return { min: fromScaleValue(low - padding, log), max: fromScaleValue(high + padding, log) };
+}
+
+function priceToY(price, minPrice, maxPrice, chartHeight) {
+    const log = isLogPriceScale(minPrice);
+    const low = toScaleValue(minPrice, log);
+    const high = toScaleValue(maxPrice, log);
+    return chartArea.y + chartHeight - (toScaleValue(price, log) - low) / (high - low) * chartHeight;
+}
+
+function yToPrice(y, minPrice, maxPrice, chartHeight) {
+    const log = isLogPriceScale(minPrice);
+    const low = toScaleValue(minPrice, log);
+    const high = toScaleValue(maxPrice, log);
+    return fromScaleValue(low + (chartArea.y + chartHeight - y) / chartHeight * (high - low), log);
+}
+
+function formatPriceLabel(price) {
+    if (priceScaleMode === 'percent' && percentBase) {
+        const change = Math.round((price / percentBase - 1) * 10000) / 100 || 0;
+        return `${change > 0 ? '+' : ''}${change.toFixed(2)}%`;
+    }
+    return price.toFixed(2);
+}
+
+// Rounds a raw tick step to 1, 2 or 5 times a power of ten
+function getNiceStep(rawStep) {
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const fraction = rawStep / magnitude;
+    return (fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10) * magnitude;
+}
+
+// Grid lines and labels for the price axis. Percent ticks fall on round
+// percentages; otherwise the axis is split into ten equal parts, which the
+// log scale labels with ratio-spaced prices.
+function getPriceTicks(minPrice, maxPrice, chartHeight) {
+    if (priceScaleMode === 'percent' && percentBase) {
+        const low = (minPrice / percentBase - 1) * 100;
+        const high = (maxPrice / percentBase - 1) * 100;
+        const step = getNiceStep((high - low) / 10);
+        const ticks = [];
+        for (let k = Math.ceil(low / step); k * step <= high; k++) {
+            const price = percentBase * (1 + k * step / 100);
+            ticks.push({ price, y: priceToY(price, minPrice, maxPrice, chartHeight) });
+        }
+        return ticks;
+    }
+    
+    const ticks = [];
+    for (let i = 0; i <= 10; i++) {
+        const y = chartArea.y + chartHeight - (i / 10) * chartHeight;
+        ticks.push({ price: yToPrice(y, minPrice, maxPrice, chartHeight), y });
+    }
+    return ticks;
+}
+
+function drawGrid(minPrice, maxPrice, chartHeight) {
+    ctx.strokeStyle = chartTheme.grid;
+    ctx.lineWidth = 2;
+    
+    // Horizontal grid lines
+    getPriceTicks(minPrice, maxPrice, chartHeight).forEach(({ y }) => {
         ctx.beginPath();
         ctx.moveTo(chartArea.x, y);
         ctx.lineTo(chartArea.x + chartArea.width, y);
         ctx.stroke();
+    });
+    
+    // Vertical grid lines
+    const timeStep = Math.max(1, Math.floor(filteredData.length / 20));
+    for (let i = 0; i < filteredData.length; i += timeStep) {
+        const x = chartArea.x + (i / filteredData.length) * chartArea.width;
+        ctx.beginPath();
+        ctx.moveTo(x, chartArea.y);
+        ctx.lineTo(x, chartArea.y + chartHeight);
+        ctx.stroke();
+    }
+}
+
+function drawCandlestick(x, open, high, low, close, minPrice, maxPrice, chartHeight, width, color) {
+    const openY = priceToY(open, minPrice, maxPrice, chartHeight);
+    const closeY = priceToY(close, minPrice, maxPrice, chartHeight);
+    const highY = priceToY(high, minPrice, maxPrice, chartHeight);
+    const lowY = priceToY(low, minPrice, maxPrice, chartHeight);
+    
+    const isGreen = close > open;
+    const bodyHeight = Math.abs(closeY - openY);
+    const bodyTop = Math.min(openY, closeY);
+    
+    // Draw shadow (wick)
+    ctx.strokeStyle = color.main;
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    ctx.moveTo(x, highY);
+    ctx.lineTo(x, lowY);
+    ctx.stroke();
+    
+    // Draw body
+    ctx.fillStyle = isGreen ? color.main : 'rgba(255, 0, 0, 0.8)';
+    ctx.strokeStyle = color.main;
+    ctx.lineWidth = 3;
+    
+    if (bodyHeight < 6) {
+        // Draw as line for very small bodies
+        ctx.beginPath();
+        ctx.moveTo(x - width/2, openY);
+        ctx.lineTo(x + width/2, openY);
+        ctx.stroke();
+    } else {
+        // Draw rectangle body
+        ctx.fillRect(x - width/2, bodyTop, width, bodyHeight);
+        ctx.strokeRect(x - width/2, bodyTop, width, bodyHeight);
+    }
+    
+    // Add glow effect
+    ctx.shadowColor = color.shadow;
+    ctx.shadowBlur = 20;
+    ctx.strokeRect(x - width/2, bodyTop, width, bodyHeight);
+    ctx.shadowBlur = 0;
+}
+
+function drawOHLCBar(x, open, high, low, close, minPrice, maxPrice, chartHeight, width, color) {
+    const toY = price => priceToY(price, minPrice, maxPrice, chartHeight);
+    
+    ctx.strokeStyle = color.main;
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    ctx.moveTo(x, toY(high));
+    ctx.lineTo(x, toY(low));
+    ctx.moveTo(x - width / 2, toY(open));
+    ctx.lineTo(x, toY(open));
+    ctx.moveTo(x, toY(close));
+    ctx.lineTo(x + width / 2, toY(close));
+    ctx.stroke();
+}
+
+// Rising candles have an empty body, falling ones a filled body
+function drawHollowCandle(x, open, high, low, close, minPrice, maxPrice, chartHeight, width, color) {
+    const toY = price => priceToY(price, minPrice, maxPrice, chartHeight);
+    const bodyTop = toY(Math.max(open, close));
+    const bodyBottom = toY(Math.min(open, close));
+    
+    ctx.strokeStyle = color.main;
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    ctx.moveTo(x, toY(high));
+    ctx.lineTo(x, bodyTop);
+    ctx.moveTo(x, bodyBottom);
+    ctx.lineTo(x, toY(low));
+    ctx.stroke();
+    
+    ctx.lineWidth = 3;
+    if (close < open) {
+        ctx.fillStyle = color.main;
+        ctx.fillRect(x - width / 2, bodyTop, width, Math.max(bodyBottom - bodyTop, 3));
+    }
+    ctx.strokeRect(x - width / 2, bodyTop, width, Math.max(bodyBottom - bodyTop, 3));
+}
+
+function drawRenkoBrick(x, open, high, low, close, minPrice, maxPrice, chartHeight, width, color) {
+    const top = priceToY(high, minPrice, maxPrice, chartHeight);
+    const height = priceToY(low, minPrice, maxPrice, chartHeight) - top;
+    
+    ctx.fillStyle = close > open ? color.main : color.shadow;
+    ctx.strokeStyle = color.main;
+    ctx.lineWidth = 3;
+    ctx.fillRect(x - width / 2, top, width, height);
+    ctx.strokeRect(x - width / 2, top, width, height);
+}
+
+function drawVolumeBar(x, volume, maxVolume, startY, maxHeight, width, color) {
+    const height = (volume / maxVolume) * maxHeight;
+    
+    ctx.fillStyle = color.shadow;
+    ctx.fillRect(x - width/2, startY + maxHeight - height, width, height);
+    
+    ctx.strokeStyle = color.main;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x - width/2, startY + maxHeight - height, width, height);
+}
+
+function drawAxes(minPrice, maxPrice, chartHeight = chartArea.height) {
+    ctx.fillStyle = chartTheme.axisText;
+    ctx.font = '48px Arial';
+    ctx.textAlign = 'right';
+    
+    // Price labels
+    getPriceTicks(minPrice, maxPrice, chartHeight).forEach(({ price, y }) => {
+        ctx.fillText(formatPriceLabel(price), chartArea.x - 20, y + 15);
+    });
+    
+    // Time labels
+    ctx.textAlign = 'center';
+    const timeStep = Math.max(1, Math.floor(filteredData.length / 10));
+    for (let i = 0; i < filteredData.length; i += timeStep) {
+        if (filteredData[i] && filteredData[i].date) {
+            const x = chartArea.x + (i / filteredData.length) * chartArea.width;
+            const timeStr = formatDisplayDate(filteredData[i].date, { 
+                month: 'short', 
+                day: 'numeric' 
+            });
+            ctx.fillText(timeStr, x, chartArea.y + chartArea.height + 50);
+        }
+    }
+}
+
+function drawCustomGrid(minX, maxX, minY, maxY, usePriceScale = false) {
+    ctx.strokeStyle = chartTheme.grid;
+    ctx.lineWidth = 2;
+    
+    // Horizontal grid lines
+    if (usePriceScale) {
+        getPriceTicks(minY, maxY, chartArea.height).forEach(({ y }) => {
+            ctx.beginPath();
+            ctx.moveTo(chartArea.x, y);
+            ctx.lineTo(chartArea.x + chartArea.width, y);
+            ctx.stroke();
+        });
+    } else {
+        for (let i = 0; i <= 10; i++) {
+            const y = chartArea.y + (i / 10) * chartArea.height;
+            ctx.beginPath();
+            ctx.moveTo(chartArea.x, y);
+            ctx.lineTo(chartArea.x + chartArea.width, y);
+            ctx.stroke();
+        }
+    }
+    
+    // Vertical grid lines
+    for (let i = 0; i <= 10; i++) {
+        const x = chartArea.x + (i / 10) * chartArea.width;
+        ctx.beginPath();
+        ctx.moveTo(x, chartArea.y);
+        ctx.lineTo(x, chartArea.y + chartArea.height);
+        ctx.stroke();
+    }
+}
+
+function drawCustomAxes(minX, maxX, minY, maxY, xLabel, yLabel, usePriceScale = false) {
+    ctx.fillStyle = chartTheme.axisText;
+    ctx.font = '48px Arial';
+    ctx.textAlign = 'right';
+    
+    // Y-axis labels
+    if (usePriceScale) {
+        getPriceTicks(minY, maxY, chartArea.height).forEach(({ price, y }) => {
+            ctx.fillText(formatPriceLabel(price), chartArea.x - 20, y + 15);
+        });
+    }
+    for (let i = 0; i <= 10 && !usePriceScale; i++) {
+        const value = minY + (maxY - minY) * (i / 10);
+        const y = chartArea.y + chartArea.height - (i / 10) * chartArea.height;
+        
+        // Format timestamp values differently
+        if (yLabel === 'timestamp') {
+            const date = new Date(value);
+            ctx.fillText(formatDisplayDate(date, { 
+                month: 'short', 
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+            }), chartArea.x - 20, y + 15);
+        } else {
+        ctx.fillText(value.toFixed(2), chartArea.x - 20, y + 15);
+        }
+    }
+    
+    // X-axis labels
+    ctx.textAlign = 'center';
+    for (let i = 0; i <= 10; i++) {
+        const value = minX + (maxX - minX) * (i / 10);
+        const x = chartArea.x + (i / 10) * chartArea.width;
+        
+        // Format timestamp values differently
+        if (xLabel === 'timestamp') {
+            const date = new Date(value);
+            ctx.fillText(formatDisplayDate(date, { 
+                month: 'short', 
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+            }), x, chartArea.y + chartArea.height + 50);
+        } else {
+        ctx.fillText(value.toFixed(2), x, chartArea.y + chartArea.height + 50);
+        }
+    }
+    
+    // Axis titles
+    ctx.textAlign = 'center';
+    ctx.font = '60px Arial';
+    ctx.fillText(yLabel, 30, chartArea.y + chartArea.height / 2);
+    ctx.fillText(xLabel, chartArea.x + chartArea.width / 2, chartArea.y + chartArea.height + 100);
+}
+
+function drawHistogramAxes(minValue, maxValue, maxCount, feature) {
+    ctx.fillStyle = chartTheme.axisText;
+    ctx.font = '48px Arial';
+    ctx.textAlign = 'right';
+    
+    // Y-axis labels (count)
+    for (let i = 0; i <= 10; i++) {
+        const count = (maxCount * i) / 10;
+        const y = chartArea.y + chartArea.height - (i / 10) * chartArea.height;
+        ctx.fillText(Math.round(count).toString(), chartArea.x - 20, y + 15);
     }
     
-    // Vertical grid lines
-    const timeStep = Math.max(1, Math.floor(filteredData.length / 20));
-    for (let i = 0; i < filteredData.length; i += timeStep) {
-        const x = chartArea.x + (i / filteredData.length) * chartArea.width;
-        ctx.beginPath();
-        ctx.moveTo(x, chartArea.y);
-        ctx.lineTo(x, chartArea.y + chartHeight);
-        ctx.stroke();
+    // X-axis labels (value range)
+    ctx.textAlign = 'center';
+    for (let i = 0; i <= 10; i++) {
+        const value = minValue + (maxValue - minValue) * (i / 10);
+        const x = chartArea.x + (i / 10) * chartArea.width;
+        ctx.fillText(value.toFixed(2), x, chartArea.y + chartArea.height + 50);
+    }
+    
+    // Axis titles
+    ctx.textAlign = 'center';
+    ctx.font = '60px Arial';
+    ctx.fillText('Count', 30, chartArea.y + chartArea.height / 2);
+    ctx.fillText(feature, chartArea.x + chartArea.width / 2, chartArea.y + chartArea.height + 100);
+}
+
+function updateLegend() {
+    const legend = document.getElementById('legend');
+    if (!legend) return;
+    
+    legend.innerHTML = '';
+    
+    if (filteredData.length === 0) return;
+    
+    const showClusterColorsElement = document.getElementById('showClusterColors');
+    const showClusterColors = showClusterColorsElement ? showClusterColorsElement.checked : true;
+    
+    if (showClusterColors) {
+        // Show cluster information
+        const uniqueClusters = [...new Set(filteredData.filter(d => d.visible).map(d => d.predicted_cluster || 0))].sort((a, b) => a - b);
+    
+    uniqueClusters.forEach(cluster => {
+        const color = getClusterColor(cluster);
+            const count = filteredData.filter(d => d.visible && (d.predicted_cluster || 0) === cluster).length;
+        
+        const item = document.createElement('div');
+        item.className = 'legend-item';
+        item.innerHTML = `
+            <div class="legend-color" style="background-color: ${color.main}"></div>
+            <span></span>
+        `;
+        item.querySelector('span').textContent = `${getClusterLabel(cluster)} (${count} points)`;
+        item.title = getClusterDetails(cluster).join('\n');
+        legend.appendChild(item);
+    });
+    } else {
+        // Show price movement information
+        const { bullishCount, bearishCount, neutralCount } = getFilterStats();
+        
+        // Add bullish candles
+        if (bullishCount > 0) {
+            const item = document.createElement('div');
+            item.className = 'legend-item';
+            item.innerHTML = `
+                <div class="legend-color" style="background-color: ${defaultColors.bullish.main}"></div>
+                <span>Bullish (${bullishCount} candles)</span>
+            `;
+            legend.appendChild(item);
+        }
+        
+        // Add bearish candles
+        if (bearishCount > 0) {
+            const item = document.createElement('div');
+            item.className = 'legend-item';
+            item.innerHTML = `
+                <div class="legend-color" style="background-color: ${defaultColors.bearish.main}"></div>
+                <span>Bearish (${bearishCount} candles)</span>
+            `;
+            legend.appendChild(item);
+        }
+        
+        // Add neutral candles
+        if (neutralCount > 0) {
+            const item = document.createElement('div');
+            item.className = 'legend-item';
+            item.innerHTML = `
+                <div class="legend-color" style="background-color: ${defaultColors.neutral.main}"></div>
+                <span>Neutral (${neutralCount} candles)</span>
+            `;
+            legend.appendChild(item);
+        }
+    }
+    
+    // Add candle type information if filter is applied
+    const candleTypeFilterElement = document.getElementById('candleTypeFilter');
+    const candleTypeFilter = candleTypeFilterElement ? candleTypeFilterElement.value : 'all';
+    if (candleTypeFilter !== 'all') {
+        const candleTypeItem = document.createElement('div');
+        candleTypeItem.className = 'legend-item';
+        const candleTypeColor = candleTypeFilter === 'bullish' ? chartTheme.bullish : chartTheme.bearish;
+        const candleTypeLabel = candleTypeFilter === 'bullish' ? 'Bullish' : 'Bearish';
+        candleTypeItem.innerHTML = `
+            <div class="legend-color" style="background-color: ${candleTypeColor}"></div>
+            <span>${candleTypeLabel} Candles Only</span>
+        `;
+        legend.appendChild(candleTypeItem);
+    }
+    
+}
+
+// Totals over the bars that pass the filters. They only change when filterData
+// builds a new filteredData or a streamed frame patches its tail, so pan and
+// zoom never recount them.
+let filterStatsCache = { data: null, stats: null };
+
+function getFilterStats() {
+    if (filterStatsCache.data === filteredData) return filterStatsCache.stats;
+    
+    const stats = {
+        count: 0,
+        priceSum: 0,
+        volumeSum: 0,
+        minPrice: Infinity,
+        maxPrice: -Infinity,
+        firstClose: null,
+        clusterCounts: {},
+        bullishCount: 0,
+        bearishCount: 0,
+        neutralCount: 0
+    };
+    filteredData.forEach(d => countFilterStat(stats, d, 1));
+    
+    filterStatsCache = { data: filteredData, stats };
+    return stats;
+}
+
+// Adds (step 1) or takes away (step -1) one bar's share of the totals
+function countFilterStat(stats, d, step) {
+    if (!d.visible) return;
+    if (step > 0) {
+        if (stats.count === 0) stats.firstClose = d.close;
+        if (d.close < stats.minPrice) stats.minPrice = d.close;
+        if (d.close > stats.maxPrice) stats.maxPrice = d.close;
+    }
+    stats.count += step;
+    stats.priceSum += step * d.close;
+    stats.volumeSum += step * d.volume;
+    
+    const cluster = d.predicted_cluster || 0;
+    stats.clusterCounts[cluster] = (stats.clusterCounts[cluster] || 0) + step;
+    if (stats.clusterCounts[cluster] === 0) delete stats.clusterCounts[cluster];
+    if (d.close > d.open) {
+        stats.bullishCount += step;
+    } else if (d.close < d.open) {
+        stats.bearishCount += step;
+    } else if (d.close === d.open) {
+        stats.neutralCount += step;
+    }
+}
+
+// Swap the replaced tail bars for the new ones in the cached totals. A removed
+// bar that set the low, the high or the first close can't be taken back out,
+// so those frames recount on the next read.
+function updateFilterStatsTail(removed, added) {
+    const stats = filterStatsCache.data === filteredData ? filterStatsCache.stats : null;
+    const recount = !stats || removed.some(d => d.visible && (d.close <= stats.minPrice || d.close >= stats.maxPrice));
+    if (recount) {
+        filterStatsCache = { data: null, stats: null };
+        return;
+    }
+    
+    removed.forEach(d => countFilterStat(stats, d, -1));
+    added.forEach(d => countFilterStat(stats, d, 1));
+}
+
+function updateStats() {
+    const statsContainer = document.getElementById('stats');
+    if (!statsContainer) return;
+    
+    if (filteredData.length === 0) {
+        statsContainer.innerHTML = '<div class="stat-card"><div class="stat-value">No Data</div><div class="stat-label">Load data to see stats</div></div>';
+        return;
+    }
+    
+    // Only use visible data for calculations
+    const stats = getFilterStats();
+    if (stats.count === 0) {
+        document.getElementById('stats').innerHTML = '<div class="stat-card"><div class="stat-value">No Visible Data</div><div class="stat-label">Adjust filters to see data</div></div>';
+        return;
+    }
+    
+    const { minPrice, maxPrice, clusterCounts, bullishCount, bearishCount, neutralCount } = stats;
+    const avgPrice = stats.priceSum / stats.count;
+    const avgVolume = stats.volumeSum / stats.count;
+    
+    let statsHtml = `
+        <div class="stat-card">
+            <div class="stat-value">${stats.count}</div>
+            <div class="stat-label">Visible Points</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-value">${filteredData.length}</div>
+            <div class="stat-label">Total Points</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-value">₹${avgPrice.toFixed(2)}</div>
+            <div class="stat-label">Avg Price</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-value">₹${minPrice.toFixed(2)}</div>
+            <div class="stat-label">Min Price</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-value">₹${maxPrice.toFixed(2)}</div>
+            <div class="stat-label">Max Price</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-value">${(avgVolume / 1000000).toFixed(2)}M</div>
+            <div class="stat-label">Avg Volume</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-value">${Object.keys(clusterCounts).length}</div>
+            <div class="stat-label">Active Clusters</div>
+        </div>
+    `;
+    
+    // Add price movement statistics
+    if (bullishCount > 0) {
+        statsHtml += `
+            <div class="stat-card">
+                <div class="stat-value" style="color: ${defaultColors.bullish.main}">${bullishCount}</div>
+                <div class="stat-label">Bullish</div>
+            </div>
+        `;
+    }
+    
+    if (bearishCount > 0) {
+        statsHtml += `
+            <div class="stat-card">
+                <div class="stat-value" style="color: ${defaultColors.bearish.main}">${bearishCount}</div>
+                <div class="stat-label">Bearish</div>
+            </div>
+        `;
+    }
+    
+    if (neutralCount > 0) {
+        statsHtml += `
+            <div class="stat-card">
+                <div class="stat-value" style="color: ${defaultColors.neutral.main}">${neutralCount}</div>
+                <div class="stat-label">Neutral</div>
+            </div>
+        `;
+    }
+    
+    statsContainer.innerHTML = statsHtml;
+}
+
+
+// Settings panel toggle
+function toggleSettings() {
+    const settingsPanel = document.getElementById('overlaySettingsPanel');
+    settingsPanel.classList.toggle('hidden');
+}
+
+// Panel minimize/maximize functionality
+function togglePanel(panelId) {
+    const panel = document.getElementById(panelId);
+    const minimizeBtn = panel.querySelector('.minimize-btn');
+    
+    if (panel.classList.contains('minimized')) {
+        panel.classList.remove('minimized');
+        minimizeBtn.textContent = '−';
+    } else {
+        panel.classList.add('minimized');
+        minimizeBtn.textContent = '+';
+    }
+}
+
+// Update panel opacity
+function updatePanelOpacity() {
+    const opacityElement = document.getElementById('panelOpacity');
+    const opacity = opacityElement ? opacityElement.value : '0.8';
+    const opacityValue = document.getElementById('opacityValue');
+    const panels = document.querySelectorAll('.overlay-panel');
+    
+    opacityValue.textContent = Math.round(opacity * 100) + '%';
+    
+    panels.forEach(panel => {
+        panel.style.background = `rgba(var(--shade-rgb), ${opacity})`;
+    });
+}
+
+// Update auto minimize setting
+function updateAutoMinimize() {
+    const autoMinimize = document.getElementById('autoMinimize').checked;
+    const panels = document.querySelectorAll('.overlay-panel');
+    
+    if (autoMinimize) {
+        // Auto minimize all panels after 5 seconds of inactivity
+        let timeoutId;
+        const resetTimeout = () => {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => {
+                panels.forEach(panel => {
+                    if (!panel.classList.contains('minimized')) {
+                        panel.classList.add('minimized');
+                        const minimizeBtn = panel.querySelector('.minimize-btn');
+                        if (minimizeBtn) minimizeBtn.textContent = '+';
+                    }
+                });
+            }, 5000);
+        };
+        
+        // Reset timeout on any interaction
+        panels.forEach(panel => {
+            panel.addEventListener('mouseenter', resetTimeout);
+            panel.addEventListener('click', resetTimeout);
+        });
+        
+        resetTimeout();
     }
 }
 
-function drawCandlestick(x, open, high, low, close, minPrice, maxPrice, chartHeight, width, color) {
-    const priceRange = maxPrice - minPrice;
-    const yScale = chartHeight / priceRange;
-    
-    const openY = chartArea.y + chartHeight - (open - minPrice) * yScale;
-    const closeY = chartArea.y + chartHeight - (close - minPrice) * yScale;
-    const highY = chartArea.y + chartHeight - (high - minPrice) * yScale;
-    const lowY = chartArea.y + chartHeight - (low - minPrice) * yScale;
+// Update minimize buttons visibility
+function updateMinimizeButtons() {
+    const showButtonsElement = document.getElementById('showMinimizeButtons');
+    const showButtons = showButtonsElement ? showButtonsElement.checked : true;
+    const minimizeButtons = document.querySelectorAll('.minimize-btn');
     
-    const isGreen = close > open;
-    const bodyHeight = Math.abs(closeY - openY);
-    const bodyTop = Math.min(openY, closeY);
+    minimizeButtons.forEach(btn => {
+        btn.style.display = showButtons ? 'block' : 'none';
+    });
+}
+
+// Update panel visibility based on checkboxes
+function updatePanelVisibility() {
+    const panels = {
+        'chartPanel': document.getElementById('showChartPanel').checked,
+        'filtersPanel': document.getElementById('showFiltersPanel').checked,
+        'colorsPanel': document.getElementById('showColorsPanel').checked,
+        'statsPanel': document.getElementById('showStatsPanel').checked,
+        'indicatorsPanel': document.getElementById('showIndicatorsPanel').checked,
+        'legendPanel': document.getElementById('showLegendPanel').checked
+    };
     
-    // Draw shadow (wick)
-    ctx.strokeStyle = color.main;
-    ctx.lineWidth = 4;
-    ctx.beginPath();
-    ctx.moveTo(x, highY);
-    ctx.lineTo(x, lowY);
-    ctx.stroke();
+    // Show/hide individual panels
+    Object.keys(panels).forEach(panelId => {
+        const panel = document.getElementById(panelId);
+        if (panel) {
+            panel.style.display = panels[panelId] ? 'block' : 'none';
+        }
+    });
     
-    // Draw body
-    ctx.fillStyle = isGreen ? color.main : 'rgba(255, 0, 0, 0.8)';
-    ctx.strokeStyle = color.main;
-    ctx.lineWidth = 3;
+    // Left panel is always visible (no toggle button)
+    const leftPanel = document.getElementById('overlayLeft');
+    leftPanel.style.display = 'flex';
+}
+
+// Select all panels
+function selectAllPanels() {
+    const checkboxes = [
+        'showChartPanel',
+        'showFiltersPanel', 
+        'showColorsPanel',
+        'showStatsPanel',
+        'showIndicatorsPanel',
+        'showLegendPanel'
+    ];
     
-    if (bodyHeight < 6) {
-        // Draw as line for very small bodies
-        ctx.beginPath();
-        ctx.moveTo(x - width/2, openY);
-        ctx.lineTo(x + width/2, openY);
-        ctx.stroke();
-    } else {
-        // Draw rectangle body
-        ctx.fillRect(x - width/2, bodyTop, width, bodyHeight);
-        ctx.strokeRect(x - width/2, bodyTop, width, bodyHeight);
-    }
+    checkboxes.forEach(id => {
+        const checkbox = document.getElementById(id);
+        if (checkbox) {
+            checkbox.checked = true;
+        }
+    });
     
-    // Add glow effect
-    ctx.shadowColor = color.shadow;
-    ctx.shadowBlur = 20;
-    ctx.strokeRect(x - width/2, bodyTop, width, bodyHeight);
-    ctx.shadowBlur = 0;
+    updatePanelVisibility();
 }
 
-function drawVolumeBar(x, volume, maxVolume, startY, maxHeight, width, color) {
-    const height = (volume / maxVolume) * maxHeight;
+// Deselect all panels
+function deselectAllPanels() {
+    const checkboxes = [
+        'showChartPanel',
+        'showFiltersPanel', 
+        'showColorsPanel',
+        'showStatsPanel',
+        'showIndicatorsPanel',
+        'showLegendPanel'
+    ];
     
-    ctx.fillStyle = color.shadow;
-    ctx.fillRect(x - width/2, startY + maxHeight - height, width, height);
+    checkboxes.forEach(id => {
+        const checkbox = document.getElementById(id);
+        if (checkbox) {
+            checkbox.checked = false;
+        }
+    });
     
-    ctx.strokeStyle = color.main;
-    ctx.lineWidth = 2;
-    ctx.strokeRect(x - width/2, startY + maxHeight - height, width, height);
+    updatePanelVisibility();
 }
 
-function drawAxes(minPrice, maxPrice) {
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-    ctx.font = '48px Arial';
-    ctx.textAlign = 'right';
+// Sync overlay controls with main controls
+function syncOverlayControls() {
+    // Chart type
+    const mainChartType = document.getElementById('chartType');
+    const overlayChartType = document.getElementById('overlayChartType');
+    if (mainChartType && overlayChartType) {
+        overlayChartType.value = mainChartType.value;
+    }
     
-    // Price labels
-    for (let i = 0; i <= 10; i++) {
-        const price = minPrice + (maxPrice - minPrice) * (i / 10);
-        const y = chartArea.y + chartArea.height - (i / 10) * chartArea.height;
-        ctx.fillText(price.toFixed(2), chartArea.x - 20, y + 15);
+    
+    // Candle width
+    const mainCandleWidth = document.getElementById('candleWidth');
+    const overlayCandleWidth = document.getElementById('overlayCandleWidth');
+    if (mainCandleWidth && overlayCandleWidth) {
+        overlayCandleWidth.value = mainCandleWidth.value;
     }
     
-    // Time labels
-    ctx.textAlign = 'center';
-    const timeStep = Math.max(1, Math.floor(filteredData.length / 10));
-    for (let i = 0; i < filteredData.length; i += timeStep) {
-        if (filteredData[i] && filteredData[i].date) {
-            const x = chartArea.x + (i / filteredData.length) * chartArea.width;
-            const timeStr = filteredData[i].date.toLocaleDateString('en-US', { 
-                month: 'short', 
-                day: 'numeric' 
-            });
-            ctx.fillText(timeStr, x, chartArea.y + chartArea.height + 50);
-        }
+    // Cluster filter
+    const mainClusterFilter = document.getElementById('clusterFilter');
+    const overlayClusterFilter = document.getElementById('overlayClusterFilter');
+    if (mainClusterFilter && overlayClusterFilter) {
+        overlayClusterFilter.value = mainClusterFilter.value;
     }
-}
-
-function drawCustomGrid(minX, maxX, minY, maxY) {
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
-    ctx.lineWidth = 2;
     
-    // Horizontal grid lines
-    for (let i = 0; i <= 10; i++) {
-        const y = chartArea.y + (i / 10) * chartArea.height;
-        ctx.beginPath();
-        ctx.moveTo(chartArea.x, y);
-        ctx.lineTo(chartArea.x + chartArea.width, y);
-        ctx.stroke();
+    // Candle type filter
+    const mainCandleTypeFilter = document.getElementById('candleTypeFilter');
+    const overlayCandleTypeFilter = document.getElementById('overlayCandleTypeFilter');
+    if (mainCandleTypeFilter && overlayCandleTypeFilter) {
+        overlayCandleTypeFilter.value = mainCandleTypeFilter.value;
     }
     
-    // Vertical grid lines
-    for (let i = 0; i <= 10; i++) {
-        const x = chartArea.x + (i / 10) * chartArea.width;
-        ctx.beginPath();
-        ctx.moveTo(x, chartArea.y);
-        ctx.lineTo(x, chartArea.y + chartArea.height);
-        ctx.stroke();
+    
+    // Show cluster colors
+    const mainShowClusterColors = document.getElementById('showClusterColors');
+    const overlayShowClusterColors = document.getElementById('overlayShowClusterColors');
+    if (mainShowClusterColors && overlayShowClusterColors) {
+        overlayShowClusterColors.checked = mainShowClusterColors.checked;
     }
+    
 }
 
-function drawCustomAxes(minX, maxX, minY, maxY, xLabel, yLabel) {
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-    ctx.font = '48px Arial';
-    ctx.textAlign = 'right';
-    
-    // Y-axis labels
-    for (let i = 0; i <= 10; i++) {
-        const value = minY + (maxY - minY) * (i / 10);
-        const y = chartArea.y + chartArea.height - (i / 10) * chartArea.height;
-        
-        // Format timestamp values differently
-        if (yLabel === 'timestamp') {
-            const date = new Date(value);
-            ctx.fillText(date.toLocaleDateString('en-US', { 
-                month: 'short', 
-                day: 'numeric',
-                hour: '2-digit',
-                minute: '2-digit'
-            }), chartArea.x - 20, y + 15);
-        } else {
-        ctx.fillText(value.toFixed(2), chartArea.x - 20, y + 15);
-        }
+// Sync main controls with overlay controls
+function syncMainControls() {
+    // Chart type
+    const mainChartType = document.getElementById('chartType');
+    const overlayChartType = document.getElementById('overlayChartType');
+    if (mainChartType && overlayChartType) {
+        mainChartType.value = overlayChartType.value;
     }
     
-    // X-axis labels
-    ctx.textAlign = 'center';
-    for (let i = 0; i <= 10; i++) {
-        const value = minX + (maxX - minX) * (i / 10);
-        const x = chartArea.x + (i / 10) * chartArea.width;
-        
-        // Format timestamp values differently
-        if (xLabel === 'timestamp') {
-            const date = new Date(value);
-            ctx.fillText(date.toLocaleDateString('en-US', { 
-                month: 'short', 
-                day: 'numeric',
-                hour: '2-digit',
-                minute: '2-digit'
-            }), x, chartArea.y + chartArea.height + 50);
-        } else {
-        ctx.fillText(value.toFixed(2), x, chartArea.y + chartArea.height + 50);
-        }
+    
+    // Candle width
+    const mainCandleWidth = document.getElementById('candleWidth');
+    const overlayCandleWidth = document.getElementById('overlayCandleWidth');
+    if (mainCandleWidth && overlayCandleWidth) {
+        mainCandleWidth.value = overlayCandleWidth.value;
     }
     
-    // Axis titles
-    ctx.textAlign = 'center';
-    ctx.font = '60px Arial';
-    ctx.fillText(yLabel, 30, chartArea.y + chartArea.height / 2);
-    ctx.fillText(xLabel, chartArea.x + chartArea.width / 2, chartArea.y + chartArea.height + 100);
-}
-
-function drawHistogramAxes(minValue, maxValue, maxCount, feature) {
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-    ctx.font = '48px Arial';
-    ctx.textAlign = 'right';
+    // Cluster filter
+    const mainClusterFilter = document.getElementById('clusterFilter');
+    const overlayClusterFilter = document.getElementById('overlayClusterFilter');
+    if (mainClusterFilter && overlayClusterFilter) {
+        mainClusterFilter.value = overlayClusterFilter.value;
+    }
     
-    // Y-axis labels (count)
-    for (let i = 0; i <= 10; i++) {
-        const count = (maxCount * i) / 10;
-        const y = chartArea.y + chartArea.height - (i / 10) * chartArea.height;
-        ctx.fillText(Math.round(count).toString(), chartArea.x - 20, y + 15);
+    // Candle type filter
+    const mainCandleTypeFilter = document.getElementById('candleTypeFilter');
+    const overlayCandleTypeFilter = document.getElementById('overlayCandleTypeFilter');
+    if (mainCandleTypeFilter && overlayCandleTypeFilter) {
+        mainCandleTypeFilter.value = overlayCandleTypeFilter.value;
     }
     
-    // X-axis labels (value range)
-    ctx.textAlign = 'center';
-    for (let i = 0; i <= 10; i++) {
-        const value = minValue + (maxValue - minValue) * (i / 10);
-        const x = chartArea.x + (i / 10) * chartArea.width;
-        ctx.fillText(value.toFixed(2), x, chartArea.y + chartArea.height + 50);
+    
+    // Show cluster colors
+    const mainShowClusterColors = document.getElementById('showClusterColors');
+    const overlayShowClusterColors = document.getElementById('overlayShowClusterColors');
+    if (mainShowClusterColors && overlayShowClusterColors) {
+        mainShowClusterColors.checked = overlayShowClusterColors.checked;
     }
     
-    // Axis titles
-    ctx.textAlign = 'center';
-    ctx.font = '60px Arial';
-    ctx.fillText('Count', 30, chartArea.y + chartArea.height / 2);
-    ctx.fillText(feature, chartArea.x + chartArea.width / 2, chartArea.y + chartArea.height + 100);
 }
 
-function updateLegend() {
-    const legend = document.getElementById('legend');
-    if (!legend) return;
+// Update overlay stats
+function updateOverlayStats() {
+    const overlayStats = document.getElementById('overlayStats');
+    if (!overlayStats) return;
     
-    legend.innerHTML = '';
+    if (filteredData.length === 0) {
+        overlayStats.innerHTML = '<div class="overlay-stat-item"><div class="overlay-stat-value">-</div><div class="overlay-stat-label">No Data</div></div>';
+        return;
+    }
     
-    if (filteredData.length === 0) return;
+    const stats = getFilterStats();
+    const hasPrices = stats.count > 0;
     
-    const showClusterColorsElement = document.getElementById('showClusterColors');
-    const showClusterColors = showClusterColorsElement ? showClusterColorsElement.checked : true;
+    const statsHtml = `
+        <div class="overlay-stat-item">
+            <div class="overlay-stat-value">${stats.count}</div>
+            <div class="overlay-stat-label">Visible</div>
+        </div>
+        <div class="overlay-stat-item">
+            <div class="overlay-stat-value">${hasPrices ? stats.firstClose.toFixed(2) : '-'}</div>
+            <div class="overlay-stat-label">Current</div>
+        </div>
+        <div class="overlay-stat-item">
+            <div class="overlay-stat-value">${hasPrices ? stats.maxPrice.toFixed(2) : '-'}</div>
+            <div class="overlay-stat-label">High</div>
+        </div>
+        <div class="overlay-stat-item">
+            <div class="overlay-stat-value">${hasPrices ? stats.minPrice.toFixed(2) : '-'}</div>
+            <div class="overlay-stat-label">Low</div>
+        </div>
+        <div class="overlay-stat-item">
+            <div class="overlay-stat-value">${hasPrices ? (stats.volumeSum / stats.count / 1000).toFixed(0) + 'K' : '-'}</div>
+            <div class="overlay-stat-label">Avg Vol</div>
+        </div>
+    `;
+    
+    overlayStats.innerHTML = statsHtml;
+}
+
+// Update overlay legend
+function updateOverlayLegend() {
+    const overlayLegend = document.getElementById('overlayLegend');
+    if (!overlayLegend) return;
+    
+    overlayLegend.innerHTML = '';
+    
+    const showClusterColors = document.getElementById('showClusterColors').checked;
     
     if (showClusterColors) {
         // Show cluster information
-        const uniqueClusters = [...new Set(filteredData.filter(d => d.visible).map(d => d.predicted_cluster || 0))].sort();
-    
-    uniqueClusters.forEach(cluster => {
-        const color = clusterColors[cluster] || clusterColors[0];
-            const count = filteredData.filter(d => d.visible && (d.predicted_cluster || 0) === cluster).length;
+        const { clusterCounts } = getFilterStats();
         
-        const item = document.createElement('div');
-        item.className = 'legend-item';
-        item.innerHTML = `
-            <div class="legend-color" style="background-color: ${color.main}"></div>
-            <span>Cluster ${cluster} (${count} points)</span>
-        `;
-        legend.appendChild(item);
-    });
+        Object.keys(clusterCounts).forEach(cluster => {
+            const count = clusterCounts[cluster];
+            const color = getClusterColor(cluster);
+            
+            const item = document.createElement('div');
+            item.className = 'overlay-legend-item';
+            item.innerHTML = `
+                <div class="overlay-legend-color" style="background-color: ${color.main}"></div>
+                <span class="cluster-legend-label"></span>
+                <button class="overlay-panel-btn" title="Name and describe this cluster">✎</button>
+            `;
+            item.querySelector('span').textContent = `${getClusterLabel(cluster)} (${count})`;
+            item.title = getClusterDetails(cluster).join('\n');
+            item.querySelector('button').onclick = () => editClusterInfo(cluster);
+            overlayLegend.appendChild(item);
+        });
     } else {
         // Show price movement information
-        const visibleData = filteredData.filter(d => d.visible);
-        const bullishCount = visibleData.filter(d => d.close > d.open).length;
-        const bearishCount = visibleData.filter(d => d.close < d.open).length;
-        const neutralCount = visibleData.filter(d => d.close === d.open).length;
+        const { bullishCount, bearishCount, neutralCount } = getFilterStats();
         
         // Add bullish candles
         if (bullishCount > 0) {
             const item = document.createElement('div');
-            item.className = 'legend-item';
+            item.className = 'overlay-legend-item';
             item.innerHTML = `
-                <div class="legend-color" style="background-color: ${defaultColors.bullish.main}"></div>
-                <span>Bullish (${bullishCount} candles)</span>
+                <div class="overlay-legend-color" style="background-color: ${defaultColors.bullish.main}"></div>
+                <span>Bullish (${bullishCount})</span>
             `;
-            legend.appendChild(item);
+            overlayLegend.appendChild(item);
         }
         
         // Add bearish candles
         if (bearishCount > 0) {
             const item = document.createElement('div');
-            item.className = 'legend-item';
+            item.className = 'overlay-legend-item';
             item.innerHTML = `
-                <div class="legend-color" style="background-color: ${defaultColors.bearish.main}"></div>
-                <span>Bearish (${bearishCount} candles)</span>
+                <div class="overlay-legend-color" style="background-color: ${defaultColors.bearish.main}"></div>
+                <span>Bearish (${bearishCount})</span>
             `;
-            legend.appendChild(item);
+            overlayLegend.appendChild(item);
         }
         
         // Add neutral candles
         if (neutralCount > 0) {
             const item = document.createElement('div');
-            item.className = 'legend-item';
+            item.className = 'overlay-legend-item';
             item.innerHTML = `
-                <div class="legend-color" style="background-color: ${defaultColors.neutral.main}"></div>
-                <span>Neutral (${neutralCount} candles)</span>
+                <div class="overlay-legend-color" style="background-color: ${defaultColors.neutral.main}"></div>
+                <span>Neutral (${neutralCount})</span>
             `;
-            legend.appendChild(item);
+            overlayLegend.appendChild(item);
+        }
+    }
+    
+    // Comparison symbols drawn over the candlesticks
+    const chartTypeElement = document.getElementById('chartType');
+    const chartType = chartTypeElement ? chartTypeElement.value : 'candlestick';
+    if (compareSymbols && isTimeAlignedPriceChart(chartType)) {
+        Object.keys(datasets).forEach(name => {
+            if (name === activeSymbol) return;
+            const item = document.createElement('div');
+            item.className = 'overlay-legend-item';
+            item.innerHTML = `
+                <div class="overlay-legend-line" style="background-color: ${getComparisonColor(name)}"></div>
+                <span></span>
+            `;
+            item.querySelector('span').textContent = `${name} (rebased close)`;
+            overlayLegend.appendChild(item);
+        });
+    }
+    
+    // Indicator overlays
+    if (isTimeAlignedPriceChart(chartType)) {
+        overlayIndicators.filter(indicator => indicator.visible).forEach(indicator => {
+            const item = document.createElement('div');
+            item.className = 'overlay-legend-item';
+            item.innerHTML = `
+                <div class="overlay-legend-line" style="background-color: ${indicator.color}"></div>
+                <span>${getIndicatorLabel(indicator)}</span>
+            `;
+            overlayLegend.appendChild(item);
+        });
+    }
+    
+    // Renko box size in use
+    if (chartType === 'renko' && stockData.length > 0) {
+        const item = document.createElement('div');
+        item.className = 'overlay-legend-item';
+        const boxSource = renkoBoxMode === 'atr' || !(renkoBoxSize > 0) ? ` (ATR ${renkoAtrPeriod})` : '';
+        item.innerHTML = `<span>Renko box ${getRenkoBoxSize().toFixed(2)}${boxSource}</span>`;
+        overlayLegend.appendChild(item);
+    }
+    
+    renderEventFilter();
+    renderClusterColorControls();
+}
+
+// Click outside to close settings
+document.addEventListener('click', (e) => {
+    const settingsPanel = document.getElementById('overlaySettingsPanel');
+    const settingsButton = document.querySelector('.overlay-settings');
+    const resetButton = document.querySelector('.overlay-settings[onclick="resetChartToDefault()"]');
+    
+    if (!settingsPanel.contains(e.target) && !settingsButton.contains(e.target) && !resetButton.contains(e.target)) {
+        settingsPanel.classList.add('hidden');
+    }
+});
+
+// Interactive chart functions
+function setupInteractiveChart() {
+    // Use fullscreen canvas if in fullscreen mode
+    const targetCanvas = (isFullscreen && window.fullscreenCanvas) ? window.fullscreenCanvas : canvas;
+    
+    if (!targetCanvas) {
+        console.error('Canvas not found for interactive setup');
+        return;
+    }
+    
+    // Mouse events
+    targetCanvas.addEventListener('mousedown', handleMouseDown);
+    targetCanvas.addEventListener('mousemove', handleMouseMove);
+    targetCanvas.addEventListener('mouseup', handleMouseUp);
+    targetCanvas.addEventListener('mouseenter', handleMouseEnter);
+    // Wheel and trackpad pinch zoom the time axis around the cursor
+    targetCanvas.addEventListener('wheel', handleWheel, { passive: false });
+    targetCanvas.addEventListener('dblclick', handleDoubleClick);
+    targetCanvas.addEventListener('mouseleave', handleMouseLeave);
+    
+    // Touch events for mobile
+    targetCanvas.addEventListener('touchstart', handleTouchStart);
+    targetCanvas.addEventListener('touchmove', handleTouchMove);
+    targetCanvas.addEventListener('touchend', handleTouchEnd);
+}
+
+function handleMouseDown(e) {
+    const targetCanvas = (isFullscreen && window.fullscreenCanvas) ? window.fullscreenCanvas : canvas;
+    const rect = targetCanvas.getBoundingClientRect();
+    const scaleX = targetCanvas.width / rect.width;
+    const scaleY = targetCanvas.height / rect.height;
+    
+    isMouseDown = true;
+    lastMouseX = (e.clientX - rect.left) * scaleX;
+    lastMouseY = (e.clientY - rect.top) * scaleY;
+    dragStartX = e.clientX;
+    dragStartY = e.clientY;
+    
+    // Dragging the price axis scales it instead of panning
+    if (isOnPriceAxis(lastMouseX - panOffsetX, lastMouseY - panOffsetY)) {
+        const range = lockedPriceRange || lastPriceRange;
+        priceAxisDrag = { startY: lastMouseY, range: { min: range.min, max: range.max } };
+        isDragging = false;
+        return;
+    }
+    
+    // Drawing tools and drawing selection take the click instead of panning
+    if (handleDrawingMouseDown(lastMouseX - panOffsetX, lastMouseY - panOffsetY)) {
+        isDragging = false;
+        return;
+    }
+    
+    isDragging = true;
+    canvas.style.cursor = 'grabbing';
+}
+
+function handleMouseMove(e) {
+    const targetCanvas = (isFullscreen && window.fullscreenCanvas) ? window.fullscreenCanvas : canvas;
+    const rect = targetCanvas.getBoundingClientRect();
+    const scaleX = targetCanvas.width / rect.width;
+    const scaleY = targetCanvas.height / rect.height;
+    
+    const mouseX = (e.clientX - rect.left) * scaleX;
+    const mouseY = (e.clientY - rect.top) * scaleY;
+    
+    let hoverChanged = false;
+    
+    // Snap crosshair to nearest candle if enabled
+    if (crosshairSnapToCandles) {
+        const snapped = snapCrosshairToCandle(mouseX, mouseY);
+        
+        // Update crosshair (in display coordinates)
+        crosshairX = snapped.x / scaleX; // Convert back to display coordinates
+        crosshairY = e.clientY - rect.top;
+        
+        // Update hovered index based on snapped position
+        const newHoveredIndex = snapped.index;
+        hoverChanged = newHoveredIndex !== hoveredIndex;
+        hoveredIndex = newHoveredIndex;
+    } else {
+        // Update crosshair (in display coordinates) without snapping
+        crosshairX = e.clientX - rect.left;
+        crosshairY = e.clientY - rect.top;
+        
+        // Check if hovering over a data point
+        const newHoveredIndex = getHoveredDataIndex(mouseX, mouseY);
+        hoverChanged = newHoveredIndex !== hoveredIndex;
+        hoveredIndex = newHoveredIndex;
+    }
+    
+    if (priceAxisDrag) {
+        dragPriceAxis(mouseY);
+        return;
+    }
+    
+    if (draftDrawing) {
+        updateDraftDrawing(mouseX - panOffsetX, mouseY - panOffsetY);
+        redrawChart();
+        return;
+    }
+    
+    if (!isMouseDown) {
+        targetCanvas.style.cursor = isOnPriceAxis(mouseX - panOffsetX, mouseY - panOffsetY) ? 'ns-resize' : 'crosshair';
+    }
+    
+    if (isMouseDown && isDragging) {
+        // Pan the visible range of the chart
+        const deltaX = mouseX - lastMouseX;
+        const deltaY = mouseY - lastMouseY;
+        
+        
+        // Use horizontal movement to pan through data range
+        if (Math.abs(deltaX) >= 1) { // Only pan if there's actual movement
+            panVisibleRange(deltaX * panningSensitivity);
+        }
+        
+        // Use vertical movement for price panning (optional)
+        panOffsetY += deltaY;
+        
+        lastMouseX = mouseX;
+        lastMouseY = mouseY;
+        
+        updateVisibleWindow();
+    } else {
+        // Update crosshair smoothly
+        if (hoverChanged) {
+            drawOverlay();
+        } else {
+            updateCrosshairSmoothly();
+        }
+    }
+}
+
+function handleMouseUp(e) {
+    handleDrawingMouseUp();
+    isMouseDown = false;
+    isDragging = false;
+    if (priceAxisDrag) {
+        priceAxisDrag = null;
+        saveSettings();
+    }
+    const targetCanvas = (isFullscreen && window.fullscreenCanvas) ? window.fullscreenCanvas : canvas;
+    targetCanvas.style.cursor = 'crosshair';
+}
+
+// Navigator: the whole close series in a strip under the chart, over
+// cluster-colored bands, with a window on visibleStartIndex..visibleEndIndex.
+// Drag the window to pan, drag its edges to zoom, click outside it to jump.
+const NAVIGATOR_HANDLE_WIDTH = 16;
+
+let navigatorCanvas = null;
+let navigatorCtx = null;
+let navigatorCache = { key: null, image: null };
+let navigatorDrag = null; // { mode: 'move' | 'start' | 'end', startX, startIndex, endIndex }
+
+function setupNavigator() {
+    navigatorCanvas = document.getElementById('navigatorCanvas');
+    if (!navigatorCanvas) return;
+    
+    navigatorCtx = navigatorCanvas.getContext('2d');
+    resizeNavigator();
+    
+    navigatorCanvas.addEventListener('mousedown', handleNavigatorMouseDown);
+    navigatorCanvas.addEventListener('mousemove', updateNavigatorCursor);
+    window.addEventListener('mousemove', handleNavigatorMouseMove);
+    window.addEventListener('mouseup', () => {
+        if (navigatorDrag) {
+            navigatorDrag = null;
+            saveSettings();
         }
+    });
+}
+
+function resizeNavigator() {
+    if (!navigatorCanvas) return;
+    const rect = navigatorCanvas.getBoundingClientRect();
+    navigatorCanvas.width = rect.width * 2; // 2x for high-DPI, like the chart
+    navigatorCanvas.height = rect.height * 2;
+    navigatorCache = { key: null, image: null };
+}
+
+// Bands and close line are redrawn only when the data or colors change
+function getNavigatorImage(width, height) {
+    const lastBar = stockData[stockData.length - 1];
+    const key = [stockData.length, lastBar.close, lastBar.predicted_cluster, width, height, clusterPalette, JSON.stringify(clusterColorOverrides), chartTheme.axisText].join('|');
+    if (navigatorCache.data === stockData && navigatorCache.key === key) {
+        return navigatorCache.image;
     }
     
-    // Add candle type information if filter is applied
-    const candleTypeFilterElement = document.getElementById('candleTypeFilter');
-    const candleTypeFilter = candleTypeFilterElement ? candleTypeFilterElement.value : 'all';
-    if (candleTypeFilter !== 'all') {
-        const candleTypeItem = document.createElement('div');
-        candleTypeItem.className = 'legend-item';
-        const candleTypeColor = candleTypeFilter === 'bullish' ? '#00ff88' : '#ff6b6b';
-        const candleTypeLabel = candleTypeFilter === 'bullish' ? 'Bullish' : 'Bearish';
-        candleTypeItem.innerHTML = `
-            <div class="legend-color" style="background-color: ${candleTypeColor}"></div>
-            <span>${candleTypeLabel} Candles Only</span>
-        `;
-        legend.appendChild(candleTypeItem);
+    const image = document.createElement('canvas');
+    image.width = width;
+    image.height = height;
+    const imageCtx = image.getContext('2d');
+    const count = stockData.length;
+    
+    // One column per pixel: the band takes the middle bar's cluster, the line
+    // spans the column's lowest to highest close
+    const columns = [];
+    let minClose = Infinity;
+    let maxClose = -Infinity;
+    for (let x = 0; x < width; x++) {
+        const first = Math.floor(x / width * count);
+        const last = Math.max(first, Math.ceil((x + 1) / width * count) - 1);
+        let low = Infinity;
+        let high = -Infinity;
+        for (let i = first; i <= last && i < count; i++) {
+            low = Math.min(low, stockData[i].close);
+            high = Math.max(high, stockData[i].close);
+        }
+        const middle = stockData[Math.min(count - 1, Math.floor((first + last) / 2))];
+        columns.push({ low, high, cluster: middle.predicted_cluster || 0 });
+        minClose = Math.min(minClose, low);
+        maxClose = Math.max(maxClose, high);
     }
     
+    columns.forEach((column, x) => {
+        imageCtx.fillStyle = getClusterColor(column.cluster).shadow;
+        imageCtx.fillRect(x, 0, 1, height);
+    });
+    
+    const range = maxClose - minClose || 1;
+    const toY = price => height - 6 - (price - minClose) / range * (height - 12);
+    imageCtx.strokeStyle = chartTheme.axisText;
+    imageCtx.lineWidth = 2;
+    imageCtx.beginPath();
+    columns.forEach((column, x) => {
+        if (x === 0) {
+            imageCtx.moveTo(x, toY(column.high));
+        } else {
+            imageCtx.lineTo(x, toY(column.high));
+        }
+        imageCtx.lineTo(x, toY(column.low));
+    });
+    imageCtx.stroke();
+    
+    navigatorCache = { data: stockData, key, image };
+    return image;
 }
 
-function updateStats() {
-    const statsContainer = document.getElementById('stats');
-    if (!statsContainer) return;
-    
-    if (filteredData.length === 0) {
-        statsContainer.innerHTML = '<div class="stat-card"><div class="stat-value">No Data</div><div class="stat-label">Load data to see stats</div></div>';
-        return;
-    }
+function getNavigatorWindow() {
+    const count = stockData.length;
+    return {
+        left: visibleStartIndex / count * navigatorCanvas.width,
+        right: (visibleEndIndex + 1) / count * navigatorCanvas.width
+    };
+}
+
+function drawNavigator() {
+    if (!navigatorCtx) return;
+    const { width, height } = navigatorCanvas;
+    navigatorCtx.clearRect(0, 0, width, height);
+    if (stockData.length === 0) return;
     
-    // Only use visible data for calculations
-    const visibleData = filteredData.filter(d => d.visible);
-    const prices = visibleData.map(d => d.close);
-    const volumes = visibleData.map(d => d.volume);
+    navigatorCtx.drawImage(getNavigatorImage(width, height), 0, 0);
     
-    if (visibleData.length === 0) {
-        document.getElementById('stats').innerHTML = '<div class="stat-card"><div class="stat-value">No Visible Data</div><div class="stat-label">Adjust filters to see data</div></div>';
-        return;
-    }
+    // Dim everything outside the visible window
+    const { left, right } = getNavigatorWindow();
+    navigatorCtx.fillStyle = withAlpha(chartTheme.shade, 0.55);
+    navigatorCtx.fillRect(0, 0, left, height);
+    navigatorCtx.fillRect(right, 0, width - right, height);
     
-    const minPrice = Math.min(...prices);
-    const maxPrice = Math.max(...prices);
-    const avgPrice = prices.reduce((a, b) => a + b, 0) / prices.length;
-    const avgVolume = volumes.reduce((a, b) => a + b, 0) / volumes.length;
+    navigatorCtx.strokeStyle = chartTheme.accent;
+    navigatorCtx.lineWidth = 3;
+    navigatorCtx.strokeRect(left, 1.5, Math.max(right - left, 2), height - 3);
     
-    // Calculate cluster distribution
-    const clusterCounts = {};
-    visibleData.forEach(d => {
-        const cluster = d.predicted_cluster || 0;
-        clusterCounts[cluster] = (clusterCounts[cluster] || 0) + 1;
+    // Resize handles on both edges
+    navigatorCtx.fillStyle = chartTheme.accent;
+    [left, right].forEach(x => {
+        navigatorCtx.fillRect(x - 4, height / 2 - 20, 8, 40);
     });
+}
+
+function getNavigatorX(e) {
+    const rect = navigatorCanvas.getBoundingClientRect();
+    return (e.clientX - rect.left) * (navigatorCanvas.width / rect.width);
+}
+
+function getNavigatorHit(x) {
+    const { left, right } = getNavigatorWindow();
+    if (Math.abs(x - left) <= NAVIGATOR_HANDLE_WIDTH) return 'start';
+    if (Math.abs(x - right) <= NAVIGATOR_HANDLE_WIDTH) return 'end';
+    if (x > left && x < right) return 'move';
+    return null;
+}
+
+function updateNavigatorCursor(e) {
+    if (navigatorDrag || stockData.length === 0) return;
+    const hit = getNavigatorHit(getNavigatorX(e));
+    navigatorCanvas.style.cursor = hit === 'start' || hit === 'end' ? 'ew-resize' : hit === 'move' ? 'grab' : 'pointer';
+}
+
+function handleNavigatorMouseDown(e) {
+    if (stockData.length === 0) return;
+    e.preventDefault();
     
-    // Calculate price movement statistics
-    const bullishCount = visibleData.filter(d => d.close > d.open).length;
-    const bearishCount = visibleData.filter(d => d.close < d.open).length;
-    const neutralCount = visibleData.filter(d => d.close === d.open).length;
-    
-    let statsHtml = `
-        <div class="stat-card">
-            <div class="stat-value">${visibleData.length}</div>
-            <div class="stat-label">Visible Points</div>
-        </div>
-        <div class="stat-card">
-            <div class="stat-value">${filteredData.length}</div>
-            <div class="stat-label">Total Points</div>
-        </div>
-        <div class="stat-card">
-            <div class="stat-value">₹${avgPrice.toFixed(2)}</div>
-            <div class="stat-label">Avg Price</div>
-        </div>
-        <div class="stat-card">
-            <div class="stat-value">₹${minPrice.toFixed(2)}</div>
-            <div class="stat-label">Min Price</div>
-        </div>
-        <div class="stat-card">
-            <div class="stat-value">₹${maxPrice.toFixed(2)}</div>
-            <div class="stat-label">Max Price</div>
-        </div>
-        <div class="stat-card">
-            <div class="stat-value">${(avgVolume / 1000000).toFixed(2)}M</div>
-            <div class="stat-label">Avg Volume</div>
-        </div>
-        <div class="stat-card">
-            <div class="stat-value">${Object.keys(clusterCounts).length}</div>
-            <div class="stat-label">Active Clusters</div>
-        </div>
-    `;
-    
-    // Add price movement statistics
-    if (bullishCount > 0) {
-        statsHtml += `
-            <div class="stat-card">
-                <div class="stat-value" style="color: ${defaultColors.bullish.main}">${bullishCount}</div>
-                <div class="stat-label">Bullish</div>
-            </div>
-        `;
+    const x = getNavigatorX(e);
+    let mode = getNavigatorHit(x);
+    
+    // Clicking outside the window centers it there, then keeps dragging it
+    if (!mode) {
+        const rangeSize = visibleEndIndex - visibleStartIndex + 1;
+        const center = Math.round(x / navigatorCanvas.width * stockData.length);
+        visibleStartIndex = Math.max(0, Math.min(stockData.length - rangeSize, center - Math.floor(rangeSize / 2)));
+        visibleEndIndex = visibleStartIndex + rangeSize - 1;
+        mode = 'move';
+        updateVisibleWindow();
     }
     
-    if (bearishCount > 0) {
-        statsHtml += `
-            <div class="stat-card">
-                <div class="stat-value" style="color: ${defaultColors.bearish.main}">${bearishCount}</div>
-                <div class="stat-label">Bearish</div>
-            </div>
-        `;
+    navigatorDrag = { mode, startX: x, startIndex: visibleStartIndex, endIndex: visibleEndIndex };
+    navigatorCanvas.style.cursor = mode === 'move' ? 'grabbing' : 'ew-resize';
+}
+
+function handleNavigatorMouseMove(e) {
+    if (!navigatorDrag || stockData.length === 0) return;
+    
+    const { mode, startX, startIndex, endIndex } = navigatorDrag;
+    const count = stockData.length;
+    const delta = Math.round((getNavigatorX(e) - startX) / navigatorCanvas.width * count);
+    const minPoints = Math.min(MIN_VISIBLE_POINTS, count);
+    const maxPoints = getVisiblePointsLimit();
+    
+    let start = startIndex;
+    let end = endIndex;
+    if (mode === 'move') {
+        start = Math.max(0, Math.min(count - (endIndex - startIndex + 1), startIndex + delta));
+        end = start + (endIndex - startIndex);
+    } else if (mode === 'start') {
+        start = Math.max(0, endIndex - maxPoints + 1, Math.min(endIndex - minPoints + 1, startIndex + delta));
+    } else {
+        end = Math.min(count - 1, startIndex + maxPoints - 1, Math.max(startIndex + minPoints - 1, endIndex + delta));
     }
+    if (start === visibleStartIndex && end === visibleEndIndex) return;
     
-    if (neutralCount > 0) {
-        statsHtml += `
-            <div class="stat-card">
-                <div class="stat-value" style="color: ${defaultColors.neutral.main}">${neutralCount}</div>
-                <div class="stat-label">Neutral</div>
-            </div>
-        `;
+    if (end - start !== visibleEndIndex - visibleStartIndex) {
+        setVisiblePointsCount(end - start + 1);
     }
-    
-    statsContainer.innerHTML = statsHtml;
+    visibleStartIndex = start;
+    visibleEndIndex = end;
+    updateVisibleWindow();
 }
 
+// Drawing tools: trendlines, rays, horizontal levels, Fibonacci retracements,
+// rectangles and text labels on the price pane. Anchors are stored as
+// { time, price } so drawings follow the bars while panning and zooming, and
+// are kept per dataset in localStorage.
+const DRAWING_TOOLS = ['trendline', 'ray', 'hline', 'fib', 'rect', 'text'];
+const SINGLE_POINT_TOOLS = ['hline', 'text'];
+const FIB_LEVELS = [0, 0.236, 0.382, 0.5, 0.618, 0.786, 1];
+const DRAWINGS_KEY = 'chartDrawings';
+const DRAWING_HIT_TOLERANCE = 16;
 
-// Settings panel toggle
-function toggleSettings() {
-    const settingsPanel = document.getElementById('overlaySettingsPanel');
-    settingsPanel.classList.toggle('hidden');
+let drawingsByDataset = loadStoredMap(DRAWINGS_KEY);
+let activeDrawingTool = null;
+let draftDrawing = null; // Two-point drawing while its second anchor is placed
+let selectedDrawingId = null;
+
+// Per-dataset annotations saved as one JSON object under a localStorage key
+function loadStoredMap(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key)) || {};
+    } catch (error) {
+        console.warn(`Could not read ${key}:`, error);
+        return {};
+    }
 }
 
-// Panel minimize/maximize functionality
-function togglePanel(panelId) {
-    const panel = document.getElementById(panelId);
-    const minimizeBtn = panel.querySelector('.minimize-btn');
-    
-    if (panel.classList.contains('minimized')) {
-        panel.classList.remove('minimized');
-        minimizeBtn.textContent = '−';
-    } else {
-        panel.classList.add('minimized');
-        minimizeBtn.textContent = '+';
+function saveDrawings() {
+    localStorage.setItem(DRAWINGS_KEY, JSON.stringify(drawingsByDataset));
+}
+
+function getDrawings() {
+    return activeSymbol && drawingsByDataset[activeSymbol] ? drawingsByDataset[activeSymbol] : [];
+}
+
+function deleteDatasetDrawings(name) {
+    if (drawingsByDataset[name]) {
+        delete drawingsByDataset[name];
+        saveDrawings();
     }
 }
 
-// Update panel opacity
-function updatePanelOpacity() {
-    const opacityElement = document.getElementById('panelOpacity');
-    const opacity = opacityElement ? opacityElement.value : '0.8';
-    const opacityValue = document.getElementById('opacityValue');
-    const panels = document.querySelectorAll('.overlay-panel');
-    
-    opacityValue.textContent = Math.round(opacity * 100) + '%';
-    
-    panels.forEach(panel => {
-        panel.style.background = `rgba(0, 0, 0, ${opacity})`;
+// Drawings live on the time-aligned price charts only
+function canUseDrawings() {
+    return activeSymbol !== null && lastPriceRange !== null && isTimeAlignedPriceChart(getChartType());
+}
+
+function getBarTime(index) {
+    const bar = stockData[index];
+    return bar.date ? bar.date.getTime() : new Date(bar.timestamp).getTime();
+}
+
+// Fractional bar index of a time, extrapolated past either end of the data
+function timeToBarIndex(time) {
+    const last = stockData.length - 1;
+    if (last < 1) return 0;
+    if (time <= getBarTime(0)) {
+        return (time - getBarTime(0)) / (getBarTime(1) - getBarTime(0) || 1);
+    }
+    if (time >= getBarTime(last)) {
+        return last + (time - getBarTime(last)) / (getBarTime(last) - getBarTime(last - 1) || 1);
+    }
+    let low = 0;
+    let high = last;
+    while (high - low > 1) {
+        const mid = (low + high) >> 1;
+        if (getBarTime(mid) <= time) low = mid;
+        else high = mid;
+    }
+    return low + (time - getBarTime(low)) / (getBarTime(high) - getBarTime(low) || 1);
+}
+
+function barIndexToTime(index) {
+    const last = stockData.length - 1;
+    if (last < 1) return getBarTime(0);
+    const base = Math.max(0, Math.min(last - 1, Math.floor(index)));
+    return getBarTime(base) + (index - base) * (getBarTime(base + 1) - getBarTime(base));
+}
+
+function anchorToPoint(anchor) {
+    const xStep = chartArea.width / (visibleEndIndex - visibleStartIndex + 1);
+    return {
+        x: chartArea.x + (timeToBarIndex(anchor.time) - visibleStartIndex) * xStep + xStep / 2,
+        y: priceToY(anchor.price, lastPriceRange.min, lastPriceRange.max, lastPriceRange.height)
+    };
+}
+
+// Anchors snap to bar centers when crosshair snapping is on
+function pointToAnchor(x, y) {
+    const xStep = chartArea.width / (visibleEndIndex - visibleStartIndex + 1);
+    let index = visibleStartIndex + (x - chartArea.x - xStep / 2) / xStep;
+    if (crosshairSnapToCandles) {
+        index = Math.round(index);
+    }
+    return {
+        time: barIndexToTime(index),
+        price: yToPrice(y, lastPriceRange.min, lastPriceRange.max, lastPriceRange.height)
+    };
+}
+
+function isInPricePane(x, y) {
+    return x >= chartArea.x && x <= chartArea.x + chartArea.width &&
+        y >= lastPriceRange.top && y <= lastPriceRange.top + lastPriceRange.height;
+}
+
+function setDrawingTool(tool) {
+    activeDrawingTool = DRAWING_TOOLS.includes(tool) ? tool : null;
+    draftDrawing = null;
+    document.querySelectorAll('.drawing-tool-btn[data-tool]').forEach(button => {
+        button.classList.toggle('active', button.dataset.tool === (activeDrawingTool || 'select'));
     });
+    redrawChart();
 }
 
-// Update auto minimize setting
-function updateAutoMinimize() {
-    const autoMinimize = document.getElementById('autoMinimize').checked;
-    const panels = document.querySelectorAll('.overlay-panel');
+// Mouse down in chart coordinates; returns true when it shouldn't start a pan
+function handleDrawingMouseDown(x, y) {
+    if (!canUseDrawings() || !isInPricePane(x, y)) return false;
     
-    if (autoMinimize) {
-        // Auto minimize all panels after 5 seconds of inactivity
-        let timeoutId;
-        const resetTimeout = () => {
-            clearTimeout(timeoutId);
-            timeoutId = setTimeout(() => {
-                panels.forEach(panel => {
-                    if (!panel.classList.contains('minimized')) {
-                        panel.classList.add('minimized');
-                        const minimizeBtn = panel.querySelector('.minimize-btn');
-                        if (minimizeBtn) minimizeBtn.textContent = '+';
-                    }
-                });
-            }, 5000);
+    if (draftDrawing) {
+        finishDraftDrawing();
+        return true;
+    }
+    
+    if (activeDrawingTool) {
+        const anchor = pointToAnchor(x, y);
+        const drawing = {
+            id: `${Date.now()}-${Math.floor(Math.random() * 1e6)}`,
+            type: activeDrawingTool,
+            points: SINGLE_POINT_TOOLS.includes(activeDrawingTool) ? [anchor] : [anchor, { ...anchor }]
         };
+        if (activeDrawingTool === 'text') {
+            const textElement = document.getElementById('drawingText');
+            drawing.text = (textElement && textElement.value.trim()) || 'Label';
+        }
         
-        // Reset timeout on any interaction
-        panels.forEach(panel => {
-            panel.addEventListener('mouseenter', resetTimeout);
-            panel.addEventListener('click', resetTimeout);
-        });
-        
-        resetTimeout();
+        if (SINGLE_POINT_TOOLS.includes(drawing.type)) {
+            addDrawing(drawing);
+        } else {
+            draftDrawing = { drawing, startX: x, startY: y, dragged: false };
+            redrawChart();
+        }
+        return true;
+    }
+    
+    // Select the topmost drawing under the cursor, or clear the selection
+    const hit = getDrawings().slice().reverse().find(drawing => hitTestDrawing(drawing, x, y));
+    const previousSelection = selectedDrawingId;
+    selectedDrawingId = hit ? hit.id : null;
+    if (selectedDrawingId !== previousSelection) {
+        redrawChart();
     }
+    return Boolean(hit);
 }
 
-// Update minimize buttons visibility
-function updateMinimizeButtons() {
-    const showButtons = document.getElementById('showMinimizeButtons').checked;
-    const minimizeButtons = document.querySelectorAll('.minimize-btn');
-    
-    minimizeButtons.forEach(btn => {
-        btn.style.display = showButtons ? 'block' : 'none';
-    });
+function updateDraftDrawing(x, y) {
+    draftDrawing.drawing.points[1] = pointToAnchor(x, y);
+    if (Math.hypot(x - draftDrawing.startX, y - draftDrawing.startY) > DRAWING_HIT_TOLERANCE) {
+        draftDrawing.dragged = true;
+    }
 }
 
-// Update panel visibility based on checkboxes
-function updatePanelVisibility() {
-    const panels = {
-        'chartPanel': document.getElementById('showChartPanel').checked,
-        'filtersPanel': document.getElementById('showFiltersPanel').checked,
-        'colorsPanel': document.getElementById('showColorsPanel').checked,
-        'statsPanel': document.getElementById('showStatsPanel').checked,
-        'legendPanel': document.getElementById('showLegendPanel').checked
-    };
-    
-    // Show/hide individual panels
-    Object.keys(panels).forEach(panelId => {
-        const panel = document.getElementById(panelId);
-        if (panel) {
-            panel.style.display = panels[panelId] ? 'block' : 'none';
+// A drag places both anchors at once; otherwise a second click does
+function handleDrawingMouseUp() {
+    if (draftDrawing && draftDrawing.dragged && isMouseDown) {
+        finishDraftDrawing();
+    }
+}
+
+function finishDraftDrawing() {
+    const { drawing } = draftDrawing;
+    draftDrawing = null;
+    addDrawing(drawing);
+}
+
+function addDrawing(drawing) {
+    if (!drawingsByDataset[activeSymbol]) {
+        drawingsByDataset[activeSymbol] = [];
+    }
+    drawingsByDataset[activeSymbol].push(drawing);
+    selectedDrawingId = drawing.id;
+    saveDrawings();
+    setDrawingTool(null);
+}
+
+function deleteSelectedDrawing() {
+    const drawings = getDrawings();
+    const index = drawings.findIndex(drawing => drawing.id === selectedDrawingId);
+    if (index < 0) {
+        showStatus('Select a drawing to delete it', 'info');
+        return;
+    }
+    drawings.splice(index, 1);
+    selectedDrawingId = null;
+    saveDrawings();
+    redrawChart();
+}
+
+function clearDrawings() {
+    if (!activeSymbol || getDrawings().length === 0) return;
+    deleteDatasetDrawings(activeSymbol);
+    selectedDrawingId = null;
+    draftDrawing = null;
+    redrawChart();
+    showStatus(`🧹 Cleared drawings for ${activeSymbol}`, 'info');
+}
+
+// Far end of a ray, well past the edge of the chart
+function getRayEnd(start, through) {
+    const length = Math.hypot(through.x - start.x, through.y - start.y);
+    if (length === 0) return through;
+    const scale = 2 * (chartArea.width + chartArea.height) / length;
+    return { x: start.x + (through.x - start.x) * scale, y: start.y + (through.y - start.y) * scale };
+}
+
+function getFibLevels(drawing) {
+    const [start, end] = drawing.points;
+    return FIB_LEVELS.map(level => ({ level, price: end.price - (end.price - start.price) * level }));
+}
+
+function distanceToSegment(x, y, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSquared));
+    return Math.hypot(x - (a.x + t * dx), y - (a.y + t * dy));
+}
+
+function hitTestDrawing(drawing, x, y) {
+    const points = drawing.points.map(anchorToPoint);
+    const [a, b] = points;
+    
+    switch (drawing.type) {
+        case 'trendline':
+            return distanceToSegment(x, y, a, b) <= DRAWING_HIT_TOLERANCE;
+        case 'ray':
+            return distanceToSegment(x, y, a, getRayEnd(a, b)) <= DRAWING_HIT_TOLERANCE;
+        case 'hline':
+            return Math.abs(y - a.y) <= DRAWING_HIT_TOLERANCE;
+        case 'fib':
+            if (x < Math.min(a.x, b.x) - DRAWING_HIT_TOLERANCE || x > Math.max(a.x, b.x) + DRAWING_HIT_TOLERANCE) return false;
+            return getFibLevels(drawing).some(({ price }) => {
+                const levelY = priceToY(price, lastPriceRange.min, lastPriceRange.max, lastPriceRange.height);
+                return Math.abs(y - levelY) <= DRAWING_HIT_TOLERANCE;
+            });
+        case 'rect':
+            return x >= Math.min(a.x, b.x) - DRAWING_HIT_TOLERANCE && x <= Math.max(a.x, b.x) + DRAWING_HIT_TOLERANCE &&
+                y >= Math.min(a.y, b.y) - DRAWING_HIT_TOLERANCE && y <= Math.max(a.y, b.y) + DRAWING_HIT_TOLERANCE;
+        case 'text': {
+            ctx.font = '40px Arial';
+            const width = ctx.measureText(drawing.text).width;
+            return x >= a.x && x <= a.x + width && y >= a.y - 40 && y <= a.y + 10;
+        }
+        default:
+            return false;
+    }
+}
+
+// Called inside the price pane's clip, in chart coordinates
+function drawDrawings(minPrice, maxPrice, chartHeight) {
+    const drawings = draftDrawing ? [...getDrawings(), draftDrawing.drawing] : getDrawings();
+    
+    drawings.forEach(drawing => {
+        const selected = drawing.id === selectedDrawingId;
+        const points = drawing.points.map(anchorToPoint);
+        const [a, b] = points;
+        
+        ctx.save();
+        ctx.strokeStyle = chartTheme.drawing;
+        ctx.fillStyle = chartTheme.drawing;
+        ctx.lineWidth = selected ? 5 : 3;
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        
+        switch (drawing.type) {
+            case 'trendline':
+                ctx.moveTo(a.x, a.y);
+                ctx.lineTo(b.x, b.y);
+                ctx.stroke();
+                break;
+            case 'ray': {
+                const end = getRayEnd(a, b);
+                ctx.moveTo(a.x, a.y);
+                ctx.lineTo(end.x, end.y);
+                ctx.stroke();
+                break;
+            }
+            case 'hline':
+                ctx.moveTo(chartArea.x, a.y);
+                ctx.lineTo(chartArea.x + chartArea.width, a.y);
+                ctx.stroke();
+                ctx.font = '36px Arial';
+                ctx.textAlign = 'right';
+                ctx.fillText(formatPriceLabel(drawing.points[0].price), chartArea.x + chartArea.width - 10, a.y - 10);
+                break;
+            case 'fib': {
+                const left = Math.min(a.x, b.x);
+                const right = Math.max(a.x, b.x);
+                ctx.font = '32px Arial';
+                ctx.textAlign = 'left';
+                getFibLevels(drawing).forEach(({ level, price }) => {
+                    const y = priceToY(price, minPrice, maxPrice, chartHeight);
+                    ctx.beginPath();
+                    ctx.moveTo(left, y);
+                    ctx.lineTo(right, y);
+                    ctx.stroke();
+                    ctx.fillText(`${(level * 100).toFixed(1)}% (${formatPriceLabel(price)})`, left + 8, y - 8);
+                });
+                ctx.setLineDash([8, 8]);
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.moveTo(a.x, a.y);
+                ctx.lineTo(b.x, b.y);
+                ctx.stroke();
+                break;
+            }
+            case 'rect':
+                ctx.globalAlpha = 0.15;
+                ctx.fillRect(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.abs(b.x - a.x), Math.abs(b.y - a.y));
+                ctx.globalAlpha = 1;
+                ctx.strokeRect(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.abs(b.x - a.x), Math.abs(b.y - a.y));
+                break;
+            case 'text':
+                ctx.font = '40px Arial';
+                ctx.textAlign = 'left';
+                ctx.fillText(drawing.text, a.x, a.y);
+                break;
+        }
+        
+        // Anchor handles on the selected drawing
+        if (selected) {
+            ctx.fillStyle = chartTheme.foreground;
+            points.forEach(point => {
+                ctx.fillRect(point.x - 8, point.y - 8, 16, 16);
+            });
         }
+        ctx.restore();
     });
-    
-    // Left panel is always visible (no toggle button)
-    const leftPanel = document.getElementById('overlayLeft');
-    leftPanel.style.display = 'flex';
 }
 
-// Select all panels
-function selectAllPanels() {
-    const checkboxes = [
-        'showChartPanel',
-        'showFiltersPanel', 
-        'showColorsPanel',
-        'showStatsPanel',
-        'showLegendPanel'
-    ];
-    
-    checkboxes.forEach(id => {
-        const checkbox = document.getElementById(id);
-        if (checkbox) {
-            checkbox.checked = true;
-        }
-    });
-    
-    updatePanelVisibility();
+// Event markers: earnings dates, model retrains, news and other annotations
+// imported from CSV or JSON (timestamp, label, category, optional price).
+// Events are kept per dataset; categories can be hidden from the legend.
+const EVENTS_KEY = 'chartEvents';
+const EVENT_COLUMN_ALIASES = {
+    timestamp: ['timestamp', 'date', 'time', 'datetime'],
+    label: ['label', 'title', 'event', 'name', 'description'],
+    category: ['category', 'type', 'kind'],
+    price: ['price', 'level', 'value']
+};
+const EVENT_CATEGORY_COLORS = ['#ff6b6b', '#48dbfb', '#feca57', '#1dd1a1', '#f368e0', '#ff9f43', '#54a0ff', '#c8d6e5'];
+const EVENT_MARKER_SIZE = 14;
+
+let eventsByDataset = loadStoredMap(EVENTS_KEY);
+let hiddenEventCategories = [];
+let eventMarkers = []; // Marker positions from the last frame, for hover
+
+function saveEvents() {
+    localStorage.setItem(EVENTS_KEY, JSON.stringify(eventsByDataset));
 }
 
-// Deselect all panels
-function deselectAllPanels() {
-    const checkboxes = [
-        'showChartPanel',
-        'showFiltersPanel', 
-        'showColorsPanel',
-        'showStatsPanel',
-        'showLegendPanel'
-    ];
-    
-    checkboxes.forEach(id => {
-        const checkbox = document.getElementById(id);
-        if (checkbox) {
-            checkbox.checked = false;
-        }
-    });
-    
-    updatePanelVisibility();
+function getEvents() {
+    return activeSymbol && eventsByDataset[activeSymbol] ? eventsByDataset[activeSymbol] : [];
 }
 
-// Sync overlay controls with main controls
-function syncOverlayControls() {
-    // Chart type
-    const mainChartType = document.getElementById('chartType');
-    const overlayChartType = document.getElementById('overlayChartType');
-    if (mainChartType && overlayChartType) {
-        overlayChartType.value = mainChartType.value;
-    }
-    
-    
-    // Candle width
-    const mainCandleWidth = document.getElementById('candleWidth');
-    const overlayCandleWidth = document.getElementById('overlayCandleWidth');
-    if (mainCandleWidth && overlayCandleWidth) {
-        overlayCandleWidth.value = mainCandleWidth.value;
-    }
-    
-    // Cluster filter
-    const mainClusterFilter = document.getElementById('clusterFilter');
-    const overlayClusterFilter = document.getElementById('overlayClusterFilter');
-    if (mainClusterFilter && overlayClusterFilter) {
-        overlayClusterFilter.value = mainClusterFilter.value;
-    }
-    
-    // Candle type filter
-    const mainCandleTypeFilter = document.getElementById('candleTypeFilter');
-    const overlayCandleTypeFilter = document.getElementById('overlayCandleTypeFilter');
-    if (mainCandleTypeFilter && overlayCandleTypeFilter) {
-        overlayCandleTypeFilter.value = mainCandleTypeFilter.value;
-    }
-    
-    
-    // Show cluster colors
-    const mainShowClusterColors = document.getElementById('showClusterColors');
-    const overlayShowClusterColors = document.getElementById('overlayShowClusterColors');
-    if (mainShowClusterColors && overlayShowClusterColors) {
-        overlayShowClusterColors.checked = mainShowClusterColors.checked;
+function deleteDatasetEvents(name) {
+    if (eventsByDataset[name]) {
+        delete eventsByDataset[name];
+        saveEvents();
     }
-    
 }
 
-// Sync main controls with overlay controls
-function syncMainControls() {
-    // Chart type
-    const mainChartType = document.getElementById('chartType');
-    const overlayChartType = document.getElementById('overlayChartType');
-    if (mainChartType && overlayChartType) {
-        mainChartType.value = overlayChartType.value;
+function getEventCategories() {
+    return [...new Set(getEvents().map(event => event.category))].sort();
+}
+
+function getEventColor(category) {
+    const index = getEventCategories().indexOf(category);
+    return EVENT_CATEGORY_COLORS[Math.max(0, index) % EVENT_CATEGORY_COLORS.length];
+}
+
+function getVisibleEvents() {
+    return getEvents().filter(event => !hiddenEventCategories.includes(event.category));
+}
+
+// Header + rows (as produced by parseCSV or parseJSONDataset) to event records
+function rowsToEvents(rows) {
+    if (rows.length < 2) {
+        throw new Error('Events file has no rows');
     }
     
-    
-    // Candle width
-    const mainCandleWidth = document.getElementById('candleWidth');
-    const overlayCandleWidth = document.getElementById('overlayCandleWidth');
-    if (mainCandleWidth && overlayCandleWidth) {
-        mainCandleWidth.value = overlayCandleWidth.value;
+    const headers = rows[0].map(header => String(header).trim().toLowerCase());
+    const columns = {};
+    Object.keys(EVENT_COLUMN_ALIASES).forEach(field => {
+        columns[field] = headers.findIndex(header => EVENT_COLUMN_ALIASES[field].includes(header));
+    });
+    if (columns.timestamp < 0 || columns.label < 0) {
+        throw new Error('Events need a timestamp and a label column');
     }
     
-    // Cluster filter
-    const mainClusterFilter = document.getElementById('clusterFilter');
-    const overlayClusterFilter = document.getElementById('overlayClusterFilter');
-    if (mainClusterFilter && overlayClusterFilter) {
-        mainClusterFilter.value = overlayClusterFilter.value;
-    }
+    const events = [];
+    let skipped = 0;
+    rows.slice(1).forEach(row => {
+        const date = parseTimestamp(row[columns.timestamp], 'auto', sourceTimeZone);
+        const label = String(row[columns.label] || '').trim();
+        if (isNaN(date.getTime()) || !label) {
+            skipped++;
+            return;
+        }
+        const category = columns.category >= 0 && String(row[columns.category] || '').trim() || 'event';
+        const rawPrice = columns.price >= 0 ? String(row[columns.price] || '').trim() : '';
+        const price = rawPrice ? parseNumericValue(rawPrice) : NaN;
+        events.push({ time: date.getTime(), label, category, price: isFinite(price) ? price : null });
+    });
     
-    // Candle type filter
-    const mainCandleTypeFilter = document.getElementById('candleTypeFilter');
-    const overlayCandleTypeFilter = document.getElementById('overlayCandleTypeFilter');
-    if (mainCandleTypeFilter && overlayCandleTypeFilter) {
-        mainCandleTypeFilter.value = overlayCandleTypeFilter.value;
+    return { events, skipped };
+}
+
+function openEventsFilePicker() {
+    const fileInput = document.getElementById('eventsFileInput');
+    if (fileInput) {
+        fileInput.click();
     }
-    
-    
-    // Show cluster colors
-    const mainShowClusterColors = document.getElementById('showClusterColors');
-    const overlayShowClusterColors = document.getElementById('overlayShowClusterColors');
-    if (mainShowClusterColors && overlayShowClusterColors) {
-        mainShowClusterColors.checked = overlayShowClusterColors.checked;
+}
+
+function handleEventsFileSelect(event) {
+    const file = event.target.files[0];
+    if (file) {
+        file.text()
+            .then(text => importEvents(text, file.name))
+            .catch(error => showStatus(`❌ Error reading ${file.name}: ${error.message}`, 'error'));
     }
-    
+    // Allow selecting the same file again
+    event.target.value = '';
 }
 
-// Update overlay stats
-function updateOverlayStats() {
-    const overlayStats = document.getElementById('overlayStats');
-    if (!overlayStats) return;
-    
-    if (filteredData.length === 0) {
-        overlayStats.innerHTML = '<div class="overlay-stat-item"><div class="overlay-stat-value">-</div><div class="overlay-stat-label">No Data</div></div>';
+// New events are merged into the active dataset's, skipping exact duplicates
+function importEvents(text, sourceName) {
+    if (!activeSymbol) {
+        showStatus('❌ Load a dataset before importing events', 'error');
         return;
     }
     
-    const visibleData = filteredData.filter(d => d.visible);
-    const prices = visibleData.map(d => d.close);
-    const volumes = visibleData.map(d => d.volume);
+    let result;
+    try {
+        const rows = isJSONText(text) ? parseJSONDataset(text) : parseCSV(text).rows;
+        result = rowsToEvents(rows);
+    } catch (error) {
+        showStatus(`❌ Could not import events from ${sourceName}: ${error.message}`, 'error');
+        return;
+    }
     
-    const statsHtml = `
-        <div class="overlay-stat-item">
-            <div class="overlay-stat-value">${visibleData.length}</div>
-            <div class="overlay-stat-label">Visible</div>
-        </div>
-        <div class="overlay-stat-item">
-            <div class="overlay-stat-value">${prices.length > 0 ? prices[0].toFixed(2) : '-'}</div>
-            <div class="overlay-stat-label">Current</div>
-        </div>
-        <div class="overlay-stat-item">
-            <div class="overlay-stat-value">${prices.length > 0 ? Math.max(...prices).toFixed(2) : '-'}</div>
-            <div class="overlay-stat-label">High</div>
-        </div>
-        <div class="overlay-stat-item">
-            <div class="overlay-stat-value">${prices.length > 0 ? Math.min(...prices).toFixed(2) : '-'}</div>
-            <div class="overlay-stat-label">Low</div>
-        </div>
-        <div class="overlay-stat-item">
-            <div class="overlay-stat-value">${volumes.length > 0 ? (volumes.reduce((a, b) => a + b, 0) / volumes.length / 1000).toFixed(0) + 'K' : '-'}</div>
-            <div class="overlay-stat-label">Avg Vol</div>
-        </div>
-    `;
+    const existing = getEvents();
+    const keys = new Set(existing.map(event => `${event.time}|${event.label}|${event.category}`));
+    const added = result.events.filter(event => {
+        const key = `${event.time}|${event.label}|${event.category}`;
+        if (keys.has(key)) return false;
+        keys.add(key);
+        return true;
+    });
+    eventsByDataset[activeSymbol] = [...existing, ...added].sort((a, b) => a.time - b.time);
+    saveEvents();
     
-    overlayStats.innerHTML = statsHtml;
+    const skippedNote = result.skipped > 0 ? `, skipped ${result.skipped} invalid rows` : '';
+    showStatus(`📌 Imported ${added.length} events for ${activeSymbol}${skippedNote}`, 'success');
+    updateOverlayLegend();
+    redrawChart();
 }
 
-// Update overlay legend
-function updateOverlayLegend() {
-    const overlayLegend = document.getElementById('overlayLegend');
-    if (!overlayLegend) return;
-    
-    overlayLegend.innerHTML = '';
-    
-    const showClusterColors = document.getElementById('showClusterColors').checked;
-    
-    if (showClusterColors) {
-        // Show cluster information
-        const visibleData = filteredData.filter(d => d.visible);
-        const clusterCounts = {};
-        
-        visibleData.forEach(d => {
-            const cluster = d.predicted_cluster || 0;
-            clusterCounts[cluster] = (clusterCounts[cluster] || 0) + 1;
-        });
-        
-        Object.keys(clusterCounts).forEach(cluster => {
-            const count = clusterCounts[cluster];
-            const color = clusterColors[cluster] || clusterColors[0];
-            
-            const item = document.createElement('div');
-            item.className = 'overlay-legend-item';
-            item.innerHTML = `
-                <div class="overlay-legend-color" style="background-color: ${color.main}"></div>
-                <span>Cluster ${cluster} (${count})</span>
-            `;
-            overlayLegend.appendChild(item);
-        });
-    } else {
-        // Show price movement information
-        const visibleData = filteredData.filter(d => d.visible);
-        const bullishCount = visibleData.filter(d => d.close > d.open).length;
-        const bearishCount = visibleData.filter(d => d.close < d.open).length;
-        const neutralCount = visibleData.filter(d => d.close === d.open).length;
+function clearEvents() {
+    if (!activeSymbol || getEvents().length === 0) return;
+    deleteDatasetEvents(activeSymbol);
+    updateOverlayLegend();
+    redrawChart();
+    showStatus(`🧹 Cleared events for ${activeSymbol}`, 'info');
+}
+
+function toggleEventCategory(category, visible) {
+    hiddenEventCategories = visible
+        ? hiddenEventCategories.filter(hidden => hidden !== category)
+        : [...hiddenEventCategories, category];
+    redrawChart();
+    saveSettings();
+}
+
+// Events with a price sit on that price; the rest sit on the pane's bottom edge
+function drawEventMarkers(toX, toY, top, bottom) {
+    getVisibleEvents().forEach(event => {
+        const x = toX(event.time);
+        if (x < chartArea.x || x > chartArea.x + chartArea.width) return;
         
-        // Add bullish candles
-        if (bullishCount > 0) {
-            const item = document.createElement('div');
-            item.className = 'overlay-legend-item';
-            item.innerHTML = `
-                <div class="overlay-legend-color" style="background-color: ${defaultColors.bullish.main}"></div>
-                <span>Bullish (${bullishCount})</span>
-            `;
-            overlayLegend.appendChild(item);
-        }
+        const color = getEventColor(event.category);
+        ctx.save();
+        ctx.fillStyle = color;
+        ctx.strokeStyle = color;
         
-        // Add bearish candles
-        if (bearishCount > 0) {
-            const item = document.createElement('div');
-            item.className = 'overlay-legend-item';
-            item.innerHTML = `
-                <div class="overlay-legend-color" style="background-color: ${defaultColors.bearish.main}"></div>
-                <span>Bearish (${bearishCount})</span>
-            `;
-            overlayLegend.appendChild(item);
+        let y;
+        if (event.price !== null && toY) {
+            y = toY(event.price);
+            ctx.beginPath();
+            ctx.moveTo(x, y - EVENT_MARKER_SIZE);
+            ctx.lineTo(x + EVENT_MARKER_SIZE, y);
+            ctx.lineTo(x, y + EVENT_MARKER_SIZE);
+            ctx.lineTo(x - EVENT_MARKER_SIZE, y);
+            ctx.closePath();
+            ctx.fill();
+        } else {
+            y = bottom - EVENT_MARKER_SIZE;
+            ctx.globalAlpha = 0.4;
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 6]);
+            ctx.beginPath();
+            ctx.moveTo(x, top);
+            ctx.lineTo(x, bottom);
+            ctx.stroke();
+            ctx.globalAlpha = 1;
+            ctx.beginPath();
+            ctx.moveTo(x, y - EVENT_MARKER_SIZE);
+            ctx.lineTo(x + EVENT_MARKER_SIZE, y + EVENT_MARKER_SIZE);
+            ctx.lineTo(x - EVENT_MARKER_SIZE, y + EVENT_MARKER_SIZE);
+            ctx.closePath();
+            ctx.fill();
         }
+        ctx.restore();
         
-        // Add neutral candles
-        if (neutralCount > 0) {
-            const item = document.createElement('div');
-            item.className = 'overlay-legend-item';
-            item.innerHTML = `
-                <div class="overlay-legend-color" style="background-color: ${defaultColors.neutral.main}"></div>
-                <span>Neutral (${neutralCount})</span>
-            `;
-            overlayLegend.appendChild(item);
-        }
-    }
+        eventMarkers.push({ x, y, event });
+    });
 }
 
-// Click outside to close settings
-document.addEventListener('click', (e) => {
-    const settingsPanel = document.getElementById('overlaySettingsPanel');
-    const settingsButton = document.querySelector('.overlay-settings');
-    const resetButton = document.querySelector('.overlay-settings[onclick="resetChartToDefault()"]');
-    
-    if (!settingsPanel.contains(e.target) && !settingsButton.contains(e.target) && !resetButton.contains(e.target)) {
-        settingsPanel.classList.add('hidden');
+function getHoveredEvents(x, y) {
+    return eventMarkers
+        .filter(marker => Math.abs(marker.x - x) <= EVENT_MARKER_SIZE * 1.5 && Math.abs(marker.y - y) <= EVENT_MARKER_SIZE * 1.5)
+        .map(marker => marker.event);
+}
+
+function formatEventLine(event) {
+    const date = formatDisplayDate(new Date(event.time), { month: 'short', day: 'numeric' });
+    const price = event.price !== null ? ` @ ${event.price.toFixed(2)}` : '';
+    return `📌 ${date} ${event.category}: ${event.label}${price}`;
+}
+
+// Category checkboxes under the legend
+function renderEventFilter() {
+    const eventFilter = document.getElementById('eventFilter');
+    const eventFilterList = document.getElementById('eventFilterList');
+    if (!eventFilter || !eventFilterList) return;
+    
+    eventFilterList.innerHTML = '';
+    const events = getEvents();
+    eventFilter.style.display = events.length > 0 ? 'block' : 'none';
+    
+    getEventCategories().forEach(category => {
+        const count = events.filter(event => event.category === category).length;
+        const item = document.createElement('label');
+        item.className = 'overlay-legend-item event-filter-item';
+        item.innerHTML = `
+            <input type="checkbox">
+            <div class="overlay-legend-color" style="background-color: ${getEventColor(category)}"></div>
+            <span></span>
+        `;
+        const checkbox = item.querySelector('input');
+        checkbox.checked = !hiddenEventCategories.includes(category);
+        checkbox.onchange = () => toggleEventCategory(category, checkbox.checked);
+        item.querySelector('span').textContent = `${category} (${count})`;
+        eventFilterList.appendChild(item);
+    });
+}
+
+// Time-axis zoom around the cursor and manual price-axis scaling
+const MIN_VISIBLE_POINTS = 10;
+const WHEEL_ZOOM_SENSITIVITY = 0.002;
+const PRICE_AXIS_DRAG_SENSITIVITY = 0.005;
+
+let priceAxisDrag = null; // { startY, range } while dragging the price axis
+let pinchDistance = null;
+
+// Most bars that can be shown at once: the slider's limit or the whole dataset
+function getVisiblePointsLimit() {
+    const slider = document.getElementById('maxVisiblePoints');
+    return Math.min(slider ? parseInt(slider.max) : 200, stockData.length);
+}
+
+function setVisiblePointsCount(count) {
+    const slider = document.getElementById('maxVisiblePoints');
+    maxVisiblePoints = count;
+    if (slider) {
+        slider.value = count;
+        document.getElementById('maxVisiblePointsValue').textContent = count;
     }
-});
+}
 
-// Interactive chart functions
-function setupInteractiveChart() {
-    // Use fullscreen canvas if in fullscreen mode
-    const targetCanvas = (isFullscreen && window.fullscreenCanvas) ? window.fullscreenCanvas : canvas;
+// Change the number of visible bars, keeping the bar under anchorX in place
+function zoomTimeAxis(factor, anchorX) {
+    if (stockData.length === 0) return;
     
-    if (!targetCanvas) {
-        console.error('Canvas not found for interactive setup');
-        return;
+    const maxPoints = getVisiblePointsLimit();
+    const minPoints = Math.min(MIN_VISIBLE_POINTS, stockData.length);
+    const rangeSize = visibleEndIndex - visibleStartIndex + 1;
+    
+    let newSize = Math.round(rangeSize * factor);
+    if (newSize === rangeSize && factor !== 1) {
+        newSize += factor > 1 ? 1 : -1;
     }
+    newSize = Math.max(minPoints, Math.min(maxPoints, newSize));
+    if (newSize === rangeSize) return;
     
-    // Mouse events
-    targetCanvas.addEventListener('mousedown', handleMouseDown);
-    targetCanvas.addEventListener('mousemove', handleMouseMove);
-    targetCanvas.addEventListener('mouseup', handleMouseUp);
-    targetCanvas.addEventListener('mouseenter', handleMouseEnter);
-    // Add wheel event listener that only works with modifier keys
-    targetCanvas.addEventListener('wheel', (e) => {
-        if (e.ctrlKey || e.metaKey || e.shiftKey) {
-            handleWheel(e);
-        }
-        // Do nothing for normal scroll - allow page scrolling
-    });
-    targetCanvas.addEventListener('mouseleave', handleMouseLeave);
+    const fraction = Math.max(0, Math.min(1, (anchorX - chartArea.x) / chartArea.width));
+    const anchorIndex = visibleStartIndex + fraction * rangeSize;
     
-    // Touch events for mobile
-    targetCanvas.addEventListener('touchstart', handleTouchStart);
-    targetCanvas.addEventListener('touchmove', handleTouchMove);
-    targetCanvas.addEventListener('touchend', handleTouchEnd);
+    setVisiblePointsCount(newSize);
+    visibleStartIndex = Math.max(0, Math.min(stockData.length - newSize, Math.round(anchorIndex - fraction * newSize)));
+    visibleEndIndex = visibleStartIndex + newSize - 1;
+    updateVisibleWindow();
 }
 
-function handleMouseDown(e) {
+// The price labels left of the price pane
+function isOnPriceAxis(x, y) {
+    return lastPriceRange !== null &&
+        isPriceChartType(getChartType()) &&
+        x < chartArea.x && x > chartArea.x - 300 &&
+        y >= lastPriceRange.top && y <= lastPriceRange.top + lastPriceRange.height;
+}
+
+// Dragging up compresses the y-range (zooms in), dragging down stretches it
+function dragPriceAxis(y) {
+    const { startY, range } = priceAxisDrag;
+    const factor = Math.exp((y - startY) * PRICE_AXIS_DRAG_SENSITIVITY);
+    const log = isLogPriceScale(range.min);
+    const low = toScaleValue(range.min, log);
+    const high = toScaleValue(range.max, log);
+    const center = (low + high) / 2;
+    const halfRange = (high - low) / 2 * factor;
+    
+    priceScaleLocked = true;
+    lockedPriceRange = { min: fromScaleValue(center - halfRange, log), max: fromScaleValue(center + halfRange, log) };
+    syncPriceScaleToggle();
+    redrawChart();
+}
+
+function resetPriceScale() {
+    priceScaleLocked = false;
+    lockedPriceRange = null;
+    syncPriceScaleToggle();
+    updateChart();
+}
+
+// Checkbox handler: auto-scale on, or lock the range currently shown
+function togglePriceAutoScale() {
+    const autoScaleElement = document.getElementById('priceAutoScale');
+    priceScaleLocked = autoScaleElement ? !autoScaleElement.checked : false;
+    lockedPriceRange = priceScaleLocked && lastPriceRange ? { min: lastPriceRange.min, max: lastPriceRange.max } : null;
+    updateChart();
+}
+
+function updatePriceScaleMode() {
+    const modeElement = document.getElementById('priceScaleMode');
+    priceScaleMode = modeElement && PRICE_SCALE_MODES.includes(modeElement.value) ? modeElement.value : 'linear';
+    updateChart();
+}
+
+function syncPriceScaleToggle() {
+    const autoScaleElement = document.getElementById('priceAutoScale');
+    if (autoScaleElement) {
+        autoScaleElement.checked = !priceScaleLocked;
+    }
+}
+
+function handleDoubleClick(e) {
     const targetCanvas = (isFullscreen && window.fullscreenCanvas) ? window.fullscreenCanvas : canvas;
     const rect = targetCanvas.getBoundingClientRect();
-    const scaleX = targetCanvas.width / rect.width;
-    const scaleY = targetCanvas.height / rect.height;
+    const mouseX = (e.clientX - rect.left) * (targetCanvas.width / rect.width) - panOffsetX;
+    const mouseY = (e.clientY - rect.top) * (targetCanvas.height / rect.height) - panOffsetY;
     
-    isMouseDown = true;
-    isDragging = true;
-    lastMouseX = (e.clientX - rect.left) * scaleX;
-    lastMouseY = (e.clientY - rect.top) * scaleY;
-    dragStartX = e.clientX;
-    dragStartY = e.clientY;
-    canvas.style.cursor = 'grabbing';
+    if (isOnPriceAxis(mouseX, mouseY)) {
+        resetPriceScale();
+        showStatus('↕️ Price axis auto-fit restored', 'info');
+    }
 }
 
-function handleMouseMove(e) {
+function handleWheel(e) {
+    e.preventDefault();
+    
     const targetCanvas = (isFullscreen && window.fullscreenCanvas) ? window.fullscreenCanvas : canvas;
     const rect = targetCanvas.getBoundingClientRect();
     const scaleX = targetCanvas.width / rect.width;
-    const scaleY = targetCanvas.height / rect.height;
-    
     const mouseX = (e.clientX - rect.left) * scaleX;
-    const mouseY = (e.clientY - rect.top) * scaleY;
     
-    let hoverChanged = false;
-    
-    // Snap crosshair to nearest candle if enabled
-    if (crosshairSnapToCandles) {
-        const snapped = snapCrosshairToCandle(mouseX, mouseY);
-        
-        // Update crosshair (in display coordinates)
-        crosshairX = snapped.x / scaleX; // Convert back to display coordinates
-        crosshairY = e.clientY - rect.top;
-        
-        // Update hovered index based on snapped position
-        const newHoveredIndex = snapped.index;
-        hoverChanged = newHoveredIndex !== hoveredIndex;
-        hoveredIndex = newHoveredIndex;
-    } else {
-        // Update crosshair (in display coordinates) without snapping
-        crosshairX = e.clientX - rect.left;
-        crosshairY = e.clientY - rect.top;
-        
-        // Check if hovering over a data point
-        const newHoveredIndex = getHoveredDataIndex(mouseX, mouseY);
-        hoverChanged = newHoveredIndex !== hoveredIndex;
-        hoveredIndex = newHoveredIndex;
-    }
-    
-    if (isMouseDown && isDragging) {
-        // Pan the visible range of the chart
-        const deltaX = mouseX - lastMouseX;
-        const deltaY = mouseY - lastMouseY;
-        
-        
-        // Use horizontal movement to pan through data range
-        if (Math.abs(deltaX) >= 1) { // Only pan if there's actual movement
-            panVisibleRange(deltaX * panningSensitivity);
-        }
-        
-        // Use vertical movement for price panning (optional)
-        panOffsetY += deltaY;
-        
-        lastMouseX = mouseX;
-        lastMouseY = mouseY;
-        
-        updateChart(); // Full update to show new data range
-    } else {
-        // Update crosshair smoothly
-        if (hoverChanged) {
-            redrawChart();
-        } else {
-            updateCrosshairSmoothly();
-        }
-    }
-}
-
-function handleMouseUp(e) {
-    isMouseDown = false;
-    isDragging = false;
-    const targetCanvas = (isFullscreen && window.fullscreenCanvas) ? window.fullscreenCanvas : canvas;
-    targetCanvas.style.cursor = 'crosshair';
-}
-
-function handleWheel(e) {
-    // Only handle scroll with modifier keys (Ctrl/Shift)
-    if (e.ctrlKey || e.metaKey || e.shiftKey) {
-        e.preventDefault();
-        
-        const targetCanvas = (isFullscreen && window.fullscreenCanvas) ? window.fullscreenCanvas : canvas;
-        const rect = targetCanvas.getBoundingClientRect();
-        const scaleX = targetCanvas.width / rect.width;
-        const scaleY = targetCanvas.height / rect.height;
-        
-        const mouseX = (e.clientX - rect.left) * scaleX;
-        const mouseY = (e.clientY - rect.top) * scaleY;
-        
-        // Adjust max visible points with scroll
-        const maxVisiblePointsElement = document.getElementById('maxVisiblePoints');
-        if (!maxVisiblePointsElement) return;
-        
-        const currentMaxPoints = parseInt(maxVisiblePointsElement.value);
-        const step = 10; // Adjust by 10 points per scroll
-        const newMaxPoints = e.deltaY > 0 
-            ? Math.max(10, currentMaxPoints - step)
-            : Math.min(200, currentMaxPoints + step);
-        
-        // Update the slider and trigger the update function
-        maxVisiblePointsElement.value = newMaxPoints;
-        updateMaxVisiblePoints();
-    }
-    // Do not prevent default when no modifier keys - allow normal page scrolling
+    // Trackpad pinch arrives as ctrl+wheel, so it zooms the same way
+    const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+    zoomTimeAxis(Math.exp(delta * WHEEL_ZOOM_SENSITIVITY), mouseX - panOffsetX);
 }
 
 function handleMouseLeave(e) {
+    priceAxisDrag = null;
     hoveredIndex = -1;
     crosshairX = -1;
     crosshairY = -1;
-    redrawChart();
+    drawOverlay();
 }
 
 function handleMouseEnter(e) {
@@ -2115,12 +7572,20 @@ function handleMouseEnter(e) {
         hoveredIndex = getHoveredDataIndex(mouseX, mouseY);
     }
     
-    redrawChart();
+    drawOverlay();
+}
+
+function getPinchDistance(touches) {
+    return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
 }
 
 function handleTouchStart(e) {
     e.preventDefault();
-    if (e.touches.length === 1) {
+    if (e.touches.length === 2) {
+        pinchDistance = getPinchDistance(e.touches);
+        isMouseDown = false;
+        isDragging = false;
+    } else if (e.touches.length === 1) {
         const touch = e.touches[0];
         const rect = canvas.getBoundingClientRect();
         const scaleX = canvas.width / rect.width;
@@ -2135,7 +7600,14 @@ function handleTouchStart(e) {
 
 function handleTouchMove(e) {
     e.preventDefault();
-    if (e.touches.length === 1 && isMouseDown) {
+    if (e.touches.length === 2 && pinchDistance) {
+        // Spreading the fingers shows fewer bars, around their midpoint
+        const distance = getPinchDistance(e.touches);
+        const rect = canvas.getBoundingClientRect();
+        const midX = ((e.touches[0].clientX + e.touches[1].clientX) / 2 - rect.left) * (canvas.width / rect.width);
+        zoomTimeAxis(pinchDistance / distance, midX - panOffsetX);
+        pinchDistance = distance;
+    } else if (e.touches.length === 1 && isMouseDown) {
         const touch = e.touches[0];
         const rect = canvas.getBoundingClientRect();
         const scaleX = canvas.width / rect.width;
@@ -2159,6 +7631,7 @@ function handleTouchMove(e) {
 
 function handleTouchEnd(e) {
     e.preventDefault();
+    pinchDistance = null;
     isMouseDown = false;
     isDragging = false;
 }
@@ -2172,9 +7645,9 @@ function getHoveredDataIndex(mouseX, mouseY) {
     // Update visible range if needed
     updateVisibleRange();
     
-    // Get the data points to display from original data
-    const displayData = stockData.slice(visibleStartIndex, visibleEndIndex + 1);
-    if (displayData.length === 0) return -1;
+    // Bars in view; the column under the mouse is computed, not searched for
+    const visibleCount = visibleEndIndex - visibleStartIndex + 1;
+    if (visibleCount <= 0) return -1;
     
     // Transform mouse coordinates to account for pan only (zoom disabled)
     const transformedX = mouseX - panOffsetX;
@@ -2186,16 +7659,22 @@ function getHoveredDataIndex(mouseX, mouseY) {
         return -1;
     }
     
+    // Renko columns map back to the bar that completed each brick
+    if (chartType === 'renko') {
+        if (!renkoColumns || renkoColumns.length === 0) return -1;
+        const column = Math.floor((transformedX - chartArea.x) / (chartArea.width / renkoColumns.length));
+        return column >= 0 && column < renkoColumns.length ? renkoColumns[column] : -1;
+    }
+    
     // Calculate data spacing based on visible data
-    const dataWidth = chartArea.width / displayData.length;
+    const dataWidth = chartArea.width / visibleCount;
     const dataIndex = Math.floor((transformedX - chartArea.x) / dataWidth);
     
-    if (dataIndex >= 0 && dataIndex < displayData.length) {
-        const data = displayData[dataIndex];
+    if (dataIndex >= 0 && dataIndex < visibleCount) {
         const x = chartArea.x + dataIndex * dataWidth;
         
         // Check if mouse is within the data point bounds
-        if (chartType === 'candlestick') {
+        if (isPriceChartType(chartType)) {
             const candleWidthElement = document.getElementById('candleWidth');
             const candleWidth = candleWidthElement ? parseInt(candleWidthElement.value) : 8;
             if (Math.abs(transformedX - x) <= candleWidth / 2) {
@@ -2211,6 +7690,18 @@ function getHoveredDataIndex(mouseX, mouseY) {
     return -1;
 }
 
+// Crosshair, hover highlight and tooltip are drawn on their own canvas above
+// the chart, so mouse moves repaint only this layer
+function drawOverlay() {
+    if (!overlayCtx) return;
+    overlayCtx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
+    if (filteredData.length === 0) return;
+    
+    drawPaneReadouts();
+    drawCrosshair();
+    drawTooltip();
+}
+
 function drawCrosshair() {
     if (!crosshairEnabled || crosshairX < 0 || crosshairY < 0) return;
     
@@ -2228,98 +7719,122 @@ function drawCrosshair() {
         return;
     }
     
-    ctx.save();
+    overlayCtx.save();
     
     // Reset any transformations for crosshair drawing
-    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    overlayCtx.setTransform(1, 0, 0, 1, 0, 0);
     
     // Enable anti-aliasing for smoother lines
-    ctx.imageSmoothingEnabled = true;
+    overlayCtx.imageSmoothingEnabled = true;
     
     // Draw crosshair with better visibility and anti-aliasing
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
-    ctx.lineWidth = 1.5;
-    ctx.setLineDash([6, 3]);
-    ctx.lineCap = 'round';
+    overlayCtx.strokeStyle = chartTheme.crosshair;
+    overlayCtx.lineWidth = 1.5;
+    overlayCtx.setLineDash([6, 3]);
+    overlayCtx.lineCap = 'round';
     
     // Vertical line
-    ctx.beginPath();
-    ctx.moveTo(scaledX + 0.5, chartArea.y);
-    ctx.lineTo(scaledX + 0.5, chartArea.y + chartArea.height);
-    ctx.stroke();
+    overlayCtx.beginPath();
+    overlayCtx.moveTo(scaledX + 0.5, chartArea.y);
+    overlayCtx.lineTo(scaledX + 0.5, chartArea.y + chartArea.height);
+    overlayCtx.stroke();
     
     // Horizontal line
-    ctx.beginPath();
-    ctx.moveTo(chartArea.x, scaledY + 0.5);
-    ctx.lineTo(chartArea.x + chartArea.width, scaledY + 0.5);
-    ctx.stroke();
+    overlayCtx.beginPath();
+    overlayCtx.moveTo(chartArea.x, scaledY + 0.5);
+    overlayCtx.lineTo(chartArea.x + chartArea.width, scaledY + 0.5);
+    overlayCtx.stroke();
     
     // Draw center dot for better visibility
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
-    ctx.beginPath();
-    ctx.arc(scaledX, scaledY, 2.5, 0, 2 * Math.PI);
-    ctx.fill();
+    overlayCtx.fillStyle = chartTheme.crosshair;
+    overlayCtx.beginPath();
+    overlayCtx.arc(scaledX, scaledY, 2.5, 0, 2 * Math.PI);
+    overlayCtx.fill();
     
     // Draw border around center dot
-    ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
-    ctx.lineWidth = 1;
-    ctx.setLineDash([]);
-    ctx.beginPath();
-    ctx.arc(scaledX, scaledY, 2.5, 0, 2 * Math.PI);
-    ctx.stroke();
+    overlayCtx.strokeStyle = withAlpha(chartTheme.shade, 0.6);
+    overlayCtx.lineWidth = 1;
+    overlayCtx.setLineDash([]);
+    overlayCtx.beginPath();
+    overlayCtx.arc(scaledX, scaledY, 2.5, 0, 2 * Math.PI);
+    overlayCtx.stroke();
+    
+    // Price (or percent change) at the horizontal line, on the price axis
+    const paneY = scaledY - panOffsetY;
+    if (lastPriceRange && paneY >= lastPriceRange.top && paneY <= lastPriceRange.top + lastPriceRange.height) {
+        const label = formatPriceLabel(yToPrice(paneY, lastPriceRange.min, lastPriceRange.max, lastPriceRange.height));
+        overlayCtx.font = '40px Arial';
+        const labelWidth = overlayCtx.measureText(label).width + 24;
+        overlayCtx.fillStyle = withAlpha(chartTheme.neutral, 0.9);
+        overlayCtx.fillRect(chartArea.x - labelWidth - 8, scaledY - 28, labelWidth, 56);
+        overlayCtx.fillStyle = chartTheme.shade;
+        overlayCtx.textAlign = 'right';
+        overlayCtx.textBaseline = 'middle';
+        overlayCtx.fillText(label, chartArea.x - 20, scaledY);
+    }
     
     // Draw candle highlight if hovering over a candle
     if (hoveredIndex >= 0) {
-        const displayData = stockData.slice(visibleStartIndex, visibleEndIndex + 1);
-        const xStep = chartArea.width / displayData.length;
+        const columnCount = renkoColumns ? renkoColumns.length : visibleEndIndex - visibleStartIndex + 1;
+        const xStep = chartArea.width / columnCount;
         
-        // Find which candle we're hovering over
-        const candleIndex = hoveredIndex - visibleStartIndex;
-        if (candleIndex >= 0 && candleIndex < displayData.length) {
+        // Find which candle (or first Renko brick of the bar) we're hovering over
+        const candleIndex = renkoColumns ? renkoColumns.indexOf(hoveredIndex) : hoveredIndex - visibleStartIndex;
+        if (candleIndex >= 0 && candleIndex < columnCount) {
             const candleX = chartArea.x + candleIndex * xStep + xStep / 2;
             
             // Draw a subtle highlight around the candle
-            ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
-            ctx.lineWidth = 2;
-            ctx.setLineDash([]);
-            ctx.beginPath();
-            ctx.rect(candleX - xStep/2, chartArea.y, xStep, chartArea.height);
-            ctx.stroke();
+            overlayCtx.strokeStyle = withAlpha(chartTheme.crosshair, 0.3);
+            overlayCtx.lineWidth = 2;
+            overlayCtx.setLineDash([]);
+            overlayCtx.beginPath();
+            overlayCtx.rect(candleX - xStep/2, chartArea.y, xStep, chartArea.height);
+            overlayCtx.stroke();
         }
     }
     
-    ctx.restore();
+    overlayCtx.restore();
 }
 
 function drawTooltip() {
-    if (hoveredIndex < 0 || stockData.length === 0) return;
-    
-    // Use the original stockData array with the correct index
-    if (hoveredIndex >= stockData.length) return;
+    if (stockData.length === 0 || crosshairX < 0 || crosshairY < 0) return;
     
-    const data = stockData[hoveredIndex];
     const rect = canvas.getBoundingClientRect();
     const scaleX = canvas.width / rect.width;
     const scaleY = canvas.height / rect.height;
     const mouseX = crosshairX * scaleX;
     const mouseY = crosshairY * scaleY;
     
-    // Tooltip content
-    const tooltipText = [
-        `Time: ${new Date(data.timestamp).toLocaleString()}`,
-        `Open: ${data.open.toFixed(2)}`,
-        `High: ${data.high.toFixed(2)}`,
-        `Low: ${data.low.toFixed(2)}`,
-        `Close: ${data.close.toFixed(2)}`,
-        `Volume: ${data.volume.toLocaleString()}`,
-        `Cluster: ${data.predicted_cluster || 0}`
-    ];
+    // Tooltip content: the hovered bar (from the original stockData array)
+    const tooltipText = [];
+    if (hoveredIndex >= 0 && hoveredIndex < stockData.length) {
+        const data = stockData[hoveredIndex];
+        tooltipText.push(
+            `Time: ${formatDisplayDate(data.date, {
+                year: 'numeric', month: 'short', day: 'numeric',
+                hour: '2-digit', minute: '2-digit', second: '2-digit', timeZoneName: 'short'
+            })}`,
+            `Open: ${data.open.toFixed(2)}`,
+            `High: ${data.high.toFixed(2)}`,
+            `Low: ${data.low.toFixed(2)}`,
+            `Close: ${data.close.toFixed(2)}`,
+            `Volume: ${data.volume.toLocaleString()}`,
+            `Cluster: ${getClusterLabel(data.predicted_cluster || 0)}`,
+            ...getClusterDetails(data.predicted_cluster || 0).map(line => line.length > 60 ? `${line.slice(0, 59)}…` : line)
+        );
+    }
+    
+    // ...and any event markers under the cursor
+    getHoveredEvents(mouseX - panOffsetX, mouseY - panOffsetY).forEach(event => {
+        tooltipText.push(formatEventLine(event));
+    });
+    if (tooltipText.length === 0) return;
     
     // Calculate tooltip dimensions
-    ctx.font = '12px Arial';
+    overlayCtx.font = '12px Arial';
     const lineHeight = 16;
     const padding = 8;
-    const maxWidth = Math.max(...tooltipText.map(text => ctx.measureText(text).width));
+    const maxWidth = Math.max(...tooltipText.map(text => overlayCtx.measureText(text).width));
     const tooltipWidth = maxWidth + padding * 2;
     const tooltipHeight = tooltipText.length * lineHeight + padding * 2;
     
@@ -2339,45 +7854,45 @@ function drawTooltip() {
     }
     
     // Draw tooltip background
-    ctx.save();
+    overlayCtx.save();
     
     // Reset transformations for tooltip
-    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    overlayCtx.setTransform(1, 0, 0, 1, 0, 0);
     
     // Enable anti-aliasing
-    ctx.imageSmoothingEnabled = true;
+    overlayCtx.imageSmoothingEnabled = true;
     
     // Draw tooltip background with rounded corners
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.9)';
-    if (ctx.roundRect) {
-        ctx.beginPath();
-        ctx.roundRect(tooltipX, tooltipY, tooltipWidth, tooltipHeight, 4);
-        ctx.fill();
+    overlayCtx.fillStyle = withAlpha(chartTheme.shade, 0.9);
+    if (overlayCtx.roundRect) {
+        overlayCtx.beginPath();
+        overlayCtx.roundRect(tooltipX, tooltipY, tooltipWidth, tooltipHeight, 4);
+        overlayCtx.fill();
     } else {
-        ctx.fillRect(tooltipX, tooltipY, tooltipWidth, tooltipHeight);
+        overlayCtx.fillRect(tooltipX, tooltipY, tooltipWidth, tooltipHeight);
     }
     
     // Draw tooltip border
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
-    ctx.lineWidth = 1;
-    if (ctx.roundRect) {
-        ctx.beginPath();
-        ctx.roundRect(tooltipX, tooltipY, tooltipWidth, tooltipHeight, 4);
-        ctx.stroke();
+    overlayCtx.strokeStyle = withAlpha(chartTheme.foreground, 0.4);
+    overlayCtx.lineWidth = 1;
+    if (overlayCtx.roundRect) {
+        overlayCtx.beginPath();
+        overlayCtx.roundRect(tooltipX, tooltipY, tooltipWidth, tooltipHeight, 4);
+        overlayCtx.stroke();
     } else {
-        ctx.strokeRect(tooltipX, tooltipY, tooltipWidth, tooltipHeight);
+        overlayCtx.strokeRect(tooltipX, tooltipY, tooltipWidth, tooltipHeight);
     }
     
     // Draw tooltip text
-    ctx.fillStyle = 'white';
-    ctx.textAlign = 'left';
-    ctx.textBaseline = 'top';
-    ctx.font = '12px Arial';
+    overlayCtx.fillStyle = chartTheme.foreground;
+    overlayCtx.textAlign = 'left';
+    overlayCtx.textBaseline = 'top';
+    overlayCtx.font = '12px Arial';
     tooltipText.forEach((text, index) => {
-        ctx.fillText(text, tooltipX + padding, tooltipY + padding + index * lineHeight);
+        overlayCtx.fillText(text, tooltipX + padding, tooltipY + padding + index * lineHeight);
     });
     
-    ctx.restore();
+    overlayCtx.restore();
 }
 
 function resetZoom() {
@@ -2417,7 +7932,7 @@ function resetChartToDefault() {
     // Reset all panel visibility to default (all visible)
     const panelCheckboxes = [
         'showChartPanel', 'showFiltersPanel', 'showColorsPanel', 
-        'showStatsPanel', 'showLegendPanel'
+        'showStatsPanel', 'showIndicatorsPanel', 'showLegendPanel'
     ];
     panelCheckboxes.forEach(checkboxId => {
         const checkbox = document.getElementById(checkboxId);
@@ -2454,6 +7969,22 @@ function resetChartToDefault() {
     // Reset cluster colors to show
     document.getElementById('showClusterColors').checked = true;
     
+    // Reset indicator overlays
+    overlayIndicators = getDefaultIndicators();
+    oscillatorPanes = [];
+    renderIndicatorControls();
+    renderOscillatorControls();
+    
+    // Reset price axis to auto-fit on a linear scale
+    priceScaleLocked = false;
+    lockedPriceRange = null;
+    syncPriceScaleToggle();
+    priceScaleMode = 'linear';
+    document.getElementById('priceScaleMode').value = priceScaleMode;
+    
+    // Reset display time zone to the browser's
+    displayTimeZone = 'browser';
+    document.getElementById('displayTimeZone').value = 'browser';
     
     // Clear saved settings
     localStorage.removeItem('chartSettings');
@@ -2466,7 +7997,20 @@ function resetChartToDefault() {
     showStatus('🔄 Chart reset to default settings', 'success');
 }
 
+// updateChart runs for every slider step, drag and streamed frame, so its
+// save waits until the changes settle
+const SETTINGS_SAVE_DELAY = 500; // ms
+let saveSettingsTimer = null;
+
+function scheduleSaveSettings() {
+    clearTimeout(saveSettingsTimer);
+    saveSettingsTimer = setTimeout(saveSettings, SETTINGS_SAVE_DELAY);
+}
+
 function saveSettings() {
+    clearTimeout(saveSettingsTimer);
+    saveSettingsTimer = null;
+    
     const maxVisiblePointsElement = document.getElementById('maxVisiblePoints');
     const panningSensitivityElement = document.getElementById('panningSensitivity');
     const panelOpacityElement = document.getElementById('panelOpacity');
@@ -2474,9 +8018,13 @@ function saveSettings() {
     const showFiltersPanelElement = document.getElementById('showFiltersPanel');
     const showColorsPanelElement = document.getElementById('showColorsPanel');
     const showStatsPanelElement = document.getElementById('showStatsPanel');
+    const showIndicatorsPanelElement = document.getElementById('showIndicatorsPanel');
     const showLegendPanelElement = document.getElementById('showLegendPanel');
     const chartTypeElement = document.getElementById('chartType');
     const numRowsElement = document.getElementById('numRows');
+    const sampleModelElement = document.getElementById('sampleModel');
+    const sampleIntervalElement = document.getElementById('sampleInterval');
+    const sampleSeedElement = document.getElementById('sampleSeed');
     const candleWidthElement = document.getElementById('candleWidth');
     const clusterFilterElement = document.getElementById('clusterFilter');
     const candleTypeFilterElement = document.getElementById('candleTypeFilter');
@@ -2493,11 +8041,15 @@ function saveSettings() {
         showFiltersPanel: showFiltersPanelElement ? showFiltersPanelElement.checked : true,
         showColorsPanel: showColorsPanelElement ? showColorsPanelElement.checked : true,
         showStatsPanel: showStatsPanelElement ? showStatsPanelElement.checked : true,
+        showIndicatorsPanel: showIndicatorsPanelElement ? showIndicatorsPanelElement.checked : true,
         showLegendPanel: showLegendPanelElement ? showLegendPanelElement.checked : true,
         
         // Chart configuration
         chartType: chartTypeElement ? chartTypeElement.value : 'candlestick',
         numRows: numRowsElement ? parseInt(numRowsElement.value) : 200,
+        sampleModel: sampleModelElement ? sampleModelElement.value : 'regime',
+        sampleInterval: sampleIntervalElement ? sampleIntervalElement.value : '1h',
+        sampleSeed: sampleSeedElement ? sampleSeedElement.value : '',
         candleWidth: candleWidthElement ? parseInt(candleWidthElement.value) : 8,
         
         // Filters
@@ -2505,6 +8057,35 @@ function saveSettings() {
         candleTypeFilter: candleTypeFilterElement ? candleTypeFilterElement.value : 'all',
         showClusterColors: showClusterColorsElement ? showClusterColorsElement.checked : true,
         
+        // Price axis
+        priceScaleLocked: priceScaleLocked,
+        priceScaleMode: priceScaleMode,
+        
+        // Renko bricks
+        renkoBoxMode: renkoBoxMode,
+        renkoBoxSize: renkoBoxSize,
+        renkoAtrPeriod: renkoAtrPeriod,
+        
+        // Indicator overlays and oscillator panes
+        overlayIndicators: overlayIndicators,
+        oscillatorPanes: oscillatorPanes,
+        
+        // Event categories hidden from the chart
+        hiddenEventCategories: hiddenEventCategories,
+        
+        // Cluster palette and per-cluster colors
+        clusterPalette: clusterPalette,
+        clusterColorOverrides: clusterColorOverrides,
+        clusterInfo: clusterInfo,
+        
+        // Clustering dialog choices
+        clustering: clusteringOptions,
+        
+        // Theme, including unsaved edits to it, and user-defined themes
+        theme: activeTheme,
+        themeColors: chartTheme,
+        customThemes: customThemes,
+        
         // Chart state
         zoomLevel: zoomLevel,
         panOffsetX: panOffsetX,
@@ -2513,7 +8094,19 @@ function saveSettings() {
         visibleEndIndex: visibleEndIndex,
         crosshairEnabled: crosshairEnabled,
         crosshairSnapToCandles: crosshairSnapToCandles,
-        isFullscreen: isFullscreen
+        
+        // Symbols and timeframe
+        compareSymbols: compareSymbols,
+        timeframe: timeframe,
+        resampleClusterRule: resampleClusterRule,
+        
+        // Live stream
+        streamUrl: document.getElementById('streamUrl') ? document.getElementById('streamUrl').value : '',
+        
+        // Timestamps
+        timestampFormat: timestampFormat,
+        sourceTimeZone: sourceTimeZone,
+        displayTimeZone: displayTimeZone
     };
     
     localStorage.setItem('chartSettings', JSON.stringify(settings));
@@ -2529,7 +8122,9 @@ function loadSettings() {
         
         // Load chart display settings
         if (settings.maxVisiblePoints) {
-            document.getElementById('maxVisiblePoints').value = settings.maxVisiblePoints;
+            const slider = document.getElementById('maxVisiblePoints');
+            slider.max = Math.max(parseInt(slider.max), settings.maxVisiblePoints);
+            slider.value = settings.maxVisiblePoints;
             updateMaxVisiblePoints();
         }
         
@@ -2546,7 +8141,7 @@ function loadSettings() {
         // Load panel visibility
         const panelCheckboxes = [
             'showChartPanel', 'showFiltersPanel', 'showColorsPanel', 
-            'showStatsPanel', 'showLegendPanel'
+            'showStatsPanel', 'showIndicatorsPanel', 'showLegendPanel'
         ];
         panelCheckboxes.forEach(checkboxId => {
             const checkbox = document.getElementById(checkboxId);
@@ -2565,6 +8160,17 @@ function loadSettings() {
             document.getElementById('numRows').value = settings.numRows;
         }
         
+        // Load sample generator options
+        if (settings.sampleModel) {
+            document.getElementById('sampleModel').value = settings.sampleModel;
+        }
+        if (settings.sampleInterval) {
+            document.getElementById('sampleInterval').value = settings.sampleInterval;
+        }
+        if (settings.sampleSeed !== undefined) {
+            document.getElementById('sampleSeed').value = settings.sampleSeed;
+        }
+        
         if (settings.candleWidth) {
             document.getElementById('candleWidth').value = settings.candleWidth;
         }
@@ -2611,8 +8217,131 @@ function loadSettings() {
             crosshairSnapToCandles = settings.crosshairSnapToCandles;
         }
         
-        if (settings.isFullscreen !== undefined) {
-            isFullscreen = settings.isFullscreen;
+        // Load symbol comparison
+        if (settings.compareSymbols !== undefined) {
+            compareSymbols = settings.compareSymbols;
+            document.getElementById('compareSymbols').checked = compareSymbols;
+        }
+        
+        // Load timeframe (applied to the data when it is next activated)
+        if (settings.timeframe in TIMEFRAMES) {
+            timeframe = settings.timeframe;
+            document.getElementById('timeframe').value = timeframe;
+        }
+        
+        if (CLUSTER_RULES.includes(settings.resampleClusterRule)) {
+            resampleClusterRule = settings.resampleClusterRule;
+            document.getElementById('resampleClusterRule').value = resampleClusterRule;
+        }
+        
+        // Load price axis mode; a locked range is re-taken from the first frame
+        if (settings.priceScaleLocked !== undefined) {
+            priceScaleLocked = settings.priceScaleLocked;
+            lockedPriceRange = null;
+            syncPriceScaleToggle();
+        }
+        if (PRICE_SCALE_MODES.includes(settings.priceScaleMode)) {
+            priceScaleMode = settings.priceScaleMode;
+            document.getElementById('priceScaleMode').value = priceScaleMode;
+        }
+        
+        // Load Renko box settings
+        if (settings.renkoBoxMode) {
+            renkoBoxMode = settings.renkoBoxMode;
+            renkoBoxSize = settings.renkoBoxSize || renkoBoxSize;
+            renkoAtrPeriod = settings.renkoAtrPeriod || renkoAtrPeriod;
+            document.getElementById('renkoBoxMode').value = renkoBoxMode;
+            document.getElementById('renkoBoxSize').value = renkoBoxSize;
+            document.getElementById('renkoAtrPeriod').value = renkoAtrPeriod;
+        }
+        
+        // Load indicator overlays
+        if (settings.overlayIndicators !== undefined) {
+            overlayIndicators = sanitizeIndicators(settings.overlayIndicators);
+            renderIndicatorControls();
+        }
+        if (settings.oscillatorPanes !== undefined) {
+            oscillatorPanes = sanitizeOscillatorPanes(settings.oscillatorPanes);
+            renderOscillatorControls();
+        }
+        if (Array.isArray(settings.hiddenEventCategories)) {
+            hiddenEventCategories = settings.hiddenEventCategories.filter(category => typeof category === 'string');
+        }
+        
+        // Load cluster colors
+        if (CLUSTER_PALETTES[settings.clusterPalette]) {
+            clusterPalette = settings.clusterPalette;
+        }
+        if (settings.clusterColorOverrides && typeof settings.clusterColorOverrides === 'object') {
+            clusterColorOverrides = {};
+            Object.entries(settings.clusterColorOverrides).forEach(([cluster, color]) => {
+                if (/^#[0-9a-f]{6}$/i.test(color)) {
+                    clusterColorOverrides[cluster] = color;
+                }
+            });
+        }
+        clusterColors = {};
+        
+        // Load cluster names and descriptions
+        if (settings.clusterInfo && typeof settings.clusterInfo === 'object') {
+            clusterInfo = {};
+            Object.entries(settings.clusterInfo).forEach(([cluster, info]) => {
+                if (info && typeof info === 'object') {
+                    setClusterInfo(Number(cluster), normalizeClusterInfo(info));
+                }
+            });
+        }
+        
+        // Load clustering dialog choices
+        if (settings.clustering && typeof settings.clustering === 'object') {
+            const saved = settings.clustering;
+            clusteringOptions = {
+                method: saved.method in CLUSTERING_METHODS ? saved.method : clusteringOptions.method,
+                k: Number.isInteger(saved.k) && saved.k >= 2 && saved.k <= 50 ? saved.k : clusteringOptions.k,
+                seed: Number.isInteger(saved.seed) ? saved.seed >>> 0 : clusteringOptions.seed,
+                standardize: saved.standardize !== false,
+                volatilityWindow: Number.isInteger(saved.volatilityWindow) && saved.volatilityWindow >= 2 ? saved.volatilityWindow : clusteringOptions.volatilityWindow,
+                features: Array.isArray(saved.features) ? saved.features.filter(feature => typeof feature === 'string') : clusteringOptions.features,
+                output: saved.output === 'column' ? 'column' : 'predicted_cluster',
+                column: typeof saved.column === 'string' && saved.column.trim() ? saved.column.trim() : clusteringOptions.column
+            };
+        }
+        
+        // Load themes
+        if (settings.customThemes && typeof settings.customThemes === 'object') {
+            customThemes = {};
+            Object.entries(settings.customThemes).forEach(([name, colors]) => {
+                if (!BUILT_IN_THEMES[name] && colors && typeof colors === 'object') {
+                    customThemes[name] = sanitizeThemeColors(colors);
+                }
+            });
+        }
+        if (getThemeColors(settings.theme)) {
+            activeTheme = settings.theme;
+            chartTheme = sanitizeThemeColors({ ...getThemeColors(activeTheme), ...settings.themeColors });
+        }
+        applyTheme();
+        renderThemeControls();
+        
+        // Load live stream URL
+        if (settings.streamUrl) {
+            document.getElementById('streamUrl').value = settings.streamUrl;
+        }
+        
+        // Load timestamp settings
+        if (TIMESTAMP_FORMATS.includes(settings.timestampFormat)) {
+            timestampFormat = settings.timestampFormat;
+            document.getElementById('timestampFormat').value = timestampFormat;
+        }
+        
+        if (settings.sourceTimeZone && isValidTimeZone(settings.sourceTimeZone)) {
+            sourceTimeZone = settings.sourceTimeZone;
+            document.getElementById('sourceTimeZone').value = sourceTimeZone;
+        }
+        
+        if (settings.displayTimeZone && isValidTimeZone(settings.displayTimeZone)) {
+            displayTimeZone = settings.displayTimeZone;
+            document.getElementById('displayTimeZone').value = displayTimeZone;
         }
         
         return true;
@@ -2634,7 +8363,7 @@ function toggleCrosshair() {
     } else {
         showStatus('🎯 Crosshair disabled', 'info');
     }
-    redrawChart();
+    drawOverlay();
 }
 
 function toggleCrosshairSnap() {
@@ -2644,7 +8373,7 @@ function toggleCrosshairSnap() {
     } else {
         showStatus('🎯 Crosshair snap to candles disabled', 'info');
     }
-    redrawChart();
+    drawOverlay();
 }
 
 function toggleFullscreen() {
@@ -2676,7 +8405,7 @@ function enterFullscreen() {
         left: 0;
         width: 100vw;
         height: 100vh;
-        background: #0a0a0a;
+        background: var(--page-background);
         z-index: 9999;
         display: flex;
         flex-direction: column;
@@ -2699,8 +8428,8 @@ function enterFullscreen() {
     const exitBtn = document.createElement('button');
     exitBtn.innerHTML = '✕ Exit Fullscreen';
     exitBtn.style.cssText = `
-        background: rgba(0, 0, 0, 0.8);
-        color: white;
+        background: rgba(var(--shade-rgb), 0.8);
+        color: var(--text);
         border: 1px solid #333;
         padding: 8px 16px;
         border-radius: 4px;
@@ -2713,8 +8442,8 @@ function enterFullscreen() {
     const instructions = document.createElement('div');
     instructions.innerHTML = 'Press ESC to exit fullscreen';
     instructions.style.cssText = `
-        background: rgba(0, 0, 0, 0.8);
-        color: #00ff88;
+        background: rgba(var(--shade-rgb), 0.8);
+        color: var(--accent);
         padding: 8px 16px;
         border-radius: 4px;
         font-size: 12px;
@@ -2838,7 +8567,7 @@ function updateCrosshairSmoothly() {
     
     crosshairAnimationFrame = requestAnimationFrame(() => {
         if (Math.abs(crosshairX - lastCrosshairX) > 1 || Math.abs(crosshairY - lastCrosshairY) > 1) {
-            redrawChart();
+            drawOverlay();
             lastCrosshairX = crosshairX;
             lastCrosshairY = crosshairY;
         }
@@ -2849,36 +8578,18 @@ function updateCrosshairSmoothly() {
 function snapCrosshairToCandle(mouseX, mouseY) {
     if (stockData.length === 0) return { x: mouseX, y: mouseY, index: -1 };
     
-    // Get the data points to display from original data
-    const displayData = stockData.slice(visibleStartIndex, visibleEndIndex + 1);
-    if (displayData.length === 0) return { x: mouseX, y: mouseY, index: -1 };
-    
-    const xStep = chartArea.width / displayData.length;
-    
-    // Find the nearest candle position
-    let nearestIndex = -1;
-    let minDistance = Infinity;
-    
-    for (let i = 0; i < displayData.length; i++) {
-        const candleX = chartArea.x + i * xStep + xStep / 2;
-        const distance = Math.abs(mouseX - candleX);
-        
-        if (distance < minDistance) {
-            minDistance = distance;
-            nearestIndex = i;
-        }
-    }
-    
-    if (nearestIndex >= 0) {
-        const snappedX = chartArea.x + nearestIndex * xStep + xStep / 2;
-        return { 
-            x: snappedX, 
-            y: mouseY, 
-            index: visibleStartIndex + nearestIndex 
-        };
-    }
-    
-    return { x: mouseX, y: mouseY, index: -1 };
+    const columnCount = renkoColumns ? renkoColumns.length : visibleEndIndex - visibleStartIndex + 1;
+    if (columnCount <= 0) return { x: mouseX, y: mouseY, index: -1 };
+    const xStep = chartArea.width / columnCount;
+    
+    // The nearest candle is the column under the mouse, clamped to the chart
+    const nearestIndex = Math.max(0, Math.min(columnCount - 1, Math.floor((mouseX - chartArea.x) / xStep)));
+    const snappedX = chartArea.x + nearestIndex * xStep + xStep / 2;
+    return { 
+        x: snappedX, 
+        y: mouseY, 
+        index: renkoColumns ? renkoColumns[nearestIndex] : visibleStartIndex + nearestIndex 
+    };
 }
 
 function saveSettingsWithNotification() {
@@ -2898,6 +8609,8 @@ function panToMiddle() {
 function initializeVisibleRange() {
     if (stockData.length === 0) return;
     
+    updateVisiblePointsSlider();
+    
     // Initialize visible range to show the last maxVisiblePoints from original data
     visibleEndIndex = stockData.length - 1;
     visibleStartIndex = Math.max(0, visibleEndIndex - maxVisiblePoints + 1);
@@ -3056,7 +8769,7 @@ function adjustMaxVisiblePoints(delta) {
     
     if (slider && valueDisplay) {
         const currentValue = parseInt(slider.value);
-        const newValue = Math.max(10, Math.min(200, currentValue + delta));
+        const newValue = Math.max(10, Math.min(parseInt(slider.max), currentValue + delta));
         slider.value = newValue;
         updateMaxVisiblePoints();
         // Auto-save is handled in updateMaxVisiblePoints
@@ -3079,6 +8792,11 @@ function debugChart() {
 // Initialize when page loads
 window.addEventListener('load', init);
 
+// Write a save that is still waiting before the page goes away
+window.addEventListener('pagehide', () => {
+    if (saveSettingsTimer) saveSettings();
+});
+
 // Handle window resize
 window.addEventListener('resize', () => {
     setupCanvas();
@@ -3103,15 +8821,19 @@ document.addEventListener('keydown', (e) => {
         case '4':
             setMaxVisiblePoints(200);
             break;
+        case '0':
+            // Full history; the renderer decimates when bars outnumber pixels
+            setMaxVisiblePoints(Math.max(10, stockData.length));
+            break;
         case 'ArrowLeft':
             e.preventDefault();
             panVisibleRange(-10); // Pan left (to older data)
-            updateChart();
+            updateVisibleWindow();
             break;
         case 'ArrowRight':
             e.preventDefault();
             panVisibleRange(10); // Pan right (to newer data)
-            updateChart();
+            updateVisibleWindow();
             break;
         case 'Home':
             e.preventDefault();
@@ -3163,7 +8885,19 @@ document.addEventListener('keydown', (e) => {
             e.preventDefault();
             toggleFullscreen();
             break;
+        case 'Delete':
+        case 'Backspace':
+            if (selectedDrawingId) {
+                e.preventDefault();
+                deleteSelectedDrawing();
+            }
+            break;
         case 'Escape':
+            if (draftDrawing || activeDrawingTool) {
+                e.preventDefault();
+                setDrawingTool(null);
+                break;
+            }
             if (isFullscreen) {
                 e.preventDefault();
                 exitFullscreen();
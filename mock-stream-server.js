@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+// Mock WebSocket market data feed for trying out the dashboard's live stream.
+// Dependency-free: implements just enough of RFC 6455 to push text frames.
+//
+// Usage: node mock-stream-server.js [--port 8765] [--interval 500] [--bar 60] [--mode ticks|bars] [--symbol DEMO]
+
+const http = require('http');
+const crypto = require('crypto');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const HISTORY_BARS = 120;
+
+function parseArgs(argv) {
+    const options = { port: 8765, interval: 500, bar: 60, mode: 'ticks', symbol: '' };
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--(\w+)$/);
+        if (!match || !(match[1] in options)) {
+            console.error(`Unknown option: ${argv[i]}`);
+            process.exit(1);
+        }
+        const value = argv[++i];
+        options[match[1]] = typeof options[match[1]] === 'number' ? Number(value) : value;
+    }
+    return options;
+}
+
+// Random walk with occasional regime switches so cluster colors change over time
+function createMarket(barSeconds) {
+    const barMs = barSeconds * 1000;
+    let price = 100;
+    let cluster = 0;
+    let liveBar = null;
+
+    function step(scale) {
+        if (Math.random() < 0.01) {
+            cluster = (cluster + 1 + Math.floor(Math.random() * 4)) % 5;
+        }
+        const drift = (cluster - 2) * 0.0002;
+        price = Math.max(1, price * (1 + drift + (Math.random() - 0.5) * 0.004 * scale));
+        return price;
+    }
+
+    function makeBar(time) {
+        const open = price;
+        const points = [open, step(1), step(1), step(1)];
+        return {
+            type: 'bar',
+            timestamp: new Date(time).toISOString(),
+            open: round(open),
+            high: round(Math.max(...points)),
+            low: round(Math.min(...points)),
+            close: round(price),
+            volume: Math.floor(Math.random() * 1000000) + 100000,
+            predicted_cluster: cluster
+        };
+    }
+
+    return {
+        barMs,
+        history() {
+            const start = Math.floor(Date.now() / barMs) * barMs - HISTORY_BARS * barMs;
+            const bars = [];
+            for (let i = 0; i < HISTORY_BARS; i++) {
+                bars.push(makeBar(start + i * barMs));
+            }
+            return bars;
+        },
+        tick() {
+            return {
+                type: 'tick',
+                timestamp: new Date().toISOString(),
+                price: round(step(0.3)),
+                volume: Math.floor(Math.random() * 5000) + 100
+            };
+        },
+        currentBar() {
+            const time = Math.floor(Date.now() / barMs) * barMs;
+            if (!liveBar || liveBar.time !== time) {
+                liveBar = { time, bar: makeBar(time) };
+            } else {
+                const close = round(step(0.3));
+                liveBar.bar.high = Math.max(liveBar.bar.high, close);
+                liveBar.bar.low = Math.min(liveBar.bar.low, close);
+                liveBar.bar.close = close;
+                liveBar.bar.volume += Math.floor(Math.random() * 5000) + 100;
+            }
+            return { ...liveBar.bar };
+        }
+    };
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function encodeTextFrame(text) {
+    const payload = Buffer.from(text, 'utf8');
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+function send(socket, message) {
+    if (socket.writable) {
+        socket.write(encodeTextFrame(JSON.stringify(message)));
+    }
+}
+
+function startServer(options) {
+    const server = http.createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('This endpoint only speaks WebSocket.\n');
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+
+        const market = createMarket(options.bar);
+        const withSymbol = (message) => options.symbol ? { ...message, symbol: options.symbol } : message;
+        send(socket, market.history().map(withSymbol));
+
+        const timer = setInterval(() => {
+            send(socket, withSymbol(options.mode === 'bars' ? market.currentBar() : market.tick()));
+        }, options.interval);
+
+        console.log(`Client connected (${req.socket.remoteAddress})`);
+
+        const close = () => {
+            clearInterval(timer);
+            if (socket.writable) {
+                socket.end(Buffer.from([0x88, 0x00]));
+            }
+        };
+
+        // Client frames are masked; only the opcode matters here
+        socket.on('data', (chunk) => {
+            if ((chunk[0] & 0x0f) === 0x8) {
+                close();
+            }
+        });
+        socket.on('close', () => {
+            clearInterval(timer);
+            console.log('Client disconnected');
+        });
+        socket.on('error', close);
+    });
+
+    server.listen(options.port, () => {
+        console.log(`Mock stream on ws://localhost:${options.port} (${options.mode} every ${options.interval}ms, ${options.bar}s bars)`);
+    });
+}
+
+startServer(parseArgs(process.argv.slice(2)));